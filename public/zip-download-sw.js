@@ -0,0 +1,59 @@
+/* eslint-env serviceworker */
+
+/**
+ * Service worker that streams ZIP downloads built on the page, for browsers
+ * without the File System Access API. The page registers a download URL
+ * with a MessagePort, then opens that URL; the response body pulls each
+ * chunk from the page as the browser writes the file, so the archive is
+ * never held in memory whole.
+ */
+
+// Download URL -> { fileName, port }, until the browser requests it
+const downloads = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'register-download') return;
+
+  const [port] = event.ports;
+  downloads.set(event.data.url, { fileName: event.data.fileName, port });
+  port.postMessage({ type: 'registered' });
+});
+
+self.addEventListener('fetch', (event) => {
+  const download = downloads.get(event.request.url);
+  if (!download) return;
+
+  downloads.delete(event.request.url);
+  const { fileName, port } = download;
+
+  const body = new ReadableStream({
+    pull(controller) {
+      return new Promise((resolve) => {
+        port.onmessage = ({ data }) => {
+          if (data.type === 'chunk') {
+            controller.enqueue(data.chunk);
+          } else if (data.type === 'done') {
+            controller.close();
+          } else if (data.type === 'error') {
+            controller.error(new Error(data.message));
+          }
+          resolve();
+        };
+        port.postMessage({ type: 'pull' });
+      });
+    },
+    cancel() {
+      port.postMessage({ type: 'cancel' });
+    }
+  });
+
+  event.respondWith(new Response(body, {
+    headers: {
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`
+    }
+  }));
+});
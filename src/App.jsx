@@ -1,106 +1,453 @@
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useRef } from 'react';
 import { ImageUploadZone } from './components/ImageUploadZone';
 import { ImageTypeSelector } from './components/ImageTypeSelector';
 import { ImageList } from './components/ImageList';
 import { ConversionResults } from './components/ConversionResults';
 import { CompressionControls } from './components/CompressionControls';
+import { PdfSettings } from './components/PdfSettings';
+import { PdfImportSettings } from './components/PdfImportSettings';
+import { MetadataSettings } from './components/MetadataSettings';
+import { WatermarkSettings } from './components/WatermarkSettings';
+import { PresetManager } from './components/PresetManager';
+import { ResourceMonitor } from './components/ResourceMonitor';
+import { UploadLimitsSettings } from './components/UploadLimitsSettings';
+import { RejectedFilesPanel } from './components/RejectedFilesPanel';
 import { Header } from './components/Header';
 import { Footer } from './components/Footer';
 import { ImageProcessor } from './utils/ImageProcessor';
+import { WorkerPool, PauseGate, runConcurrently } from './utils/WorkerPool';
+import { PrivacyScanner } from './utils/PrivacyScanner';
+import { getEffectiveSettings } from './utils/overrides';
+import { resources, getResultOwner } from './utils/ResourceManager';
+import { getFormatFromMime, getFormatFromName } from './utils/formatDetection';
+import { DEFAULT_MIN_DIMENSION, DEFAULT_MAX_DIMENSION } from './utils/resize';
 import './App.css';
 
+// Batch compression and resize defaults; presets missing a setting fall back to these
+const DEFAULT_COMPRESSION_SETTINGS = {
+  quality: 0.8,
+  maxWidth: undefined,
+  maxHeight: undefined,
+  maintainAspectRatio: true,
+  enableCompression: false,
+  webpLossless: false,
+  pngMode: 'palette',
+  pngDither: true,
+  jpegEncoder: 'canvas',
+  jpegProgressive: true,
+  jpegSubsampling: '420',
+  jpegTrellis: true,
+  jpegOptimizeHuffman: true,
+  avifSpeed: 6,
+  sizeMode: 'quality',
+  targetSizeKB: 200,
+  allowResizeForTarget: false,
+  resizeMode: 'fit',
+  resizePercent: 50,
+  cropPosition: 'center',
+  letterboxColor: '#FFFFFF',
+  resampler: 'standard',
+  minDimension: DEFAULT_MIN_DIMENSION,
+  maxDimension: DEFAULT_MAX_DIMENSION
+};
+
+// Upload limits; null turns a limit off
+// High enough for print scans and panoramas (a 20000×15000 JPEG is 300 MP and often over 100 MB),
+// which the tiled pipeline converts even past the canvas limit
+const DEFAULT_UPLOAD_LIMITS = {
+  maxFileSizeMB: 200,
+  maxMegapixels: 500,
+  maxFiles: 200,
+  maxTotalSizeMB: 2000
+};
+
+// Images past the canvas limit are converted in tiles, but PDF pages are still drawn in one canvas
+const CANVAS_LIMIT_ERROR = 'Too large for this browser\'s canvas to place in a PDF, convert it to JPG or PNG first';
+
+// Metadata scans read only file headers, but a big drop still shouldn't open hundreds of reads at once
+const SCAN_CONCURRENCY = 2;
+
 function App() {
-  const [fromType, setFromType] = useState('');
+  const [fromType, setFromType] = useState('any');
   const [toType, setToType] = useState('');
   const [selectedImages, setSelectedImages] = useState([]);
   const [isConverting, setIsConverting] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
+  // Abort controller and pause gate of the running batch
+  const batchRef = useRef(null);
   const [conversionResults, setConversionResults] = useState([]);
   const [error, setError] = useState('');
+  const [uploadLimits, setUploadLimits] = useState(DEFAULT_UPLOAD_LIMITS);
+  // Files turned away by the last add, with the reason for each
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  const [parallelism, setParallelism] = useState(
+    () => Math.min(4, navigator.hardwareConcurrency || 2)
+  );
 
   // Compression settings
-  const [compressionSettings, setCompressionSettings] = useState({
-    quality: 0.8,
-    maintainAspectRatio: true,
-    enableCompression: false
+  const [compressionSettings, setCompressionSettings] = useState(DEFAULT_COMPRESSION_SETTINGS);
+  // Remounts CompressionControls when a preset replaces its settings
+  const [settingsVersion, setSettingsVersion] = useState(0);
+
+  // EXIF orientation and metadata settings
+  const [metadataSettings, setMetadataSettings] = useState({
+    autoRotate: true,
+    metadataPolicy: 'strip'
+  });
+
+  // Watermark settings
+  const [watermarkSettings, setWatermarkSettings] = useState({
+    enabled: false,
+    mode: 'text',
+    text: '',
+    fontFamily: 'Arial',
+    fontSize: 4,
+    color: '#FFFFFF',
+    opacity: 0.5,
+    rotation: 0,
+    logo: null,
+    logoScale: 0.2,
+    tileContent: 'text',
+    tileSpacing: 10,
+    position: 'bottom-right',
+    offsetX: 3,
+    offsetY: 3
+  });
+
+  // PDF output settings
+  const [pdfSettings, setPdfSettings] = useState({
+    outputMode: 'separate',
+    pageSize: 'a4',
+    orientation: 'auto',
+    margin: 10,
+    placement: 'fit'
+  });
+
+  // PDF source settings
+  const [pdfInputSettings, setPdfInputSettings] = useState({
+    dpi: 150
   });
 
-  const handleImagesSelected = useCallback((files) => {
-    const imageItems = files.map(file => ({
+  const handleImagesSelected = useCallback((sources) => {
+    const imageItems = sources.map(({ file, folder, dimensions, exceedsCanvas }) => ({
       id: crypto.randomUUID(),
       file,
       name: file.name,
+      // Path inside a dropped or chosen folder, mirrored in the outputs
+      folder,
       size: file.size,
       type: file.type,
       extension: file.name.split('.').pop()?.toLowerCase() || '',
+      // Uploads are typed by their sniffed contents, the name may claim something else
+      sourceType: getFormatFromMime(file.type),
+      nameType: getFormatFromName(file.name),
+      // Pixel size read from the file header, null for PDFs and unreadable headers
+      dimensions,
+      exceedsCanvas,
       status: 'pending'
     }));
 
     setSelectedImages(prev => [...prev, ...imageItems]);
     setError('');
+
+    // Look for location, device and owner metadata in the background
+    const scanner = new PrivacyScanner();
+    const scannable = imageItems.filter(item => item.sourceType !== 'pdf');
+    runConcurrently(scannable, SCAN_CONCURRENCY, async (item) => {
+      try {
+        const privacy = await scanner.scan(item.file);
+        setSelectedImages(prev => 
+          prev.map(img => 
+            img.id === item.id 
+              ? { ...img, privacy }
+              : img
+          )
+        );
+      } catch (err) {
+        console.error('Failed to scan metadata:', err);
+      }
+    });
   }, []);
 
   const handleRemoveImage = useCallback((id) => {
     setSelectedImages(prev => prev.filter(img => img.id !== id));
+    // The item's results go with it, so their object URLs can be freed
+    setConversionResults(prev => prev.filter(result => (result.sourceId || result.id) !== id));
+    resources.releaseOwner(id);
+  }, []);
+
+  const handleClearResults = useCallback(() => {
+    conversionResults.forEach(result => resources.releaseOwner(getResultOwner(result)));
+    setConversionResults([]);
+  }, [conversionResults]);
+
+  const handleUpdateImage = useCallback((id, changes) => {
+    setSelectedImages(prev => 
+      prev.map(img => 
+        img.id === id 
+          ? { ...img, ...changes }
+          : img
+      )
+    );
   }, []);
 
   const handleCompressionSettingsChange = useCallback((settings) => {
     setCompressionSettings(settings);
   }, []);
 
-  const handleConvertImages = useCallback(async () => {
-    if (!fromType || !toType || selectedImages.length === 0) {
+  const handleApplyPreset = useCallback((preset) => {
+    if (preset.fromType) setFromType(preset.fromType);
+    if (preset.toType) setToType(preset.toType);
+
+    // Only known settings are taken, anything the preset lacks gets its default
+    const settings = { ...DEFAULT_COMPRESSION_SETTINGS };
+    Object.keys(settings).forEach((key) => {
+      if (preset.compressionSettings[key] !== undefined) {
+        settings[key] = preset.compressionSettings[key];
+      }
+    });
+    setCompressionSettings(settings);
+    setSettingsVersion(version => version + 1);
+  }, []);
+
+  /**
+   * Convert a batch of images. Results are published as each item finishes,
+   * so everything already done stays downloadable if the batch is cancelled.
+   * @param {Array<Object>} batch - Image items to convert
+   * @param {boolean} isRetry - Keep other items' results instead of starting over
+   */
+  const runConversion = useCallback(async (batch, isRetry = false) => {
+    if (!fromType || !toType || batch.length === 0) {
       setError('Please select image types and add images to convert');
       return;
     }
 
+    const controller = new AbortController();
+    const gate = new PauseGate();
+    const { signal } = controller;
+    batchRef.current = { controller, gate };
+
     setIsConverting(true);
+    setIsPaused(false);
     setError('');
 
-    const processor = new ImageProcessor();
-    const results = [];
+    // Off-main-thread encoding when the browser supports it, sequential main thread otherwise
+    const workerPool = WorkerPool.isSupported() ? new WorkerPool(parallelism) : null;
+    const concurrency = workerPool ? parallelism : 1;
+    const processor = new ImageProcessor({
+      workerPool,
+      // Images past the canvas limit are encoded in tiles and report how far along they are
+      onProgress: (file, progress) => {
+        const item = batch.find(img => img.file === file);
+        if (!item) return;
+        setSelectedImages(prev => 
+          prev.map(img => 
+            img.id === item.id 
+              ? { ...img, progress }
+              : img
+          )
+        );
+      }
+    });
+    const scanner = new PrivacyScanner();
+    // Orientation, metadata and watermark settings ride along with the compression settings
+    const conversionSettings = {
+      ...compressionSettings,
+      ...metadataSettings,
+      watermark: watermarkSettings.enabled ? watermarkSettings : null
+    };
+
+    const batchIds = new Set(batch.map(img => img.id));
+    const setBatchStatus = (shouldUpdate, status) => {
+      setSelectedImages(prev => 
+        prev.map(img => 
+          batchIds.has(img.id) && shouldUpdate(img)
+            ? { ...img, status }
+            : img
+        )
+      );
+    };
+
+    setBatchStatus(() => true, 'pending');
+    // Results being replaced give up their object URLs first
+    if (isRetry) {
+      batch.forEach(item => resources.releaseOwner(item.id));
+      setConversionResults(prev => prev.filter(result => !batchIds.has(result.sourceId || result.id)));
+    } else {
+      conversionResults.forEach(result => resources.releaseOwner(getResultOwner(result)));
+      setConversionResults([]);
+    }
 
     try {
-      for (const imageItem of selectedImages) {
+      if (toType === 'pdf' && pdfSettings.outputMode === 'single') {
+        // PDFs in a mixed batch can't become pages of another PDF
+        const isSkipped = img => img.sourceType === 'pdf' || img.exceedsCanvas;
+        const pages = batch.filter(img => !isSkipped(img));
+        const sourceTypes = new Set(pages.map(img => img.sourceType));
+        setBatchStatus(isSkipped, 'error');
+        setBatchStatus(img => !isSkipped(img), 'converting');
+        if (pages.length < batch.length) {
+          setError(batch.some(img => img.exceedsCanvas)
+            ? 'PDF files and images too large for this browser\'s canvas were skipped'
+            : 'PDF files can\'t be combined into another PDF and were skipped');
+        }
+
+        const combined = await processor.convertImagesToSinglePDF(
+          pages,
+          sourceTypes.size === 1 ? [...sourceTypes][0] : 'mixed',
+          conversionSettings,
+          pdfSettings,
+          (imageItem) => {
+            setSelectedImages(prev => 
+              prev.map(img => 
+                img.id === imageItem.id 
+                  ? { ...img, status: 'completed' }
+                  : img
+              )
+            );
+          },
+          signal
+        );
+
+        if (combined.cancelled) {
+          setBatchStatus(img => !isSkipped(img), 'cancelled');
+          return;
+        }
+
+        const result = await scanner.attachReport(combined, pages);
+        setBatchStatus(
+          img => !isSkipped(img) && (!result.success || img.status === 'converting'),
+          result.success ? 'completed' : 'error'
+        );
+        setConversionResults([result]);
+        return;
+      }
+
+      await runConcurrently(batch, concurrency, async (imageItem) => {
         // Update image status
         setSelectedImages(prev => 
           prev.map(img => 
             img.id === imageItem.id 
-              ? { ...img, status: 'converting' }
+              ? { ...img, status: 'converting', progress: null }
               : img
           )
         );
 
-        const result = await processor.convertImage(
-          imageItem, 
-          fromType, 
-          toType,
-          compressionSettings
-        );
+        let results;
+        // Per-image overrides on top of the batch output type and settings
+        const effective = getEffectiveSettings(imageItem, toType, conversionSettings);
 
-        results.push(result);
+        // Each file converts from the format detected in its contents
+        const sourceType = imageItem.sourceType || fromType;
+
+        if (imageItem.exceedsCanvas && effective.toType === 'pdf') {
+          // Known before starting, so fail straight away instead of partway through drawing
+          results = [{
+            id: imageItem.id,
+            originalName: imageItem.name,
+            convertedName: '',
+            blob: new Blob(),
+            url: '',
+            fromType: sourceType,
+            toType: effective.toType,
+            success: false,
+            error: CANVAS_LIMIT_ERROR
+          }];
+        } else if (sourceType === 'pdf') {
+          results = await processor.convertPDFToImages(
+            imageItem,
+            effective.toType,
+            effective.settings,
+            pdfInputSettings,
+            signal
+          );
+        } else {
+          const result = await processor.convertImage(
+            imageItem, 
+            sourceType, 
+            effective.toType,
+            effective.settings,
+            pdfSettings,
+            signal
+          );
+          results = [await scanner.attachReport(result, [imageItem])];
+        }
+
+        // Page results were rendered without the item's edits, image results with them
+        const measuredSettings = sourceType === 'pdf'
+          ? effective.settings
+          : { ...effective.settings, transforms: imageItem.transforms };
+        results = await Promise.all(results.map(result => (
+          processor.attachQualityMetrics(result, measuredSettings, signal)
+        )));
+        const status = results.some(result => result.cancelled)
+          ? 'cancelled'
+          : results.every(result => result.success) ? 'completed' : 'error';
 
         // Update image status
         setSelectedImages(prev => 
           prev.map(img => 
             img.id === imageItem.id 
-              ? { ...img, status: result.success ? 'completed' : 'error' }
+              ? { ...img, status }
               : img
           )
         );
-      }
 
-      setConversionResults(results);
+        // Replace this item's earlier results; cancelled entries aren't shown
+        const finished = results.filter(result => !result.cancelled);
+        setConversionResults(prev => [
+          ...prev.filter(result => (result.sourceId || result.id) !== imageItem.id),
+          ...finished
+        ]);
+      }, { signal, gate });
+
+      if (signal.aborted) {
+        setBatchStatus(img => img.status === 'pending' || img.status === 'converting', 'cancelled');
+      }
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Conversion failed');
     } finally {
+      workerPool?.terminate();
+      batchRef.current = null;
       setIsConverting(false);
+      setIsPaused(false);
     }
-  }, [fromType, toType, selectedImages, compressionSettings]);
+  }, [fromType, toType, compressionSettings, metadataSettings, watermarkSettings, pdfSettings, pdfInputSettings, parallelism, conversionResults]);
+
+  const handleConvertImages = useCallback(() => {
+    runConversion(selectedImages);
+  }, [runConversion, selectedImages]);
+
+  const handleRetryImage = useCallback((id) => {
+    // A combined PDF only exists as a whole, so retrying rebuilds it
+    const combined = toType === 'pdf' && pdfSettings.outputMode === 'single';
+    const batch = combined ? selectedImages : selectedImages.filter(img => img.id === id);
+    runConversion(batch, !combined);
+  }, [runConversion, selectedImages, toType, pdfSettings.outputMode]);
+
+  const handleCancelConversion = useCallback(() => {
+    batchRef.current?.controller.abort();
+  }, []);
+
+  const handleTogglePause = useCallback(() => {
+    const gate = batchRef.current?.gate;
+    if (!gate) return;
+
+    if (gate.paused) {
+      gate.resume();
+    } else {
+      gate.pause();
+    }
+    setIsPaused(gate.paused);
+  }, []);
 
   const canConvert = fromType && toType && selectedImages.length > 0 && !isConverting;
+  // Settings for one source format apply to a mixed batch as soon as it holds such a file
+  const hasSourceType = (type) => fromType === type ||
+    (fromType === 'any' && selectedImages.some(img => img.sourceType === type));
   const showCompressionControls = fromType && toType && (
-    (fromType === 'jpg' || fromType === 'png') && 
-    (toType === 'jpg' || toType === 'png' || toType === 'pdf')
+    ['any', 'jpg', 'png', 'webp', 'avif', 'pdf'].includes(fromType) && 
+    ['jpg', 'png', 'webp', 'avif', 'pdf'].includes(toType)
   );
 
   return (
@@ -116,25 +463,90 @@ function App() {
             onToTypeChange={setToType}
           />
 
+          <PresetManager
+            fromType={fromType}
+            toType={toType}
+            compressionSettings={compressionSettings}
+            onApplyPreset={handleApplyPreset}
+            disabled={isConverting}
+          />
+
           {showCompressionControls && (
             <CompressionControls
+              key={settingsVersion}
               settings={compressionSettings}
               onSettingsChange={handleCompressionSettingsChange}
+              outputType={toType}
               disabled={isConverting}
             />
           )}
 
+          {showCompressionControls && (
+            <WatermarkSettings
+              settings={watermarkSettings}
+              onSettingsChange={setWatermarkSettings}
+              disabled={isConverting}
+            />
+          )}
+
+          {hasSourceType('jpg') && toType && toType !== 'pdf' && (
+            <MetadataSettings
+              settings={metadataSettings}
+              onSettingsChange={setMetadataSettings}
+              outputType={toType}
+              disabled={isConverting}
+            />
+          )}
+
+          {showCompressionControls && toType === 'pdf' && (
+            <PdfSettings
+              settings={pdfSettings}
+              onSettingsChange={setPdfSettings}
+              imageCount={selectedImages.length}
+              disabled={isConverting}
+            />
+          )}
+
+          {hasSourceType('pdf') && (
+            <PdfImportSettings
+              settings={pdfInputSettings}
+              onSettingsChange={setPdfInputSettings}
+              disabled={isConverting}
+            />
+          )}
+
+          <UploadLimitsSettings
+            limits={uploadLimits}
+            onLimitsChange={setUploadLimits}
+            disabled={isConverting}
+          />
+
           <ImageUploadZone
             onImagesSelected={handleImagesSelected}
+            onFilesRejected={setRejectedFiles}
             acceptedTypes={fromType}
+            limits={uploadLimits}
+            currentCount={selectedImages.length}
+            currentSize={selectedImages.reduce((sum, img) => sum + img.size, 0)}
             disabled={!fromType}
           />
 
+          <RejectedFilesPanel
+            rejections={rejectedFiles}
+            onDismiss={() => setRejectedFiles([])}
+          />
+
           {selectedImages.length > 0 && (
             <ImageList
               images={selectedImages}
               onRemoveImage={handleRemoveImage}
+              onUpdateImage={handleUpdateImage}
+              onRetryImage={handleRetryImage}
+              isConverting={isConverting}
+              toType={toType}
+              combinedPdf={toType === 'pdf' && pdfSettings.outputMode === 'single'}
               compressionSettings={compressionSettings}
+              autoRotate={metadataSettings.autoRotate}
             />
           )}
 
@@ -144,6 +556,29 @@ function App() {
             </div>
           )}
 
+          {/* Parallelism */}
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-end gap-2 mb-4 text-sm">
+            <label htmlFor="parallelism" className="text-gray-600 font-medium">
+              ⚙️ Parallel conversions
+            </label>
+            <select
+              id="parallelism"
+              value={parallelism}
+              onChange={(e) => setParallelism(parseInt(e.target.value, 10))}
+              disabled={isConverting || !WorkerPool.isSupported()}
+              className="px-3 py-1 border border-gray-300 rounded-lg bg-white focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+            >
+              {[1, 2, 3, 4, 6, 8].map((count) => (
+                <option key={count} value={count}>{count}</option>
+              ))}
+            </select>
+            {!WorkerPool.isSupported() && (
+              <span className="text-gray-500">
+                (background workers unavailable, converting one at a time)
+              </span>
+            )}
+          </div>
+
           <button
             className={`
               w-full py-4 px-8 rounded-xl font-bold text-lg transition-all duration-300 flex items-center justify-center gap-3
@@ -157,23 +592,56 @@ function App() {
           >
             {isConverting ? (
               <>
-                <div className="animate-spin text-xl">⟳</div>
+                <div className={isPaused ? 'text-xl' : 'animate-spin text-xl'}>{isPaused ? '⏸' : '⟳'}</div>
                 <span>
-                  Converting {selectedImages.filter(img => img.status === 'converting').length} of {selectedImages.length}...
+                  {isPaused ? 'Paused' : 'Converting...'} {selectedImages.filter(img => img.status === 'completed' || img.status === 'error').length} of {selectedImages.length} done
                 </span>
               </>
             ) : (
               <>
                 <span>🔄</span>
                 <span>
-                  Convert {selectedImages.length} image(s)
+                  {toType === 'pdf' && pdfSettings.outputMode === 'single'
+                    ? `Combine ${selectedImages.length} image(s) into one PDF`
+                    : `Convert ${selectedImages.length} image(s)`}
                   {compressionSettings.enableCompression ? ' with Compression' : ''}
                 </span>
               </>
             )}
           </button>
+
+          {/* Batch Controls */}
+          {isConverting && (
+            <div className="grid grid-cols-2 gap-3 mt-3">
+              <button
+                type="button"
+                onClick={handleTogglePause}
+                className="py-3 px-6 rounded-xl font-semibold border-2 border-gray-200 text-gray-700 bg-white hover:border-primary-500 hover:text-primary-600 transition-all duration-200"
+              >
+                {isPaused ? '▶️ Resume' : '⏸ Pause'}
+              </button>
+              <button
+                type="button"
+                onClick={handleCancelConversion}
+                className="py-3 px-6 rounded-xl font-semibold border-2 border-red-200 text-red-600 bg-white hover:bg-red-500 hover:border-red-500 hover:text-white transition-all duration-200"
+              >
+                ✕ Cancel
+              </button>
+            </div>
+          )}
+          {isPaused && (
+            <p className="mt-2 text-sm text-gray-500 text-center">
+              Images already converting will finish; the rest wait until you resume.
+            </p>
+          )}
         </div>
 
+        <ResourceMonitor
+          resultCount={conversionResults.length}
+          onClearResults={handleClearResults}
+          disabled={isConverting}
+        />
+
         {conversionResults.length > 0 && (
           <ConversionResults results={conversionResults} />
         )}
@@ -0,0 +1,517 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { ImageProcessor } from '../utils/ImageProcessor';
+import { PdfRenderer } from '../utils/PdfRenderer';
+import { resources, getResultOwner } from '../utils/ResourceManager';
+
+const VIEW_MODES = [
+  { value: 'split', label: 'Split', icon: '◧' },
+  { value: 'side', label: 'Side by side', icon: '▥' },
+  { value: 'blink', label: 'Blink', icon: '👁️' }
+];
+
+// Resolution PDF output pages are rendered at for comparison
+const PDF_PREVIEW_DPI = 150;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+const BLINK_INTERVAL_MS = 700;
+
+/**
+ * Load a blob as an <img> and resolve with its URL and natural size
+ * @param {Blob} blob - Image data
+ * @param {string} owner - Owner of the object URL (see getResultOwner)
+ * @returns {Promise<Object>} { url, width, height }
+ */
+const loadImage = (blob, owner) => new Promise((resolve, reject) => {
+  const url = resources.createObjectURL(blob, owner);
+  const img = new Image();
+  img.onload = () => resolve({ url, width: img.naturalWidth, height: img.naturalHeight });
+  img.onerror = () => {
+    resources.release(url);
+    reject(new Error('Failed to load image'));
+  };
+  img.src = url;
+});
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const scaleRect = (rect, scaleX, scaleY) => ({
+  x: rect.x * scaleX,
+  y: rect.y * scaleY,
+  width: rect.width * scaleX,
+  height: rect.height * scaleY
+});
+
+/**
+ * Pane showing one image at the shared zoom and pan. The original is drawn
+ * where it sits in the output (its resize layout or PDF image box, in output
+ * pixels) and clipped to what the output shows, so both line up.
+ */
+const ComparePane = ({ image, view, label, clip, overlay }) => {
+  const placement = image.placement || {
+    image: { x: 0, y: 0, width: image.width, height: image.height },
+    clip: { x: 0, y: 0, width: image.width, height: image.height }
+  };
+  const area = scaleRect(placement.clip, view.scale, view.scale);
+  const drawn = scaleRect(placement.image, view.scale, view.scale);
+
+  return (
+    <div className="absolute inset-0 overflow-hidden" style={clip ? { clipPath: clip } : undefined}>
+      <div
+        className="absolute overflow-hidden"
+        style={{ left: view.x + area.x, top: view.y + area.y, width: area.width, height: area.height }}
+      >
+        <img
+          src={image.url}
+          alt={label}
+          draggable={false}
+          className="absolute max-w-none"
+          style={{
+            left: drawn.x - area.x,
+            top: drawn.y - area.y,
+            width: drawn.width,
+            height: drawn.height,
+            imageRendering: view.pixelated ? 'pixelated' : 'auto'
+          }}
+        />
+      </div>
+      {overlay && (
+        <img
+          src={overlay}
+          alt="Difference heatmap"
+          draggable={false}
+          className="absolute max-w-none"
+          style={{ left: view.x, top: view.y, width: view.width, height: view.height }}
+        />
+      )}
+      <span className="absolute top-2 left-2 px-2 py-1 rounded-md bg-black/60 text-white text-xs font-semibold">
+        {label}
+      </span>
+    </div>
+  );
+};
+
+export const ComparisonViewer = ({ result, onClose }) => {
+  const isPdf = result.toType === 'pdf';
+  const pageCount = isPdf ? result.pageCount || 1 : 1;
+
+  const [mode, setMode] = useState('split');
+  const [page, setPage] = useState(1);
+  const [images, setImages] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [paneSize, setPaneSize] = useState({ width: 0, height: 0 });
+  // Zoom is output pixels to CSS pixels; null means fit to the pane
+  const [zoom, setZoom] = useState(null);
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const [split, setSplit] = useState(0.5);
+  const [showOriginal, setShowOriginal] = useState(false);
+  const [autoBlink, setAutoBlink] = useState(false);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmapUrl, setHeatmapUrl] = useState('');
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const wheelRef = useRef(null);
+
+  // Load the original and the output, rendering PDF output pages to images
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = [];
+    setImages(null);
+    setLoadError('');
+
+    const load = async () => {
+      // Combined PDFs keep one source, and the settings it was drawn with, per page
+      const sources = result.sourceFiles || (result.sourceFile ? [result.sourceFile] : []);
+      const index = Math.min(page, sources.length) - 1;
+      const sourceFile = sources[index];
+      const settings = Array.isArray(result.sourceSettings) ? result.sourceSettings[index] : result.sourceSettings;
+      if (!sourceFile) {
+        throw new Error('The original file is no longer available');
+      }
+
+      // The original goes through the same orientation, edits and resize layout as the output did.
+      // Settle both sides, so a side that loaded is still released when the other fails.
+      const owner = getResultOwner(result);
+      const sides = await Promise.allSettled([
+        new ImageProcessor()
+          .renderComparisonOriginal(sourceFile, settings, result.pdfSettings || null)
+          .then(async ({ blob, ...placement }) => ({ ...await loadImage(blob, owner), ...placement })),
+        isPdf
+          ? new PdfRenderer().renderPage(result.blob, page, PDF_PREVIEW_DPI).then(blob => loadImage(blob, owner))
+          : loadImage(result.blob, owner)
+      ]);
+      loaded = sides.filter(side => side.status === 'fulfilled').map(side => side.value);
+
+      const failed = sides.find(side => side.status === 'rejected');
+      if (failed) {
+        loaded.forEach(image => resources.release(image.url));
+        loaded = [];
+        throw failed.reason;
+      }
+
+      const [original, after] = loaded;
+      if (cancelled) {
+        loaded.forEach(image => resources.release(image.url));
+        return;
+      }
+
+      // Placement comes in output units (layout pixels or PDF mm); the output may be a rendered page or shrunk
+      const scaleX = after.width / original.frame.width;
+      const scaleY = after.height / original.frame.height;
+      const before = {
+        ...original,
+        placement: {
+          image: scaleRect(original.image, scaleX, scaleY),
+          clip: scaleRect(original.clip, scaleX, scaleY)
+        }
+      };
+
+      setImages({ before, after });
+      setZoom(null);
+      setPan({ x: 0, y: 0 });
+    };
+
+    load().catch((error) => {
+      if (!cancelled) {
+        setLoadError(error instanceof Error ? error.message : 'Failed to load images');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      loaded.forEach(image => resources.release(image.url));
+    };
+  }, [result, page, isPdf]);
+
+  const heatmap = result.qualityMetrics?.heatmap;
+
+  useEffect(() => {
+    if (!heatmap) return;
+
+    const url = resources.createObjectURL(heatmap, getResultOwner(result));
+    setHeatmapUrl(url);
+    return () => resources.release(url);
+  }, [heatmap, result]);
+
+  // Track the pane size so fit zoom follows the window
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const observer = new ResizeObserver(([entry]) => {
+      setPaneSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [images, mode]);
+
+  // Wheel listeners must be non-passive to stop the dialog scrolling while zooming
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleWheel = (e) => wheelRef.current(e);
+    container.addEventListener('wheel', handleWheel, { passive: false });
+    return () => container.removeEventListener('wheel', handleWheel);
+  }, [images, mode]);
+
+  useEffect(() => {
+    if (mode !== 'blink' || !autoBlink) return;
+
+    const timer = setInterval(() => setShowOriginal(prev => !prev), BLINK_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [mode, autoBlink]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Side by side splits the container into two equal panes
+  const viewport = mode === 'side'
+    ? { width: Math.max(0, (paneSize.width - 8) / 2), height: paneSize.height }
+    : paneSize;
+
+  const fitZoom = images && viewport.width
+    ? Math.min(1, viewport.width / images.after.width, viewport.height / images.after.height)
+    : 1;
+  // 1:1 maps one output pixel to one device pixel
+  const actualZoom = 1 / (window.devicePixelRatio || 1);
+  const scale = zoom ?? fitZoom;
+
+  const clampPan = useCallback((next, nextScale) => {
+    if (!images) return next;
+    const width = images.after.width * nextScale;
+    const height = images.after.height * nextScale;
+    // Center along an axis that fits, otherwise keep the pane covered
+    return {
+      x: width <= viewport.width ? (viewport.width - width) / 2 : clamp(next.x, viewport.width - width, 0),
+      y: height <= viewport.height ? (viewport.height - height) / 2 : clamp(next.y, viewport.height - height, 0)
+    };
+  }, [images, viewport.width, viewport.height]);
+
+  const view = images ? {
+    ...clampPan(zoom === null ? { x: 0, y: 0 } : pan, scale),
+    width: images.after.width * scale,
+    height: images.after.height * scale,
+    scale,
+    pixelated: scale > actualZoom * 2
+  } : null;
+  const overlay = showHeatmap ? heatmapUrl : '';
+
+  // Zoom around a point in pane coordinates, keeping that point still
+  const zoomTo = (nextScale, anchor = { x: viewport.width / 2, y: viewport.height / 2 }) => {
+    if (!view) return;
+    const target = clamp(nextScale, Math.min(fitZoom, actualZoom), MAX_ZOOM);
+    const ratio = target / scale;
+    setPan(clampPan({
+      x: anchor.x - (anchor.x - view.x) * ratio,
+      y: anchor.y - (anchor.y - view.y) * ratio
+    }, target));
+    setZoom(target);
+  };
+
+  const handleWheel = (e) => {
+    e.preventDefault();
+    const rect = e.currentTarget.getBoundingClientRect();
+    // Side-by-side panes share one view, so measure from the pane under the cursor
+    const paneX = (e.clientX - rect.left) % (mode === 'side' ? viewport.width + 8 : Infinity);
+    zoomTo(e.deltaY < 0 ? scale * ZOOM_STEP : scale / ZOOM_STEP, { x: paneX, y: e.clientY - rect.top });
+  };
+  wheelRef.current = handleWheel;
+
+  const handlePointerDown = (e, kind) => {
+    if (!view) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const rect = containerRef.current.getBoundingClientRect();
+    dragRef.current = { kind, startX: e.clientX, startY: e.clientY, start: { x: view.x, y: view.y }, rect };
+
+    const handleMove = (event) => {
+      const drag = dragRef.current;
+      if (drag.kind === 'split') {
+        setSplit(clamp((event.clientX - drag.rect.left) / drag.rect.width, 0, 1));
+      } else {
+        setZoom(scale);
+        setPan(clampPan({
+          x: drag.start.x + event.clientX - drag.startX,
+          y: drag.start.y + event.clientY - drag.startY
+        }, scale));
+      }
+    };
+
+    const handleUp = () => {
+      dragRef.current = null;
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+  };
+
+  const buttonClass = 'px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600';
+
+  const optionClass = (isSelected) => `px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+    isSelected
+      ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+      : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+  }`;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={`compare-title-${result.id}`}
+        className="bg-white rounded-2xl shadow-soft-lg p-6 w-full max-w-6xl max-h-[95vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center mb-4 gap-4">
+          <h3 id={`compare-title-${result.id}`} className="text-xl font-bold text-gray-800 truncate">
+            🔍 Compare {result.convertedName}
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-9 h-9 rounded-full flex items-center justify-center text-gray-600 hover:bg-gray-100 transition-all duration-200"
+            aria-label="Close comparison"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Toolbar */}
+        <div className="flex flex-col lg:flex-row lg:justify-between gap-3 mb-4">
+          <div className="grid grid-cols-3 gap-2">
+            {VIEW_MODES.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setMode(option.value)}
+                className={optionClass(mode === option.value)}
+              >
+                {option.icon} {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button type="button" onClick={() => zoomTo(scale / ZOOM_STEP)} disabled={!images} className={buttonClass} aria-label="Zoom out">
+              −
+            </button>
+            <span className="w-14 text-center text-sm font-semibold text-gray-700">
+              {Math.round((scale / actualZoom) * 100)}%
+            </span>
+            <button type="button" onClick={() => zoomTo(scale * ZOOM_STEP)} disabled={!images} className={buttonClass} aria-label="Zoom in">
+              +
+            </button>
+            <button type="button" onClick={() => setZoom(null)} disabled={!images} className={buttonClass}>
+              Fit
+            </button>
+            <button type="button" onClick={() => zoomTo(actualZoom)} disabled={!images} className={buttonClass}>
+              1:1
+            </button>
+          </div>
+        </div>
+
+        {isPdf && pageCount > 1 && (
+          <div className="flex items-center gap-3 mb-4 text-sm text-gray-700">
+            <button type="button" onClick={() => setPage(p => Math.max(1, p - 1))} disabled={page <= 1} className={buttonClass}>
+              ← Prev
+            </button>
+            <span className="font-semibold">Page {page} of {pageCount}</span>
+            <button type="button" onClick={() => setPage(p => Math.min(pageCount, p + 1))} disabled={page >= pageCount} className={buttonClass}>
+              Next →
+            </button>
+          </div>
+        )}
+
+        {/* Viewer */}
+        {loadError ? (
+          <div className="flex justify-center items-center bg-gray-100 rounded-xl p-4 h-[60vh]">
+            <p className="text-red-600 text-sm">{loadError}</p>
+          </div>
+        ) : !images ? (
+          <div className="flex justify-center items-center bg-gray-100 rounded-xl p-4 h-[60vh]">
+            <div className="loading-dots text-primary-600 text-sm">
+              {isPdf ? 'Rendering page' : 'Loading images'}
+            </div>
+          </div>
+        ) : (
+          <div
+            ref={containerRef}
+            className={`relative h-[60vh] bg-gray-100 rounded-xl select-none touch-none cursor-grab ${mode === 'side' ? 'flex gap-2' : ''}`}
+            onPointerDown={(e) => handlePointerDown(e, 'pan')}
+          >
+            {view && mode === 'split' && (
+              <>
+                <ComparePane image={images.after} view={view} label="Output" overlay={overlay} />
+                <ComparePane
+                  image={images.before}
+                  view={view}
+                  label="Original"
+                  clip={`inset(0 ${(1 - split) * 100}% 0 0)`}
+                />
+                <div
+                  className="absolute top-0 bottom-0 w-1 -ml-0.5 bg-white shadow cursor-ew-resize"
+                  style={{ left: `${split * 100}%` }}
+                  onPointerDown={(e) => handlePointerDown(e, 'split')}
+                >
+                  <div className="absolute top-1/2 -translate-y-1/2 -left-3 w-7 h-7 rounded-full bg-white border-2 border-primary-500 flex items-center justify-center text-xs text-primary-600">
+                    ⇔
+                  </div>
+                </div>
+              </>
+            )}
+
+            {view && mode === 'side' && (
+              <>
+                <div className="relative flex-1 overflow-hidden rounded-lg">
+                  <ComparePane image={images.before} view={view} label="Original" />
+                </div>
+                <div className="relative flex-1 overflow-hidden rounded-lg">
+                  <ComparePane image={images.after} view={view} label="Output" overlay={overlay} />
+                </div>
+              </>
+            )}
+
+            {view && mode === 'blink' && (
+              <ComparePane
+                image={showOriginal ? images.before : images.after}
+                view={view}
+                label={showOriginal ? 'Original' : 'Output'}
+                overlay={showOriginal ? '' : overlay}
+              />
+            )}
+          </div>
+        )}
+
+        {/* Mode controls */}
+        <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3 mt-4 text-sm text-gray-600">
+          {mode === 'split' && (
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.01"
+              value={split}
+              onChange={(e) => setSplit(parseFloat(e.target.value))}
+              aria-label="Split position"
+              className="w-full sm:w-72"
+            />
+          )}
+          {mode === 'blink' && (
+            <div className="flex items-center gap-3">
+              <button
+                type="button"
+                onClick={() => setShowOriginal(prev => !prev)}
+                disabled={autoBlink}
+                className={buttonClass}
+              >
+                Show {showOriginal ? 'output' : 'original'}
+              </button>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={autoBlink}
+                  onChange={() => setAutoBlink(prev => !prev)}
+                  className="rounded"
+                />
+                <span>Blink automatically</span>
+              </label>
+            </div>
+          )}
+          {mode === 'side' && <span>Both panes zoom and pan together.</span>}
+          {heatmapUrl && (
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={showHeatmap}
+                onChange={() => setShowHeatmap(prev => !prev)}
+                className="rounded"
+              />
+              <span>🔥 Difference heatmap (red marks the most loss)</span>
+            </label>
+          )}
+          {images && (
+            <span>
+              Original {images.before.size.width}×{images.before.size.height} · Output {images.after.width}×{images.after.height}
+              {isPdf && ' (page rendered)'}
+            </span>
+          )}
+        </div>
+        <p className="mt-2 text-sm text-gray-500">
+          Scroll to zoom, drag to pan. The original is shown upright with its edits, placed where it sits in the output so details line up.
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -1,8 +1,24 @@
 import React, { useState, useEffect } from 'react';
+import { DEFAULT_MIN_DIMENSION, DEFAULT_MAX_DIMENSION } from '../utils/resize';
+import { getPaletteSize } from '../utils/PngEncoder';
+
+const RESIZE_MODE_OPTIONS = [
+  { label: '📐 Fit', value: 'fit', description: 'Shrink to fit within the size, keeping the whole image.' },
+  { label: '✂️ Cover', value: 'cover', description: 'Fill the exact size, cropping whatever sticks out.' },
+  { label: '🔲 Contain', value: 'contain', description: 'Fit the whole image into the exact size, filling the bars with a color.' },
+  { label: '％ Percent', value: 'percent', description: 'Scale both sides by a percentage.' }
+];
+
+const JPEG_SUBSAMPLING_OPTIONS = [
+  { label: '4:4:4', value: '444', description: 'Full color resolution' },
+  { label: '4:2:2', value: '422', description: 'Half horizontal color resolution' },
+  { label: '4:2:0', value: '420', description: 'Half color resolution in both directions' }
+];
 
 export const CompressionControls = ({
   settings,
   onSettingsChange,
+  outputType,
   disabled = false
 }) => {
   const [localSettings, setLocalSettings] = useState(settings);
@@ -29,10 +45,55 @@ export const CompressionControls = ({
     setLocalSettings(prev => ({ ...prev, enableCompression: !prev.enableCompression }));
   };
 
+  const handleToggleWebpLossless = () => {
+    setLocalSettings(prev => ({ ...prev, webpLossless: !prev.webpLossless }));
+  };
+
+  const handleSizeModeChange = (sizeMode) => {
+    setLocalSettings(prev => ({ ...prev, sizeMode }));
+  };
+
+  const handleTargetSizeChange = (value) => {
+    const numValue = value === '' ? undefined : parseFloat(value);
+    setLocalSettings(prev => ({ ...prev, targetSizeKB: numValue }));
+  };
+
+  const handleToggleResizeForTarget = () => {
+    setLocalSettings(prev => ({ ...prev, allowResizeForTarget: !prev.allowResizeForTarget }));
+  };
+
+  const handleAvifSpeedChange = (speed) => {
+    setLocalSettings(prev => ({ ...prev, avifSpeed: parseInt(speed, 10) }));
+  };
+
+  const handleSettingChange = (key, value) => {
+    setLocalSettings(prev => ({ ...prev, [key]: value }));
+  };
+
   const handleToggleAspectRatio = () => {
     setLocalSettings(prev => ({ ...prev, maintainAspectRatio: !prev.maintainAspectRatio }));
   };
 
+  // Target size applies to image outputs, PDFs keep the quality slider
+  const isTargetSizeMode = localSettings.sizeMode === 'target' && outputType !== 'pdf';
+  const isPngLossless = outputType === 'png' && localSettings.pngMode === 'lossless';
+  const isJpegOutput = outputType === 'jpg' || outputType === 'jpeg';
+  const isMozJpeg = localSettings.jpegEncoder === 'mozjpeg';
+  const isLossless = !isTargetSizeMode && (
+    (outputType === 'webp' && Boolean(localSettings.webpLossless)) || isPngLossless
+  );
+  const resizeMode = localSettings.resizeMode || 'fit';
+  const minDimension = localSettings.minDimension || DEFAULT_MIN_DIMENSION;
+  const maxDimension = localSettings.maxDimension || DEFAULT_MAX_DIMENSION;
+
+  const optionClass = (isSelected) => `px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+    isSelected
+      ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+      : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+  } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200';
+
   const getQualityLabel = (quality) => {
     if (quality >= 0.9) return 'High Quality';
     if (quality >= 0.7) return 'Good Quality';
@@ -41,6 +102,13 @@ export const CompressionControls = ({
     return 'Very Low Quality';
   };
 
+  const getAvifSpeedLabel = (speed) => {
+    if (speed >= 8) return 'Fastest, larger files';
+    if (speed >= 5) return 'Balanced';
+    if (speed >= 2) return 'Slow, smaller files';
+    return 'Slowest, smallest files';
+  };
+
   const getCompressionEstimate = (quality) => {
     const compressionPercent = Math.round((1 - quality) * 80); // Rough estimate
     return `~${compressionPercent}% smaller`;
@@ -73,119 +141,472 @@ export const CompressionControls = ({
 
       {localSettings.enableCompression && (
         <div className="space-y-6">
-          {/* Quality Control */}
-          <div className="space-y-3">
-            <label htmlFor="quality-slider" className="block text-base font-semibold text-gray-700">
-              Quality: {Math.round(localSettings.quality * 100)}%
-            </label>
-            <div className="space-y-2">
+          {/* Size Mode */}
+          {outputType !== 'pdf' && (
+            <div className="space-y-3">
+              <label className="block text-base font-semibold text-gray-700">
+                Compression Mode
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { label: '🎚️ Quality', value: 'quality' },
+                  { label: '🎯 Target file size', value: 'target' }
+                ].map((mode) => (
+                  <button
+                    key={mode.value}
+                    type="button"
+                    onClick={() => handleSizeModeChange(mode.value)}
+                    disabled={disabled}
+                    className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                      (localSettings.sizeMode || 'quality') === mode.value
+                        ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                        : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+                    } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Target Size */}
+          {isTargetSizeMode && (
+            <div className="space-y-3">
+              <label htmlFor="target-size" className="block text-base font-semibold text-gray-700">
+                Maximum Size per File (KB)
+              </label>
+              <input
+                id="target-size"
+                type="number"
+                placeholder="e.g. 200"
+                value={localSettings.targetSizeKB || ''}
+                onChange={(e) => handleTargetSizeChange(e.target.value)}
+                disabled={disabled}
+                min="1"
+                className="w-full sm:w-48 px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+              />
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={Boolean(localSettings.allowResizeForTarget)}
+                  onChange={handleToggleResizeForTarget}
+                  disabled={disabled}
+                  className="rounded"
+                />
+                <span>Shrink dimensions if lowering quality isn&apos;t enough</span>
+              </label>
+              <p className="text-sm text-gray-600">
+                Each file is encoded at the highest quality that fits.
+                {isPngLossless && ' Lossless PNG keeps every pixel, so only shrinking dimensions can reduce its size.'}
+                {outputType === 'png' && !isPngLossless && ' For PNG, quality sets the palette size.'}
+              </p>
+            </div>
+          )}
+
+          {/* WebP Lossless */}
+          {outputType === 'webp' && !isTargetSizeMode && (
+            <label className="flex items-center gap-2 text-sm text-gray-600">
               <input
-                id="quality-slider"
-                type="range"
-                min="0.1"
-                max="1.0"
-                step="0.05"
-                value={localSettings.quality}
-                onChange={(e) => handleQualityChange(e.target.value)}
+                type="checkbox"
+                checked={Boolean(localSettings.webpLossless)}
+                onChange={handleToggleWebpLossless}
                 disabled={disabled}
-                className={`w-full ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+                className="rounded"
               />
-              <div className="flex justify-between items-center text-sm">
-                <span className="font-medium text-gray-700">
-                  {getQualityLabel(localSettings.quality)}
-                </span>
-                <span className="text-green-600 font-semibold">
-                  {getCompressionEstimate(localSettings.quality)}
-                </span>
+              <span>Lossless WebP (keeps every pixel, ignores the quality slider)</span>
+            </label>
+          )}
+
+          {/* PNG Encoding */}
+          {outputType === 'png' && (
+            <div className="space-y-3">
+              <label className="block text-base font-semibold text-gray-700">
+                PNG Encoding
+              </label>
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { label: '🎨 Palette (PNG-8)', value: 'palette' },
+                  { label: '💎 Lossless', value: 'lossless' }
+                ].map((mode) => (
+                  <button
+                    key={mode.value}
+                    type="button"
+                    onClick={() => handleSettingChange('pngMode', mode.value)}
+                    disabled={disabled}
+                    className={optionClass((localSettings.pngMode || 'palette') === mode.value)}
+                  >
+                    {mode.label}
+                  </button>
+                ))}
               </div>
+              {isPngLossless ? (
+                <p className="text-sm text-gray-600">
+                  Keeps every pixel and re-compresses with the best filters and maximum deflate.
+                </p>
+              ) : (
+                <label className="flex items-center gap-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={localSettings.pngDither !== false}
+                    onChange={() => handleSettingChange('pngDither', localSettings.pngDither === false)}
+                    disabled={disabled}
+                    className="rounded"
+                  />
+                  <span>Dither to smooth gradients (slightly larger files)</span>
+                </label>
+              )}
             </div>
-          </div>
+          )}
+
+          {/* Advanced JPEG Encoder */}
+          {isJpegOutput && (
+            <details className="text-sm text-gray-600">
+              <summary className="cursor-pointer font-medium">⚙️ Advanced JPEG encoder</summary>
+              <div className="space-y-3 mt-2">
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    checked={isMozJpeg}
+                    onChange={() => handleSettingChange('jpegEncoder', isMozJpeg ? 'canvas' : 'mozjpeg')}
+                    disabled={disabled}
+                    className="rounded"
+                  />
+                  <span>Use MozJPEG (smaller files, slower; falls back to the browser encoder if it fails to load)</span>
+                </label>
+                {isMozJpeg && (
+                  <>
+                    <div className="grid grid-cols-2 gap-2">
+                      {[
+                        { label: 'Progressive', value: true },
+                        { label: 'Baseline', value: false }
+                      ].map((mode) => (
+                        <button
+                          key={mode.label}
+                          type="button"
+                          onClick={() => handleSettingChange('jpegProgressive', mode.value)}
+                          disabled={disabled}
+                          className={optionClass((localSettings.jpegProgressive !== false) === mode.value)}
+                        >
+                          {mode.label}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="space-y-1">
+                      <span className="font-medium">Chroma subsampling</span>
+                      <div className="grid grid-cols-3 gap-2">
+                        {JPEG_SUBSAMPLING_OPTIONS.map((mode) => (
+                          <button
+                            key={mode.value}
+                            type="button"
+                            onClick={() => handleSettingChange('jpegSubsampling', mode.value)}
+                            disabled={disabled}
+                            title={mode.description}
+                            className={optionClass((localSettings.jpegSubsampling || '420') === mode.value)}
+                          >
+                            {mode.label}
+                          </button>
+                        ))}
+                      </div>
+                      <p>4:4:4 keeps full color detail for text and sharp edges; 4:2:0 is smaller for photos. 4:2:2 sits between them and encodes more slowly.</p>
+                    </div>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={localSettings.jpegTrellis !== false}
+                        onChange={() => handleSettingChange('jpegTrellis', localSettings.jpegTrellis === false)}
+                        disabled={disabled}
+                        className="rounded"
+                      />
+                      <span>Trellis quantization</span>
+                    </label>
+                    <label className="flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={localSettings.jpegOptimizeHuffman !== false}
+                        onChange={() => handleSettingChange('jpegOptimizeHuffman', localSettings.jpegOptimizeHuffman === false)}
+                        disabled={disabled}
+                        className="rounded"
+                      />
+                      <span>Optimized Huffman tables</span>
+                    </label>
+                  </>
+                )}
+              </div>
+            </details>
+          )}
+
+          {/* Quality Control */}
+          {!isTargetSizeMode && (
+            <div className="space-y-3">
+              <label htmlFor="quality-slider" className="block text-base font-semibold text-gray-700">
+                {outputType === 'png' && !isPngLossless
+                  ? `Palette: ${getPaletteSize(localSettings.quality)} colors`
+                  : `Quality: ${Math.round(localSettings.quality * 100)}%`}
+              </label>
+              <div className="space-y-2">
+                <input
+                  id="quality-slider"
+                  type="range"
+                  min="0.1"
+                  max="1.0"
+                  step="0.05"
+                  value={localSettings.quality}
+                  onChange={(e) => handleQualityChange(e.target.value)}
+                  disabled={disabled || isLossless}
+                  className={`w-full ${disabled || isLossless ? 'opacity-50 cursor-not-allowed' : ''}`}
+                />
+                <div className="flex justify-between items-center text-sm">
+                  <span className="font-medium text-gray-700">
+                    {getQualityLabel(localSettings.quality)}
+                  </span>
+                  <span className="text-green-600 font-semibold">
+                    {getCompressionEstimate(localSettings.quality)}
+                  </span>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* AVIF Encoder Speed */}
+          {outputType === 'avif' && (
+            <div className="space-y-3">
+              <label htmlFor="avif-speed-slider" className="block text-base font-semibold text-gray-700">
+                Encoder Speed: {localSettings.avifSpeed ?? 6}
+              </label>
+              <div className="space-y-2">
+                <input
+                  id="avif-speed-slider"
+                  type="range"
+                  min="0"
+                  max="10"
+                  step="1"
+                  value={localSettings.avifSpeed ?? 6}
+                  onChange={(e) => handleAvifSpeedChange(e.target.value)}
+                  disabled={disabled}
+                  className={`w-full ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+                />
+                <div className="flex justify-between items-center text-sm">
+                  <span className="font-medium text-gray-700">
+                    {getAvifSpeedLabel(localSettings.avifSpeed ?? 6)}
+                  </span>
+                  <span className="text-gray-500">
+                    Lower speed spends more effort
+                  </span>
+                </div>
+              </div>
+            </div>
+          )}
 
           {/* Dimension Controls */}
           <div className="space-y-3">
             <label className="block text-base font-semibold text-gray-700">
               Resize Image (optional)
             </label>
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {RESIZE_MODE_OPTIONS.map((mode) => (
+                <button
+                  key={mode.value}
+                  type="button"
+                  onClick={() => handleSettingChange('resizeMode', mode.value)}
+                  disabled={disabled}
+                  title={mode.description}
+                  className={optionClass(resizeMode === mode.value)}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600">
+              {RESIZE_MODE_OPTIONS.find(mode => mode.value === resizeMode)?.description}
+            </p>
+
+            {resizeMode === 'percent' ? (
               <div className="space-y-2">
-                <label htmlFor="max-width" className="block text-sm text-gray-600 font-medium">
-                  Max Width (px)
+                <label htmlFor="resize-percent" className="block text-sm text-gray-600 font-medium">
+                  Scale (%)
                 </label>
                 <input
-                  id="max-width"
+                  id="resize-percent"
                   type="number"
-                  placeholder="Original"
-                  value={localSettings.maxWidth || ''}
-                  onChange={(e) => handleDimensionChange('maxWidth', e.target.value)}
+                  placeholder="100"
+                  value={localSettings.resizePercent || ''}
+                  onChange={(e) => handleDimensionChange('resizePercent', e.target.value)}
                   disabled={disabled}
-                  min="50"
-                  max="4000"
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+                  min="1"
+                  max="400"
+                  className={`${inputClass} sm:w-48`}
                 />
               </div>
+            ) : (
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-end">
+                <div className="space-y-2">
+                  <label htmlFor="max-width" className="block text-sm text-gray-600 font-medium">
+                    {resizeMode === 'fit' ? 'Max Width (px)' : 'Width (px)'}
+                  </label>
+                  <input
+                    id="max-width"
+                    type="number"
+                    placeholder="Original"
+                    value={localSettings.maxWidth || ''}
+                    onChange={(e) => handleDimensionChange('maxWidth', e.target.value)}
+                    disabled={disabled}
+                    min={minDimension}
+                    max={maxDimension}
+                    className={inputClass}
+                  />
+                </div>
+
+                <div className="flex justify-center items-end pb-2">
+                  <span className="text-2xl text-gray-400">×</span>
+                </div>
 
-              <div className="flex justify-center items-end pb-2">
-                <span className="text-2xl text-gray-400">×</span>
+                <div className="space-y-2">
+                  <label htmlFor="max-height" className="block text-sm text-gray-600 font-medium">
+                    {resizeMode === 'fit' ? 'Max Height (px)' : 'Height (px)'}
+                  </label>
+                  <input
+                    id="max-height"
+                    type="number"
+                    placeholder="Original"
+                    value={localSettings.maxHeight || ''}
+                    onChange={(e) => handleDimensionChange('maxHeight', e.target.value)}
+                    disabled={disabled}
+                    min={minDimension}
+                    max={maxDimension}
+                    className={inputClass}
+                  />
+                </div>
               </div>
+            )}
 
-              <div className="space-y-2">
-                <label htmlFor="max-height" className="block text-sm text-gray-600 font-medium">
-                  Max Height (px)
+            {resizeMode === 'fit' && (
+              <label className="flex items-center gap-2 text-sm text-gray-600 mt-2">
+                <input
+                  type="checkbox"
+                  checked={localSettings.maintainAspectRatio}
+                  onChange={handleToggleAspectRatio}
+                  disabled={disabled}
+                  className="rounded"
+                />
+                <span>Maintain aspect ratio (otherwise the exact size is filled by cropping)</span>
+              </label>
+            )}
+
+            {resizeMode === 'cover' && (
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { label: 'Center crop', value: 'center' },
+                  { label: 'Smart crop', value: 'smart' }
+                ].map((position) => (
+                  <button
+                    key={position.value}
+                    type="button"
+                    onClick={() => handleSettingChange('cropPosition', position.value)}
+                    disabled={disabled}
+                    className={optionClass((localSettings.cropPosition || 'center') === position.value)}
+                  >
+                    {position.label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {resizeMode === 'contain' && (
+              <div className="flex items-center gap-3">
+                <label htmlFor="letterbox-color" className="text-sm text-gray-600 font-medium">
+                  Fill color
                 </label>
                 <input
-                  id="max-height"
-                  type="number"
-                  placeholder="Original"
-                  value={localSettings.maxHeight || ''}
-                  onChange={(e) => handleDimensionChange('maxHeight', e.target.value)}
+                  id="letterbox-color"
+                  type="color"
+                  value={localSettings.letterboxColor || '#FFFFFF'}
+                  onChange={(e) => handleSettingChange('letterboxColor', e.target.value)}
                   disabled={disabled}
-                  min="50"
-                  max="4000"
-                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+                  className="w-16 h-10 border border-gray-300 rounded-lg cursor-pointer"
                 />
               </div>
-            </div>
+            )}
 
-            <label className="flex items-center gap-2 text-sm text-gray-600 mt-2">
-              <input
-                type="checkbox"
-                checked={localSettings.maintainAspectRatio}
-                onChange={handleToggleAspectRatio}
+            <div className="space-y-2">
+              <label htmlFor="resampler" className="block text-sm text-gray-600 font-medium">
+                Downscaling filter
+              </label>
+              <select
+                id="resampler"
+                value={localSettings.resampler || 'standard'}
+                onChange={(e) => handleSettingChange('resampler', e.target.value)}
                 disabled={disabled}
-                className="rounded"
-              />
-              <span>Maintain aspect ratio</span>
-            </label>
+                className={`${inputClass} sm:w-72 bg-white`}
+              >
+                <option value="standard">Standard (fastest)</option>
+                <option value="stepped">Multi-step (smoother large reductions)</option>
+                <option value="lanczos">Lanczos (sharpest, slowest)</option>
+              </select>
+            </div>
+
+            <details className="text-sm text-gray-600">
+              <summary className="cursor-pointer font-medium">Size limits</summary>
+              <div className="grid grid-cols-2 gap-4 mt-2 sm:w-96">
+                <div className="space-y-1">
+                  <label htmlFor="min-dimension">Smallest side (px)</label>
+                  <input
+                    id="min-dimension"
+                    type="number"
+                    value={localSettings.minDimension || ''}
+                    onChange={(e) => handleDimensionChange('minDimension', e.target.value)}
+                    disabled={disabled}
+                    min="1"
+                    className={inputClass}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <label htmlFor="max-dimension">Largest side (px)</label>
+                  <input
+                    id="max-dimension"
+                    type="number"
+                    value={localSettings.maxDimension || ''}
+                    onChange={(e) => handleDimensionChange('maxDimension', e.target.value)}
+                    disabled={disabled}
+                    min="1"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+              <p className="mt-2">Entered widths and heights are kept within these limits.</p>
+            </details>
           </div>
 
           {/* Quality Presets */}
-          <div className="space-y-3">
-            <label className="block text-base font-semibold text-gray-700">
-              Quick Presets
-            </label>
-            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
-              {[
-                { label: 'Original', value: 1.0 },
-                { label: 'High', value: 0.8 },
-                { label: 'Medium', value: 0.6 },
-                { label: 'Small', value: 0.3 }
-              ].map((preset) => (
-                <button
-                  key={preset.label}
-                  type="button"
-                  onClick={() => handleQualityChange(preset.value)}
-                  disabled={disabled}
-                  className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
-                    localSettings.quality === preset.value
-                      ? 'bg-primary-500 text-white border-primary-500 shadow-md'
-                      : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
-                  } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
-                >
-                  {preset.label}
-                </button>
-              ))}
+          {!isTargetSizeMode && (
+            <div className="space-y-3">
+              <label className="block text-base font-semibold text-gray-700">
+                Quick Presets
+              </label>
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                {[
+                  { label: 'Original', value: 1.0 },
+                  { label: 'High', value: 0.8 },
+                  { label: 'Medium', value: 0.6 },
+                  { label: 'Small', value: 0.3 }
+                ].map((preset) => (
+                  <button
+                    key={preset.label}
+                    type="button"
+                    onClick={() => handleQualityChange(preset.value)}
+                    disabled={disabled}
+                    className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                      localSettings.quality === preset.value
+                        ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                        : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+                    } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
         </div>
       )}
     </div>
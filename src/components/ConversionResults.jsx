@@ -1,14 +1,33 @@
-import React from 'react';
-
-const formatFileSize = (bytes) => {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+import React, { useState } from 'react';
+import { ZipExporter, MAX_IN_MEMORY_ZIP_SIZE } from '../utils/ZipExporter';
+import { ComparisonViewer } from './ComparisonViewer';
+import { formatFileSize } from '../utils/imageUtils';
+
+const ENCODER_LABELS = {
+  mozjpeg: 'MozJPEG',
+  png: 'PNG encoder',
+  avif: 'AVIF encoder',
+  browser: 'Browser'
+};
+
+const formatPSNR = (psnr) => (Number.isFinite(psnr) ? `${psnr.toFixed(1)} dB` : '∞ (identical)');
+
+const getSimilarityLabel = (ssim) => {
+  if (ssim >= 0.98) return 'Visually identical';
+  if (ssim >= 0.95) return 'Minor differences';
+  if (ssim >= 0.9) return 'Noticeable differences';
+  return 'Strong differences';
 };
 
 export const ConversionResults = ({ results }) => {
+  // Null until the user picks one, so dropped folders are mirrored by default
+  const [zipLayout, setZipLayout] = useState(null);
+  const [includeManifest, setIncludeManifest] = useState(false);
+  const [isZipping, setIsZipping] = useState(false);
+  const [zipError, setZipError] = useState('');
+  const [zipNotice, setZipNotice] = useState('');
+  const [comparedResult, setComparedResult] = useState(null);
+
   const handleDownload = (result) => {
     const link = document.createElement('a');
     link.href = result.url;
@@ -18,15 +37,33 @@ export const ConversionResults = ({ results }) => {
     document.body.removeChild(link);
   };
 
-  const handleDownloadAll = () => {
-    const successfulResults = results.filter(r => r.success);
-    successfulResults.forEach((result, index) => {
-      setTimeout(() => handleDownload(result), index * 100); // Slight delay between downloads
-    });
+  const handleDownloadAll = async () => {
+    setIsZipping(true);
+    setZipError('');
+    setZipNotice('');
+
+    try {
+      const exporter = new ZipExporter();
+      const archives = await exporter.save(results, { layout: activeZipLayout, includeManifest });
+      if (archives > 1) {
+        setZipNotice(
+          `This browser can't stream downloads, so the archive was split into ${archives} parts ` +
+          `of up to ${formatFileSize(MAX_IN_MEMORY_ZIP_SIZE)}`
+        );
+      }
+    } catch (error) {
+      setZipError(error instanceof Error ? error.message : 'Failed to create ZIP archive');
+    } finally {
+      setIsZipping(false);
+    }
   };
 
   const successfulResults = results.filter(r => r.success);
   const failedResults = results.filter(r => !r.success);
+  const hasFolders = successfulResults.some(r => r.folder);
+  const activeZipLayout = zipLayout === 'folders' && !hasFolders
+    ? 'flat'
+    : zipLayout || (hasFolders ? 'folders' : 'flat');
 
   // Calculate total compression stats
   const totalStats = successfulResults.reduce((acc, result) => {
@@ -50,17 +87,57 @@ export const ConversionResults = ({ results }) => {
           Conversion Results
         </h3>
         {successfulResults.length > 1 && (
-          <button
-            onClick={handleDownloadAll}
-            className="px-6 py-3 bg-teal-500 hover:bg-teal-600 text-white rounded-xl font-semibold transition-all duration-200 hover:scale-105 shadow-md hover:shadow-lg"
-          >
-            📥 Download All ({successfulResults.length})
-          </button>
+          <div className="flex flex-col sm:items-end gap-2">
+            <button
+              onClick={handleDownloadAll}
+              disabled={isZipping}
+              className={`px-6 py-3 bg-teal-500 text-white rounded-xl font-semibold transition-all duration-200 shadow-md ${
+                isZipping ? 'opacity-50 cursor-not-allowed' : 'hover:bg-teal-600 hover:scale-105 hover:shadow-lg'
+              }`}
+            >
+              {isZipping ? '⟳ Building ZIP...' : `📦 Download All as ZIP (${successfulResults.length})`}
+            </button>
+            <div className="flex flex-wrap items-center gap-3 text-sm text-gray-600">
+              <select
+                value={activeZipLayout}
+                onChange={(e) => setZipLayout(e.target.value)}
+                disabled={isZipping}
+                aria-label="ZIP folder layout"
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+              >
+                <option value="flat">Flat layout</option>
+                <option value="byType">Folder per source type</option>
+                {hasFolders && <option value="folders">Original folders</option>}
+              </select>
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={includeManifest}
+                  onChange={() => setIncludeManifest(prev => !prev)}
+                  disabled={isZipping}
+                  className="rounded"
+                />
+                <span>Include manifest</span>
+              </label>
+            </div>
+          </div>
         )}
       </div>
 
+      {zipNotice && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-xl text-yellow-800 text-center font-medium">
+          {zipNotice}
+        </div>
+      )}
+
+      {zipError && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-xl text-red-700 text-center font-medium">
+          {zipError}
+        </div>
+      )}
+
       {/* Compression Summary */}
-      {totalStats.fileCount > 0 && totalCompressionRatio > 0 && (
+      {totalStats.fileCount > 0 && (
         <div className="bg-gradient-to-br from-blue-50 to-blue-100 border-2 border-blue-200 rounded-xl p-6 mb-6">
           <h4 className="text-lg font-bold text-blue-800 mb-4 flex items-center gap-2">
             📊 Compression Summary
@@ -78,15 +155,27 @@ export const ConversionResults = ({ results }) => {
                 <span className="font-bold text-gray-800">{formatFileSize(totalStats.finalSize)}</span>
               </div>
             </div>
-            <div className="bg-gradient-to-br from-green-50 to-green-100 border border-green-300 p-4 rounded-lg">
-              <div className="flex justify-between items-center">
-                <span className="text-green-700 font-medium">Total Saved:</span>
-                <span className="font-bold text-green-600">
-                  {formatFileSize(totalStats.originalSize - totalStats.finalSize)} 
-                  <span className="block text-sm">({Math.round(totalCompressionRatio)}%)</span>
-                </span>
+            {totalCompressionRatio >= 0 ? (
+              <div className="bg-gradient-to-br from-green-50 to-green-100 border border-green-300 p-4 rounded-lg">
+                <div className="flex justify-between items-center">
+                  <span className="text-green-700 font-medium">Total Saved:</span>
+                  <span className="font-bold text-green-600">
+                    {formatFileSize(totalStats.originalSize - totalStats.finalSize)} 
+                    <span className="block text-sm">({Math.round(totalCompressionRatio)}%)</span>
+                  </span>
+                </div>
               </div>
-            </div>
+            ) : (
+              <div className="bg-gradient-to-br from-yellow-50 to-yellow-100 border border-yellow-300 p-4 rounded-lg">
+                <div className="flex justify-between items-center">
+                  <span className="text-yellow-800 font-medium">Total Growth:</span>
+                  <span className="font-bold text-yellow-800">
+                    {formatFileSize(totalStats.finalSize - totalStats.originalSize)}
+                    <span className="block text-sm">(+{Math.round(-totalCompressionRatio)}%)</span>
+                  </span>
+                </div>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -111,6 +200,7 @@ export const ConversionResults = ({ results }) => {
                     </div>
                     <div className="flex-1">
                       <h5 className="font-semibold text-gray-900 mb-2">
+                        {result.folder && <span className="text-gray-500 font-normal">{result.folder}/</span>}
                         {result.convertedName}
                       </h5>
                       <div className="flex flex-wrap gap-2 text-sm">
@@ -120,36 +210,163 @@ export const ConversionResults = ({ results }) => {
                         <span className="px-2 py-1 bg-primary-500 text-white rounded-md font-medium">
                           {formatFileSize(result.blob.size)}
                         </span>
+                        {result.unchanged && (
+                          <span
+                            className="px-2 py-1 bg-gray-100 text-gray-700 rounded-md font-medium"
+                            title="Already in this format with nothing to change, so the image wasn't re-encoded"
+                          >
+                            Copied unchanged
+                          </span>
+                        )}
+                        {result.pageNumber && (
+                          <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-md font-medium">
+                            Page {result.pageNumber} of {result.originalName}
+                          </span>
+                        )}
+                        {result.pageCount && (
+                          <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-md font-medium">
+                            {result.pageCount} page{result.pageCount === 1 ? '' : 's'}
+                          </span>
+                        )}
                       </div>
+                      {result.pageCount > 1 && (
+                        <p className="mt-2 text-sm text-gray-600">
+                          Combined from {result.originalName}
+                        </p>
+                      )}
+
+                      {/* Target Size */}
+                      {result.compressionStats?.targetSize && (
+                        <div className={`mt-3 px-3 py-2 rounded-lg text-sm font-medium ${
+                          result.compressionStats.targetMet
+                            ? 'bg-green-100 text-green-700'
+                            : 'bg-yellow-100 text-yellow-800 border border-yellow-300'
+                        }`}>
+                          {result.compressionStats.targetMet
+                            ? `🎯 Fits the ${formatFileSize(result.compressionStats.targetSize)} target`
+                            : `⚠️ Could not reach ${formatFileSize(result.compressionStats.targetSize)} even at the minimum settings`}
+                        </div>
+                      )}
+
+                      {/* Privacy Report */}
+                      {result.privacyReport && (
+                        <div className="mt-3 space-y-1 text-sm">
+                          {result.privacyReport.removed.length > 0 && (
+                            <div className="flex items-start gap-2 text-green-700">
+                              <span>🔒</span>
+                              <span>
+                                Removed {result.privacyReport.removed.length} sensitive field{result.privacyReport.removed.length === 1 ? '' : 's'}:{' '}
+                                {result.privacyReport.removed.map(field => field.label).join(', ')}
+                              </span>
+                            </div>
+                          )}
+                          {result.privacyReport.kept.length > 0 && (
+                            <div className="flex items-start gap-2 text-yellow-800">
+                              <span>⚠️</span>
+                              <span>
+                                Still contains: {result.privacyReport.kept.map(field => field.label).join(', ')}
+                              </span>
+                            </div>
+                          )}
+                        </div>
+                      )}
 
                       {/* Compression Stats */}
-                      {result.compressionStats && result.compressionStats.compressionRatio > 0 && (
+                      {result.compressionStats && (
                         <div className="mt-3 space-y-1 text-sm">
-                          <div className="flex items-center gap-2 text-gray-600">
-                            <span>🗜️</span>
-                            <span>
-                              Compressed by <strong>{Math.round(result.compressionStats.compressionRatio)}%</strong> 
-                              (saved {formatFileSize(
-                                result.compressionStats.originalSize - result.compressionStats.finalSize
-                              )})
-                            </span>
-                          </div>
+                          {result.compressionStats.compressionRatio >= 0 ? (
+                            <div className="flex items-center gap-2 text-gray-600">
+                              <span>🗜️</span>
+                              <span>
+                                Compressed by <strong>{Math.round(result.compressionStats.compressionRatio)}%</strong> 
+                                (saved {formatFileSize(
+                                  result.compressionStats.originalSize - result.compressionStats.finalSize
+                                )})
+                              </span>
+                            </div>
+                          ) : (
+                            <div className="flex items-center gap-2 text-yellow-800">
+                              <span>📈</span>
+                              <span>
+                                Output is <strong>{formatFileSize(
+                                  result.compressionStats.finalSize - result.compressionStats.originalSize
+                                )}</strong> larger than the original ({Math.round(-result.compressionStats.compressionRatio)}%)
+                              </span>
+                            </div>
+                          )}
                           <div className="flex items-center gap-2 text-gray-600">
                             <span>⚙️</span>
-                            <span>Quality: <strong>{Math.round(result.compressionStats.quality * 100)}%</strong></span>
+                            {result.compressionStats.paletteSize && !result.compressionStats.lossless ? (
+                              <span>
+                                Palette: <strong>{result.compressionStats.paletteSize} colors</strong>
+                                {result.compressionStats.dithered && ', dithered'}
+                              </span>
+                            ) : result.compressionStats.lossless ? (
+                              <span>Quality: <strong>Lossless</strong></span>
+                            ) : (
+                              <span>Quality: <strong>{Math.round(result.compressionStats.quality * 100)}%</strong></span>
+                            )}
+                            {result.compressionStats.encoder && (
+                              <span>
+                                {' · '}Encoder: <strong>{ENCODER_LABELS[result.compressionStats.encoder]}</strong>
+                              </span>
+                            )}
                           </div>
+                          {result.compressionStats.shrunkFrom && (
+                            <div className="flex items-start gap-2 text-yellow-800">
+                              <span>⚠️</span>
+                              <span>
+                                Shrunk from {result.compressionStats.shrunkFrom.width}×{result.compressionStats.shrunkFrom.height} to
+                                fit this browser&apos;s canvas limit
+                              </span>
+                            </div>
+                          )}
+                          {result.compressionStats.encoderFallback && (
+                            <div className="flex items-start gap-2 text-yellow-800">
+                              <span>⚠️</span>
+                              <span>
+                                MozJPEG couldn&apos;t run ({result.compressionStats.encoderFallback}), so the browser&apos;s JPEG encoder was used
+                              </span>
+                            </div>
+                          )}
+                        </div>
+                      )}
+
+                      {/* Quality Metrics */}
+                      {result.qualityMetrics && (
+                        <div className="mt-1 flex items-center gap-2 text-sm text-gray-600">
+                          <span>📐</span>
+                          {result.qualityMetrics.comparable ? (
+                            <span>
+                              SSIM <strong>{result.qualityMetrics.ssim.toFixed(4)}</strong>
+                              {' · '}PSNR <strong>{formatPSNR(result.qualityMetrics.psnr)}</strong>
+                              {' · '}{getSimilarityLabel(result.qualityMetrics.ssim)}
+                            </span>
+                          ) : (
+                            <span>Not measured: the output was cropped to a different shape</span>
+                          )}
                         </div>
                       )}
                     </div>
                   </div>
 
-                  {/* Download Button */}
-                  <button
-                    onClick={() => handleDownload(result)}
-                    className="px-6 py-3 bg-green-500 hover:bg-green-600 text-white rounded-xl font-semibold transition-all duration-200 hover:scale-105 shadow-md hover:shadow-lg whitespace-nowrap"
-                  >
-                    ⬇️ Download
-                  </button>
+                  {/* Actions */}
+                  <div className="flex flex-row sm:flex-col gap-2">
+                    <button
+                      onClick={() => handleDownload(result)}
+                      className="px-6 py-3 bg-green-500 hover:bg-green-600 text-white rounded-xl font-semibold transition-all duration-200 hover:scale-105 shadow-md hover:shadow-lg whitespace-nowrap"
+                    >
+                      ⬇️ Download
+                    </button>
+                    {(result.sourceFile || result.sourceFiles) && (
+                      <button
+                        onClick={() => setComparedResult(result)}
+                        className="px-6 py-2 bg-white border-2 border-green-300 text-green-700 hover:border-green-500 rounded-xl font-semibold transition-all duration-200 whitespace-nowrap"
+                      >
+                        🔍 Compare
+                      </button>
+                    )}
+                  </div>
                 </div>
               </div>
             ))}
@@ -185,6 +402,13 @@ export const ConversionResults = ({ results }) => {
           </div>
         </div>
       )}
+
+      {comparedResult && (
+        <ComparisonViewer
+          result={comparedResult}
+          onClose={() => setComparedResult(null)}
+        />
+      )}
     </div>
   );
 };
\ No newline at end of file
@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ImageProcessor } from '../utils/ImageProcessor';
+import { resources } from '../utils/ResourceManager';
+import { getOrientedSize, getTransformFrame, drawTransformed } from '../utils/imageUtils';
+
+const ASPECT_RATIOS = [
+  { value: 'free', label: 'Free', ratio: null },
+  { value: '1:1', label: '1:1', ratio: 1 },
+  { value: '4:3', label: '4:3', ratio: 4 / 3 },
+  { value: '16:9', label: '16:9', ratio: 16 / 9 }
+];
+
+const PREVIEW_MAX_WIDTH = 560;
+const PREVIEW_MAX_HEIGHT = 400;
+const MIN_CROP_SIZE = 0.05;
+const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+const CROP_HANDLES = ['nw', 'ne', 'sw', 'se'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Largest centered crop with a width/height ratio given in 0-1 frame units
+ */
+const getCenteredCrop = (normalizedRatio) => {
+  if (!normalizedRatio) return FULL_CROP;
+
+  let width = Math.min(1, normalizedRatio);
+  let height = width / normalizedRatio;
+  if (height > 1) {
+    height = 1;
+    width = normalizedRatio;
+  }
+
+  return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+};
+
+/**
+ * Move one corner of a crop while the opposite corner stays put
+ */
+const resizeCrop = (start, handle, dx, dy, normalizedRatio) => {
+  const left = handle.includes('w');
+  const top = handle.includes('n');
+  const anchorX = left ? start.x + start.width : start.x;
+  const anchorY = top ? start.y + start.height : start.y;
+  const maxWidth = left ? anchorX : 1 - anchorX;
+  const maxHeight = top ? anchorY : 1 - anchorY;
+
+  let width = clamp((left ? -dx : dx) + start.width, MIN_CROP_SIZE, maxWidth);
+  let height = clamp((top ? -dy : dy) + start.height, MIN_CROP_SIZE, maxHeight);
+
+  if (normalizedRatio) {
+    height = width / normalizedRatio;
+    if (height > maxHeight) {
+      height = maxHeight;
+      width = height * normalizedRatio;
+    }
+  }
+
+  return {
+    x: left ? anchorX - width : anchorX,
+    y: top ? anchorY - height : anchorY,
+    width,
+    height
+  };
+};
+
+export const ImageEditor = ({ image, autoRotate = true, onSave, onClose }) => {
+  const [source, setSource] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [rotation, setRotation] = useState(image.transforms?.rotation || 0);
+  const [straighten, setStraighten] = useState(image.transforms?.straighten || 0);
+  const [flipH, setFlipH] = useState(Boolean(image.transforms?.flipH));
+  const [flipV, setFlipV] = useState(Boolean(image.transforms?.flipV));
+  const [crop, setCrop] = useState(image.transforms?.crop || FULL_CROP);
+  const [aspect, setAspect] = useState('free');
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Load the image upright, the same way the converter will
+  useEffect(() => {
+    let url = '';
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const processor = new ImageProcessor();
+        const { sourceFile, orientation } = await processor.prepareOrientedSource(image.file, { autoRotate });
+        const img = new Image();
+        url = resources.createObjectURL(sourceFile);
+        img.onload = () => !cancelled && setSource({ img, orientation });
+        img.onerror = () => !cancelled && setLoadError('Failed to load image');
+        img.src = url;
+      } catch (error) {
+        if (!cancelled) {
+          setLoadError(error instanceof Error ? error.message : 'Failed to load image');
+        }
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+      if (url) resources.release(url);
+    };
+  }, [image.file, autoRotate]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const oriented = source
+    ? getOrientedSize(source.img.width, source.img.height, source.orientation)
+    : null;
+  const frame = oriented
+    ? getTransformFrame(oriented.width, oriented.height, { rotation, straighten })
+    : null;
+  const previewScale = frame
+    ? Math.min(PREVIEW_MAX_WIDTH / frame.width, PREVIEW_MAX_HEIGHT / frame.height, 1)
+    : 1;
+  const previewWidth = frame ? Math.round(frame.width * previewScale) : 0;
+  const previewHeight = frame ? Math.round(frame.height * previewScale) : 0;
+
+  const selectedRatio = ASPECT_RATIOS.find(option => option.value === aspect).ratio;
+  // Crops are stored in 0-1 frame units, so pixel ratios are rescaled by the frame shape
+  const normalizedRatio = selectedRatio && frame ? selectedRatio * frame.height / frame.width : null;
+
+  // Draw the uncropped frame; the crop is shown as an overlay
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !source) return;
+
+    const ctx = canvas.getContext('2d');
+    canvas.width = previewWidth;
+    canvas.height = previewHeight;
+    ctx.clearRect(0, 0, previewWidth, previewHeight);
+    drawTransformed(
+      ctx,
+      source.img,
+      source.orientation,
+      { rotation, straighten, flipH, flipV, crop: null },
+      previewWidth,
+      previewHeight
+    );
+  }, [source, rotation, straighten, flipH, flipV, previewWidth, previewHeight]);
+
+  const handleAspectChange = (value) => {
+    setAspect(value);
+    const ratio = ASPECT_RATIOS.find(option => option.value === value).ratio;
+    setCrop(getCenteredCrop(ratio && frame ? ratio * frame.height / frame.width : null));
+  };
+
+  const handleRotate = (degrees) => {
+    setRotation(prev => (prev + degrees + 360) % 360);
+    // The frame changes shape, so the crop starts over
+    setCrop(FULL_CROP);
+    setAspect('free');
+  };
+
+  // Flips apply before rotation, so a quarter turn swaps which axis looks horizontal
+  const isQuarterTurned = rotation % 180 !== 0;
+  const handleFlipHorizontal = () => (isQuarterTurned ? setFlipV(prev => !prev) : setFlipH(prev => !prev));
+  const handleFlipVertical = () => (isQuarterTurned ? setFlipH(prev => !prev) : setFlipV(prev => !prev));
+
+  const handleReset = () => {
+    setRotation(0);
+    setStraighten(0);
+    setFlipH(false);
+    setFlipV(false);
+    setCrop(FULL_CROP);
+    setAspect('free');
+  };
+
+  const handlePointerDown = (e, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragRef.current = { mode, startX: e.clientX, startY: e.clientY, startCrop: crop };
+
+    const handlePointerMove = (moveEvent) => {
+      const drag = dragRef.current;
+      if (!drag) return;
+
+      const dx = (moveEvent.clientX - drag.startX) / previewWidth;
+      const dy = (moveEvent.clientY - drag.startY) / previewHeight;
+
+      if (drag.mode === 'move') {
+        setCrop({
+          ...drag.startCrop,
+          x: clamp(drag.startCrop.x + dx, 0, 1 - drag.startCrop.width),
+          y: clamp(drag.startCrop.y + dy, 0, 1 - drag.startCrop.height)
+        });
+      } else {
+        setCrop(resizeCrop(drag.startCrop, drag.mode, dx, dy, normalizedRatio));
+      }
+    };
+
+    const handlePointerUp = () => {
+      dragRef.current = null;
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+  };
+
+  const handleSave = () => {
+    const isFullCrop = crop.x <= 0 && crop.y <= 0 && crop.width >= 1 && crop.height >= 1;
+    const transforms = {
+      rotation,
+      straighten,
+      flipH,
+      flipV,
+      crop: isFullCrop ? null : crop
+    };
+    const isUnedited = !rotation && !straighten && !flipH && !flipV && !transforms.crop;
+
+    onSave(image.id, isUnedited ? null : transforms);
+    onClose();
+  };
+
+  const buttonClass = 'px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600';
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={`image-editor-title-${image.id}`}
+        className="bg-white rounded-2xl shadow-soft-lg p-6 w-full max-w-3xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex justify-between items-center mb-4 gap-4">
+          <h3 id={`image-editor-title-${image.id}`} className="text-xl font-bold text-gray-800 truncate">
+            ✂️ Edit {image.name}
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="w-9 h-9 rounded-full flex items-center justify-center text-gray-600 hover:bg-gray-100 transition-all duration-200"
+            aria-label="Close editor"
+          >
+            ✕
+          </button>
+        </div>
+
+        {/* Preview */}
+        <div className="flex justify-center items-center bg-gray-100 rounded-xl p-4 mb-6 min-h-[200px]">
+          {loadError ? (
+            <p className="text-red-600 text-sm">{loadError}</p>
+          ) : !source ? (
+            <div className="loading-dots text-primary-600 text-sm">Loading image</div>
+          ) : (
+            <div className="relative select-none touch-none" style={{ width: previewWidth, height: previewHeight }}>
+              <canvas ref={canvasRef} className="block" />
+              <div
+                className="absolute border-2 border-white cursor-move"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`,
+                  boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)'
+                }}
+                onPointerDown={(e) => handlePointerDown(e, 'move')}
+              >
+                {CROP_HANDLES.map((handle) => (
+                  <div
+                    key={handle}
+                    className={`absolute w-4 h-4 bg-white border-2 border-primary-500 rounded-sm ${
+                      handle.includes('n') ? '-top-2' : '-bottom-2'
+                    } ${handle.includes('w') ? '-left-2' : '-right-2'} ${
+                      handle === 'nw' || handle === 'se' ? 'cursor-nwse-resize' : 'cursor-nesw-resize'
+                    }`}
+                    onPointerDown={(e) => handlePointerDown(e, handle)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-6">
+          {/* Crop */}
+          <div className="space-y-3">
+            <label className="block text-base font-semibold text-gray-700">
+              Crop
+            </label>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {ASPECT_RATIOS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => handleAspectChange(option.value)}
+                  disabled={!source}
+                  className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                    aspect === option.value
+                      ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                      : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {/* Rotate & Flip */}
+          <div className="space-y-3">
+            <label className="block text-base font-semibold text-gray-700">
+              Rotate & Flip
+            </label>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+              <button type="button" onClick={() => handleRotate(-90)} disabled={!source} className={buttonClass}>
+                ↺ Rotate left
+              </button>
+              <button type="button" onClick={() => handleRotate(90)} disabled={!source} className={buttonClass}>
+                ↻ Rotate right
+              </button>
+              <button type="button" onClick={handleFlipHorizontal} disabled={!source} className={buttonClass}>
+                ⇋ Flip horizontal
+              </button>
+              <button type="button" onClick={handleFlipVertical} disabled={!source} className={buttonClass}>
+                ⇵ Flip vertical
+              </button>
+            </div>
+          </div>
+
+          {/* Straighten */}
+          <div className="space-y-3">
+            <label htmlFor={`straighten-${image.id}`} className="block text-base font-semibold text-gray-700">
+              Straighten: {straighten > 0 ? '+' : ''}{straighten}°
+            </label>
+            <input
+              id={`straighten-${image.id}`}
+              type="range"
+              min="-45"
+              max="45"
+              step="0.5"
+              value={straighten}
+              onChange={(e) => setStraighten(parseFloat(e.target.value))}
+              disabled={!source}
+              className="w-full"
+            />
+            <p className="text-sm text-gray-600">
+              The image is zoomed in slightly so the tilted edges stay out of frame.
+            </p>
+          </div>
+        </div>
+
+        {/* Actions */}
+        <div className="flex flex-col sm:flex-row sm:justify-between gap-3 mt-8">
+          <button type="button" onClick={handleReset} disabled={!source} className={buttonClass}>
+            Reset
+          </button>
+          <div className="flex gap-3">
+            <button type="button" onClick={onClose} className={buttonClass}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={!source}
+              className="px-6 py-2 bg-primary-500 hover:bg-primary-600 text-white rounded-lg font-semibold transition-all duration-200 shadow-md"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -1,44 +1,218 @@
 import React, { useState, useEffect } from 'react';
 import { ImageProcessor } from '../utils/ImageProcessor';
+import { PdfRenderer } from '../utils/PdfRenderer';
+import { ImageEditor } from './ImageEditor';
+import { hasOverrides, sanitizeOutputName } from '../utils/overrides';
+import { SOURCE_FORMATS } from '../utils/formatDetection';
+import { formatFileSize } from '../utils/imageUtils';
 
-const formatFileSize = (bytes) => {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Row badges per sensitive metadata category
+const PRIVACY_BADGES = {
+  location: '📍 location embedded',
+  device: '📷 camera details',
+  person: '👤 owner/author name',
+  time: '🕒 capture date'
 };
 
-const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
+const OVERRIDE_FORMATS = [
+  { value: 'jpg', label: 'JPEG' },
+  { value: 'png', label: 'PNG' },
+  { value: 'webp', label: 'WebP' },
+  { value: 'avif', label: 'AVIF' },
+  { value: 'pdf', label: 'PDF' }
+];
+
+const overrideInputClass = 'w-full px-3 py-1 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200';
+
+// Short summary of an image's overrides for its badge
+const describeOverrides = (overrides) => [
+  overrides.toType && overrides.toType.toUpperCase(),
+  overrides.quality !== undefined && `${Math.round(overrides.quality * 100)}%`,
+  (overrides.maxWidth || overrides.maxHeight) && `≤ ${overrides.maxWidth || 'auto'} × ${overrides.maxHeight || 'auto'}`,
+  overrides.outputName && `"${overrides.outputName}"`
+].filter(Boolean).join(', ');
+
+const OutputOverrides = ({ image, toType, combinedPdf, onUpdate, disabled }) => {
+  const overrides = image.overrides || {};
+  // Same-format output only makes sense with compression, and PDFs can't become PDFs
+  const formats = OVERRIDE_FORMATS.filter(format => (
+    format.value !== image.sourceType && !(image.sourceType === 'pdf' && format.value === 'pdf')
+  ));
+
+  const setOverride = (key, value) => {
+    const next = { ...overrides, [key]: value };
+    if (value === undefined || value === '') {
+      delete next[key];
+    }
+    onUpdate(image.id, { overrides: hasOverrides(next) ? next : undefined });
+  };
+
+  const setDimension = (key, value) => {
+    const parsed = parseInt(value, 10);
+    setOverride(key, parsed > 0 ? parsed : undefined);
+  };
+
+  return (
+    <div className="mt-3 p-3 bg-white border border-gray-200 rounded-lg text-sm space-y-3">
+      {combinedPdf && (
+        <p className="text-gray-500 text-xs">
+          Quality and size apply to this image&apos;s page; the format and name come from the combined PDF.
+        </p>
+      )}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <label htmlFor={`override-format-${image.id}`} className="text-gray-600 font-medium">
+            Output format
+          </label>
+          <select
+            id={`override-format-${image.id}`}
+            value={overrides.toType || ''}
+            onChange={(e) => setOverride('toType', e.target.value || undefined)}
+            disabled={disabled || combinedPdf}
+            className={`${overrideInputClass} bg-white`}
+          >
+            <option value="">Batch default ({toType ? toType.toUpperCase() : 'none'})</option>
+            {formats.map((format) => (
+              <option key={format.value} value={format.value}>{format.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <label htmlFor={`override-name-${image.id}`} className="text-gray-600 font-medium">
+            Output name
+          </label>
+          <input
+            id={`override-name-${image.id}`}
+            type="text"
+            placeholder={image.name.replace(/\.[^/.]+$/, '')}
+            value={overrides.outputName || ''}
+            onChange={(e) => setOverride('outputName', sanitizeOutputName(e.target.value))}
+            disabled={disabled || combinedPdf}
+            className={overrideInputClass}
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor={`override-width-${image.id}`} className="text-gray-600 font-medium">
+            Max width (px)
+          </label>
+          <input
+            id={`override-width-${image.id}`}
+            type="number"
+            min="1"
+            placeholder="Batch default"
+            value={overrides.maxWidth || ''}
+            onChange={(e) => setDimension('maxWidth', e.target.value)}
+            disabled={disabled}
+            className={overrideInputClass}
+          />
+        </div>
+        <div className="space-y-1">
+          <label htmlFor={`override-height-${image.id}`} className="text-gray-600 font-medium">
+            Max height (px)
+          </label>
+          <input
+            id={`override-height-${image.id}`}
+            type="number"
+            min="1"
+            placeholder="Batch default"
+            value={overrides.maxHeight || ''}
+            onChange={(e) => setDimension('maxHeight', e.target.value)}
+            disabled={disabled}
+            className={overrideInputClass}
+          />
+        </div>
+      </div>
+      <div className="space-y-1">
+        <label className="flex items-center gap-2 text-gray-600 font-medium">
+          <input
+            type="checkbox"
+            checked={overrides.quality !== undefined}
+            onChange={() => setOverride('quality', overrides.quality === undefined ? 0.8 : undefined)}
+            disabled={disabled}
+            className="rounded"
+          />
+          <span>
+            Quality{overrides.quality !== undefined ? `: ${Math.round(overrides.quality * 100)}%` : ' (batch default)'}
+          </span>
+        </label>
+        {overrides.quality !== undefined && (
+          <input
+            type="range"
+            min="0.1"
+            max="1.0"
+            step="0.05"
+            value={overrides.quality}
+            onChange={(e) => setOverride('quality', parseFloat(e.target.value))}
+            disabled={disabled}
+            className="w-full"
+            aria-label={`Quality for ${image.name}`}
+          />
+        )}
+      </div>
+      {hasOverrides(overrides) && (
+        <button
+          type="button"
+          onClick={() => onUpdate(image.id, { overrides: undefined })}
+          disabled={disabled}
+          className="text-primary-600 font-medium hover:text-primary-700"
+        >
+          ↺ Reset to batch defaults
+        </button>
+      )}
+    </div>
+  );
+};
+
+const ImageItemComponent = ({
+  image,
+  onRemove,
+  onUpdate,
+  onRetry,
+  isConverting,
+  toType,
+  combinedPdf,
+  compressionSettings,
+  autoRotate
+}) => {
   const [thumbnail, setThumbnail] = useState('');
-  const [dimensions, setDimensions] = useState(null);
+  const [pageCount, setPageCount] = useState(null);
   const [compressionPreview, setCompressionPreview] = useState(null);
   const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+  const [showPrivacyDetails, setShowPrivacyDetails] = useState(false);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [showOverrides, setShowOverrides] = useState(false);
+
+  const isPdf = image.sourceType ? image.sourceType === 'pdf' : image.extension === 'pdf';
+  // A quality override previews (and converts) compressed even when the batch isn't
+  const previewQuality = image.overrides?.quality ?? compressionSettings.quality;
+  // A tiled encode is too slow to rerun on every settings change
+  const showPreview = (compressionSettings.enableCompression || image.overrides?.quality !== undefined) &&
+    !isPdf && !image.exceedsCanvas;
 
   useEffect(() => {
     const generateThumbnail = async () => {
       try {
+        if (isPdf) {
+          const renderer = new PdfRenderer();
+          setThumbnail(await renderer.generateThumbnail(image.file, 80));
+          setPageCount(await renderer.getPageCount(image.file));
+          return;
+        }
+
         const processor = new ImageProcessor();
-        const thumbnailUrl = await processor.generateThumbnail(image.file, 80);
+        const thumbnailUrl = await processor.generateThumbnail(image.file, 80, image.transforms);
         setThumbnail(thumbnailUrl);
-
-        // Get image dimensions
-        const img = new Image();
-        img.onload = () => {
-          setDimensions({ width: img.width, height: img.height });
-        };
-        img.src = URL.createObjectURL(image.file);
       } catch (error) {
         console.error('Failed to generate thumbnail:', error);
       }
     };
 
     generateThumbnail();
-  }, [image.file]);
+  }, [image.id, image.file, image.transforms, isPdf]);
 
   // Generate compression preview when settings change
   useEffect(() => {
-    if (!compressionSettings.enableCompression) {
+    if (!showPreview) {
       setCompressionPreview(null);
       return;
     }
@@ -49,7 +223,7 @@ const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
         const processor = new ImageProcessor();
         const preview = await processor.generateCompressionPreview(
           image.file, 
-          compressionSettings.quality
+          previewQuality
         );
 
         const savings = formatFileSize(image.file.size - preview.size);
@@ -71,13 +245,26 @@ const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
     // Debounce the preview generation
     const timer = setTimeout(generateCompressionPreview, 500);
     return () => clearTimeout(timer);
-  }, [image.file, compressionSettings.enableCompression, compressionSettings.quality]);
+  }, [image.file, showPreview, previewQuality]);
+
+  const getPageRangeError = () => {
+    if (!isPdf || !pageCount) return '';
+    try {
+      new PdfRenderer().parsePageRange(image.pageRange, pageCount);
+      return '';
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const pageRangeError = getPageRangeError();
 
   const getStatusIcon = () => {
     switch (image.status) {
       case 'converting': return <div className="status-icon status-converting">⟳</div>;
       case 'completed': return <div className="status-icon status-completed">✓</div>;
       case 'error': return <div className="status-icon status-error">✕</div>;
+      case 'cancelled': return <div className="status-icon status-cancelled">⊘</div>;
       default: return null;
     }
   };
@@ -87,6 +274,7 @@ const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
       case 'converting': return 'border-yellow-300 bg-gradient-to-br from-yellow-50 to-yellow-100';
       case 'completed': return 'border-green-300 bg-gradient-to-br from-green-50 to-green-100';
       case 'error': return 'border-red-300 bg-gradient-to-br from-red-50 to-red-100';
+      case 'cancelled': return 'border-gray-300 bg-gradient-to-br from-gray-50 to-gray-100';
       default: return 'border-gray-200 bg-white hover:border-gray-300 hover:shadow-md';
     }
   };
@@ -112,7 +300,11 @@ const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
 
         {/* Details */}
         <div className="flex-1 min-w-0">
-          <h4 className="font-semibold text-gray-900 truncate mb-2" title={image.name}>
+          <h4
+            className="font-semibold text-gray-900 truncate mb-2"
+            title={image.folder ? `${image.folder}/${image.name}` : image.name}
+          >
+            {image.folder && <span className="text-gray-500 font-normal">{image.folder}/</span>}
             {image.name}
           </h4>
 
@@ -120,18 +312,162 @@ const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
             <span className="px-2 py-1 bg-gray-100 text-gray-700 rounded-md font-medium">
               {formatFileSize(image.size)}
             </span>
-            <span className="px-2 py-1 bg-primary-100 text-primary-700 rounded-md font-medium">
-              {image.extension.toUpperCase()}
+            <span
+              className="px-2 py-1 bg-primary-100 text-primary-700 rounded-md font-medium"
+              title="Detected from the file contents"
+            >
+              {image.sourceType ? SOURCE_FORMATS[image.sourceType].label : image.extension.toUpperCase()}
             </span>
-            {dimensions && (
+            {image.exceedsCanvas && (
+              <span
+                className="px-2 py-1 bg-indigo-100 text-indigo-700 rounded-md font-medium"
+                title="Past this browser's canvas limit, so it is converted in strips. Edits and PDF output aren't available."
+              >
+                🧩 Tiled ({image.dimensions.width}×{image.dimensions.height})
+              </span>
+            )}
+            {image.status === 'converting' && image.progress != null && (
+              <span className="flex items-center gap-2 px-2 py-1 bg-indigo-50 text-indigo-700 rounded-md font-medium">
+                <span className="w-16 h-1.5 bg-indigo-100 rounded-full overflow-hidden">
+                  <span
+                    className="block h-full bg-indigo-500 transition-all duration-200"
+                    style={{ width: `${Math.round(image.progress * 100)}%` }}
+                  />
+                </span>
+                {Math.round(image.progress * 100)}%
+              </span>
+            )}
+            {image.sourceType && image.nameType !== image.sourceType && (
+              <span
+                className="px-2 py-1 bg-yellow-100 text-yellow-800 rounded-md font-medium"
+                title="The file will be converted as the format it actually contains"
+              >
+                ⚠️ {image.extension ? `.${image.extension}` : 'no'} extension, {SOURCE_FORMATS[image.sourceType].label} contents
+              </span>
+            )}
+            {image.dimensions && (
+              <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-md font-medium">
+                {image.dimensions.width} × {image.dimensions.height}
+              </span>
+            )}
+            {pageCount && (
               <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded-md font-medium">
-                {dimensions.width} × {dimensions.height}
+                {pageCount} page{pageCount === 1 ? '' : 's'}
+              </span>
+            )}
+            {image.status === 'cancelled' && (
+              <span className="px-2 py-1 bg-gray-200 text-gray-700 rounded-md font-medium">
+                cancelled
+              </span>
+            )}
+            {hasOverrides(image.overrides) && (
+              <button
+                type="button"
+                onClick={() => setShowOverrides(prev => !prev)}
+                className="px-2 py-1 bg-amber-100 text-amber-800 rounded-md font-medium hover:bg-amber-200 transition-colors duration-200"
+                title="Edit output overrides"
+              >
+                🎯 {describeOverrides(image.overrides)}
+              </button>
+            )}
+            {image.transforms && (
+              <span className="px-2 py-1 bg-purple-100 text-purple-700 rounded-md font-medium">
+                ✂️ edited
+              </span>
+            )}
+            {image.privacy?.categories.map((category) => (
+              <button
+                key={category}
+                type="button"
+                onClick={() => setShowPrivacyDetails(prev => !prev)}
+                className="px-2 py-1 bg-orange-100 text-orange-800 rounded-md font-medium hover:bg-orange-200 transition-colors duration-200"
+                title="Show sensitive metadata"
+              >
+                {PRIVACY_BADGES[category]}
+              </button>
+            ))}
+            {image.privacy?.scanned && image.privacy.fields.length === 0 && (
+              <span className="px-2 py-1 bg-green-100 text-green-700 rounded-md font-medium">
+                🔒 no sensitive metadata
+              </span>
+            )}
+            {image.privacy && !image.privacy.scanned && (
+              <span
+                className="px-2 py-1 bg-gray-100 text-gray-700 rounded-md font-medium"
+                title="Metadata in this format can't be read here, so it may still hold location, camera or owner details"
+              >
+                ❔ metadata not scanned
               </span>
             )}
           </div>
 
+          {/* Privacy Details */}
+          {showPrivacyDetails && image.privacy?.fields.length > 0 && (
+            <div className="mt-3 p-3 bg-orange-50 border border-orange-200 rounded-lg text-xs">
+              <div className="flex justify-between items-center mb-2">
+                <span className="font-semibold text-orange-800">
+                  Sensitive metadata ({image.privacy.fields.length})
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setShowPrivacyDetails(false)}
+                  className="text-orange-700 hover:text-orange-900"
+                  aria-label="Hide sensitive metadata"
+                >
+                  ✕
+                </button>
+              </div>
+              <dl className="grid grid-cols-1 sm:grid-cols-[auto_1fr] gap-x-4 gap-y-1">
+                {image.privacy.fields.map((field) => (
+                  <React.Fragment key={field.id}>
+                    <dt className="text-gray-600 font-medium">
+                      {field.label} <span className="text-gray-400">({field.source})</span>
+                    </dt>
+                    <dd className="text-gray-800 break-all">{field.value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </div>
+          )}
+
+          {/* Page Picker */}
+          {isPdf && (
+            <div className="mt-3 flex flex-col sm:flex-row sm:items-center gap-2 text-sm">
+              <label htmlFor={`page-range-${image.id}`} className="text-gray-600 font-medium whitespace-nowrap">
+                Pages:
+              </label>
+              <input
+                id={`page-range-${image.id}`}
+                type="text"
+                placeholder="All pages (e.g. 1-3,7)"
+                value={image.pageRange || ''}
+                onChange={(e) => onUpdate(image.id, { pageRange: e.target.value })}
+                disabled={image.status === 'converting'}
+                className={`w-full sm:w-56 px-3 py-1 border rounded-lg focus:ring-2 transition-all duration-200 ${
+                  pageRangeError
+                    ? 'border-red-300 focus:border-red-500 focus:ring-red-200'
+                    : 'border-gray-300 focus:border-primary-500 focus:ring-primary-200'
+                }`}
+              />
+              {pageRangeError && (
+                <span className="text-red-600 text-xs">{pageRangeError}</span>
+              )}
+            </div>
+          )}
+
+          {/* Output Overrides */}
+          {showOverrides && (
+            <OutputOverrides
+              image={image}
+              toType={toType}
+              combinedPdf={combinedPdf}
+              onUpdate={onUpdate}
+              disabled={image.status === 'converting'}
+            />
+          )}
+
           {/* Compression Preview */}
-          {compressionSettings.enableCompression && (
+          {showPreview && (
             <div className="mt-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
               {isLoadingPreview ? (
                 <div className="flex items-center gap-2 text-primary-600 text-sm">
@@ -162,27 +498,98 @@ const ImageItemComponent = ({ image, onRemove, compressionSettings }) => {
         </div>
       </div>
 
-      {/* Remove Button */}
-      <button
-        type="button"
-        onClick={() => onRemove(image.id)}
-        disabled={image.status === 'converting'}
-        className={`
-          w-9 h-9 rounded-full flex items-center justify-center text-gray-600 transition-all duration-200
-          ${image.status === 'converting' 
-            ? 'opacity-50 cursor-not-allowed' 
-            : 'hover:bg-red-500 hover:text-white hover:scale-110'
-          }
-        `}
-        aria-label={`Remove ${image.name}`}
-      >
-        ✕
-      </button>
+      {/* Actions */}
+      <div className="flex items-center gap-2 self-end sm:self-auto">
+        {(image.status === 'error' || image.status === 'cancelled') && (
+          <button
+            type="button"
+            onClick={() => onRetry(image.id)}
+            disabled={isConverting}
+            className={`
+              px-3 h-9 rounded-full flex items-center justify-center text-sm font-semibold text-gray-600 transition-all duration-200
+              ${isConverting
+                ? 'opacity-50 cursor-not-allowed'
+                : 'hover:bg-primary-500 hover:text-white'
+              }
+            `}
+            aria-label={`Retry ${image.name}`}
+          >
+            ↻ Retry
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => setShowOverrides(prev => !prev)}
+          className={`
+            px-3 h-9 rounded-full flex items-center justify-center text-sm font-semibold transition-all duration-200
+            ${showOverrides ? 'bg-primary-500 text-white' : 'text-gray-600 hover:bg-primary-500 hover:text-white'}
+          `}
+          aria-expanded={showOverrides}
+          aria-label={`Output settings for ${image.name}`}
+        >
+          🎯 Output
+        </button>
+
+        {/* Tiled images are never decoded whole, so they can't be edited */}
+        {!isPdf && !image.exceedsCanvas && (
+          <button
+            type="button"
+            onClick={() => setIsEditorOpen(true)}
+            disabled={image.status === 'converting'}
+            className={`
+              px-3 h-9 rounded-full flex items-center justify-center text-sm font-semibold text-gray-600 transition-all duration-200
+              ${image.status === 'converting'
+                ? 'opacity-50 cursor-not-allowed'
+                : 'hover:bg-primary-500 hover:text-white'
+              }
+            `}
+            aria-label={`Edit ${image.name}`}
+          >
+            ✂️ Edit
+          </button>
+        )}
+
+        {/* Remove Button */}
+        <button
+          type="button"
+          onClick={() => onRemove(image.id)}
+          disabled={image.status === 'converting'}
+          className={`
+            w-9 h-9 rounded-full flex items-center justify-center text-gray-600 transition-all duration-200
+            ${image.status === 'converting' 
+              ? 'opacity-50 cursor-not-allowed' 
+              : 'hover:bg-red-500 hover:text-white hover:scale-110'
+            }
+          `}
+          aria-label={`Remove ${image.name}`}
+        >
+          ✕
+        </button>
+      </div>
+
+      {isEditorOpen && (
+        <ImageEditor
+          image={image}
+          autoRotate={autoRotate}
+          onSave={(id, transforms) => onUpdate(id, { transforms })}
+          onClose={() => setIsEditorOpen(false)}
+        />
+      )}
     </div>
   );
 };
 
-export const ImageList = ({ images, onRemoveImage, compressionSettings }) => {
+export const ImageList = ({
+  images,
+  onRemoveImage,
+  onUpdateImage,
+  onRetryImage,
+  isConverting = false,
+  toType,
+  combinedPdf = false,
+  compressionSettings,
+  autoRotate = true
+}) => {
   const totalOriginalSize = images.reduce((sum, img) => sum + img.size, 0);
 
   return (
@@ -198,7 +605,9 @@ export const ImageList = ({ images, onRemoveImage, compressionSettings }) => {
           </span>
           {compressionSettings.enableCompression && (
             <span className="px-3 py-1 bg-green-500 text-white rounded-full font-medium text-xs">
-              🗜️ Compression enabled ({Math.round(compressionSettings.quality * 100)}% quality)
+              🗜️ Compression enabled ({compressionSettings.sizeMode === 'target'
+                ? `≤ ${compressionSettings.targetSizeKB} KB target`
+                : `${Math.round(compressionSettings.quality * 100)}% quality`})
             </span>
           )}
         </div>
@@ -211,7 +620,13 @@ export const ImageList = ({ images, onRemoveImage, compressionSettings }) => {
             key={image.id}
             image={image}
             onRemove={onRemoveImage}
+            onUpdate={onUpdateImage}
+            onRetry={onRetryImage}
+            isConverting={isConverting}
+            toType={toType}
+            combinedPdf={combinedPdf}
             compressionSettings={compressionSettings}
+            autoRotate={autoRotate}
           />
         ))}
       </div>
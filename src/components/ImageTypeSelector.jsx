@@ -1,15 +1,20 @@
 import React from 'react';
 
 const INPUT_IMAGE_TYPES = [
-  { value: '', label: 'Select image type', icon: '🖼️' },
+  { value: 'any', label: 'Any supported', icon: '🗂️' },
   { value: 'jpg', label: 'JPEG Image', icon: '🖼️' },
   { value: 'png', label: 'PNG Image', icon: '🖼️' },
+  { value: 'webp', label: 'WebP Image', icon: '🖼️' },
+  { value: 'avif', label: 'AVIF Image', icon: '🖼️' },
+  { value: 'pdf', label: 'PDF Document', icon: '📄' },
 ];
 
 const OUTPUT_IMAGE_TYPES = [
   { value: '', label: 'Select output format', icon: '📄' },
   { value: 'jpg', label: 'JPEG Image', icon: '🖼️' },
   { value: 'png', label: 'PNG Image', icon: '🖼️' },
+  { value: 'webp', label: 'WebP Image', icon: '🖼️' },
+  { value: 'avif', label: 'AVIF Image', icon: '🖼️' },
   { value: 'pdf', label: 'PDF Document', icon: '📄' },
 ];
 
@@ -21,10 +26,15 @@ export const ImageTypeSelector = ({
 }) => {
   const isConversionSupported = (from, to) => {
     if (!from || !to || from === to) return false;
+    // Mixed batches convert each file from its detected format
+    if (from === 'any') return true;
 
     const supportedCombinations = [
-      ['jpg', 'png'], ['jpg', 'pdf'],
-      ['png', 'jpg'], ['png', 'pdf']
+      ['jpg', 'png'], ['jpg', 'webp'], ['jpg', 'avif'], ['jpg', 'pdf'],
+      ['png', 'jpg'], ['png', 'webp'], ['png', 'avif'], ['png', 'pdf'],
+      ['webp', 'jpg'], ['webp', 'png'], ['webp', 'avif'], ['webp', 'pdf'],
+      ['avif', 'jpg'], ['avif', 'png'], ['avif', 'webp'], ['avif', 'pdf'],
+      ['pdf', 'jpg'], ['pdf', 'png'], ['pdf', 'webp'], ['pdf', 'avif']
     ];
 
     return supportedCombinations.some(([f, t]) => f === from && t === to);
@@ -34,6 +44,7 @@ export const ImageTypeSelector = ({
     if (!from || !to) return '';
     if (from === to) return 'Source and target formats cannot be the same';
     if (!isConversionSupported(from, to)) return 'This conversion is not supported';
+    if (from === 'any') return `✅ Each file is converted from its detected format to ${to.toUpperCase()} in your browser`;
 
     return '✅ This conversion can be processed in your browser';
   };
@@ -45,7 +56,7 @@ export const ImageTypeSelector = ({
         {/* From Type */}
         <div className="space-y-2">
           <label htmlFor="from-type" className="block text-sm font-semibold text-gray-700">
-            From (Source Format)
+            From (Source Format, optional)
           </label>
           <select
             id="from-type"
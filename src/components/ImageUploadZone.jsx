@@ -1,12 +1,30 @@
-import React, { useCallback, useState, useRef } from 'react';
+import React, { useCallback, useEffect, useState, useRef } from 'react';
+import { SOURCE_FORMATS, detectFormat, readDimensions, withDetectedType } from '../utils/formatDetection';
+import { getDroppedFiles, getFolderInputFiles, getPastedFiles } from '../utils/fileSources';
+import { exceedsCanvasLimits } from '../utils/canvasLimits';
+
+const MB = 1024 * 1024;
+
+const formatMB = (bytes) => `${parseFloat((bytes / MB).toFixed(1))} MB`;
+
+// Pastes aimed at a text field are left to the field
+const isTextTarget = (target) => (
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+);
 
 export const ImageUploadZone = ({
   onImagesSelected,
+  onFilesRejected,
   acceptedTypes,
+  limits,
+  currentCount = 0,
+  currentSize = 0,
   disabled = false
 }) => {
   const [isDragOver, setIsDragOver] = useState(false);
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
 
   const getAcceptString = useCallback(() => {
     switch (acceptedTypes) {
@@ -15,26 +33,108 @@ export const ImageUploadZone = ({
         return '.jpg,.jpeg,image/jpeg';
       case 'png':
         return '.png,image/png';
+      case 'webp':
+        return '.webp,image/webp';
+      case 'avif':
+        return '.avif,image/avif';
+      case 'pdf':
+        return '.pdf,application/pdf';
+      case 'any':
+        return '.jpg,.jpeg,.png,.webp,.avif,.pdf,image/jpeg,image/png,image/webp,image/avif,application/pdf';
       default:
-        return '.jpg,.jpeg,.png,image/jpeg,image/png';
+        return '.jpg,.jpeg,.png,.webp,.avif,image/jpeg,image/png,image/webp,image/avif';
     }
   }, [acceptedTypes]);
 
-  const validateFile = useCallback((file) => {
-    const maxSize = 10 * 1024 * 1024; // 10MB
-    if (file.size > maxSize) {
-      alert(`Image ${file.name} is too large. Maximum size is 10MB.`);
-      return false;
+  /**
+   * Check a file against the per-file limits and identify it by its
+   * contents rather than its name or reported MIME type
+   * @param {Object} source - { file, folder }
+   * @returns {Promise<Object>} The source with its file typed by the detected format
+   * and its pixel size when known, or { rejected } with the reason
+   */
+  const validateFile = useCallback(async ({ file, folder }) => {
+    if (limits.maxFileSizeMB && file.size > limits.maxFileSizeMB * MB) {
+      return { rejected: `${formatMB(file.size)} is over the ${limits.maxFileSizeMB} MB per-file limit` };
     }
 
-    const validTypes = ['image/jpeg', 'image/jpg', 'image/png'];
-    if (!validTypes.includes(file.type)) {
-      alert(`File ${file.name} is not a valid image format. Please select JPG or PNG images.`);
-      return false;
+    const format = await detectFormat(file);
+    if (!format) {
+      return { rejected: 'Not a JPG, PNG, WebP, AVIF or PDF file' };
     }
 
-    return true;
-  }, []);
+    const expected = acceptedTypes === 'jpeg' ? 'jpg' : acceptedTypes;
+    if (expected !== 'any' && format !== expected) {
+      return { rejected: `Contains ${SOURCE_FORMATS[format].label} data, not ${SOURCE_FORMATS[expected].label}. Choose "Any supported" as the source format to mix types` };
+    }
+
+    const dimensions = await readDimensions(file, format);
+    const megapixels = dimensions ? (dimensions.width * dimensions.height) / 1e6 : 0;
+    if (limits.maxMegapixels && megapixels > limits.maxMegapixels) {
+      return { rejected: `${dimensions.width}×${dimensions.height} (${megapixels.toFixed(1)} MP) is over the ${limits.maxMegapixels} MP limit` };
+    }
+
+    return {
+      file: withDetectedType(file, format),
+      folder,
+      dimensions,
+      // Flagged on the item so the batch reports it up front rather than failing mid-way
+      exceedsCanvas: dimensions ? await exceedsCanvasLimits(dimensions.width, dimensions.height) : false
+    };
+  }, [acceptedTypes, limits]);
+
+  /**
+   * Validate sources and pass the accepted ones on. Batch limits count the
+   * images already selected and are applied in the order the files arrived;
+   * everything turned away is reported together.
+   * @param {Array<Object>} sources - { file, folder } pairs
+   */
+  const addFiles = useCallback(async (sources) => {
+    const checked = await Promise.all(sources.map(validateFile));
+    const accepted = [];
+    const rejections = [];
+    let count = currentCount;
+    let totalSize = currentSize;
+
+    checked.forEach((result, index) => {
+      const { file, folder } = sources[index];
+      const name = folder ? `${folder}/${file.name}` : file.name;
+
+      if (result.rejected) {
+        rejections.push({ name, reason: result.rejected });
+      } else if (limits.maxFiles && count >= limits.maxFiles) {
+        rejections.push({ name, reason: `The batch is limited to ${limits.maxFiles} files` });
+      } else if (limits.maxTotalSizeMB && totalSize + file.size > limits.maxTotalSizeMB * MB) {
+        rejections.push({ name, reason: `Would take the batch over its ${limits.maxTotalSizeMB} MB total` });
+      } else {
+        accepted.push(result);
+        count += 1;
+        totalSize += file.size;
+      }
+    });
+
+    if (accepted.length > 0) {
+      onImagesSelected(accepted);
+    }
+    onFilesRejected(rejections);
+  }, [validateFile, onImagesSelected, onFilesRejected, limits, currentCount, currentSize]);
+
+  useEffect(() => {
+    if (disabled) return undefined;
+
+    const handlePaste = (e) => {
+      if (isTextTarget(e.target)) return;
+
+      const sources = getPastedFiles(e.clipboardData);
+      if (sources.length > 0) {
+        e.preventDefault();
+        addFiles(sources);
+      }
+    };
+
+    document.addEventListener('paste', handlePaste);
+    return () => document.removeEventListener('paste', handlePaste);
+  }, [disabled, addFiles]);
 
   const handleDragEnter = useCallback((e) => {
     e.preventDefault();
@@ -62,26 +162,34 @@ export const ImageUploadZone = ({
 
     if (disabled) return;
 
-    const files = Array.from(e.dataTransfer.files);
-    const validFiles = files.filter(validateFile);
+    getDroppedFiles(e.dataTransfer)
+      .then(addFiles)
+      .catch(err => onFilesRejected([{ name: 'Dropped items', reason: `Could not be read: ${err.message}` }]));
+  }, [disabled, addFiles, onFilesRejected]);
 
-    if (validFiles.length > 0) {
-      onImagesSelected(validFiles);
+  const handleFileSelect = useCallback((e) => {
+    addFiles(Array.from(e.target.files || []).map(file => ({ file, folder: '' })));
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
     }
-  }, [disabled, validateFile, onImagesSelected]);
+  }, [addFiles]);
 
-  const handleFileSelect = useCallback((e) => {
-    const files = Array.from(e.target.files || []);
-    const validFiles = files.filter(validateFile);
+  const handleFolderSelect = useCallback((e) => {
+    addFiles(getFolderInputFiles(e.target.files || []));
 
-    if (validFiles.length > 0) {
-      onImagesSelected(validFiles);
+    if (folderInputRef.current) {
+      folderInputRef.current.value = '';
     }
+  }, [addFiles]);
 
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
+  const handleChooseFolder = useCallback((e) => {
+    // Keep the zone's own click from opening the file picker as well
+    e.stopPropagation();
+    if (!disabled && folderInputRef.current) {
+      folderInputRef.current.click();
     }
-  }, [validateFile, onImagesSelected]);
+  }, [disabled]);
 
   const handleClick = useCallback(() => {
     if (!disabled && fileInputRef.current) {
@@ -89,6 +197,8 @@ export const ImageUploadZone = ({
     }
   }, [disabled]);
 
+  const sizeNote = limits.maxFileSizeMB ? ` up to ${limits.maxFileSizeMB}MB each` : '';
+
   return (
     <div
       className={`
@@ -115,31 +225,43 @@ export const ImageUploadZone = ({
         className="hidden"
         disabled={disabled}
       />
+      <input
+        ref={folderInputRef}
+        type="file"
+        multiple
+        webkitdirectory=""
+        onChange={handleFolderSelect}
+        className="hidden"
+        disabled={disabled}
+      />
 
       <div className="pointer-events-none space-y-4">
-        {disabled ? (
-          <>
-            <div className="text-6xl">⚠️</div>
-            <p className="text-lg font-semibold text-gray-600">
-              Please select a "From" image type first
-            </p>
-          </>
-        ) : (
-          <>
-            <div className="text-6xl">🖼️</div>
-            <div className="space-y-2">
-              <p className="text-lg font-semibold text-gray-800">
-                <span className="text-primary-600">Drop images here</span> or{' '}
-                <span className="text-primary-600 hover:text-primary-700 transition-colors">
-                  click to browse
-                </span>
-              </p>
-              <p className="text-sm text-gray-600">
-                Supports JPG and PNG images up to 10MB each
-              </p>
-            </div>
-          </>
-        )}
+        <div className="text-6xl">🖼️</div>
+        <div className="space-y-2">
+          <p className="text-lg font-semibold text-gray-800">
+            <span className="text-primary-600">Drop {acceptedTypes === 'pdf' ? 'PDFs' : acceptedTypes === 'any' ? 'images or PDFs' : 'images'} here</span> or{' '}
+            <span className="text-primary-600 hover:text-primary-700 transition-colors">
+              click to browse
+            </span>
+          </p>
+          <p className="text-sm text-gray-600">
+            {acceptedTypes === 'pdf'
+              ? `Supports PDF documents${sizeNote}`
+              : acceptedTypes === 'any'
+                ? `Mix JPG, PNG, WebP, AVIF and PDF files${sizeNote}; formats are detected from the file contents`
+                : `Supports JPG, PNG, WebP and AVIF images${sizeNote}`}
+          </p>
+          <p className="text-sm text-gray-500">
+            Folders keep their structure in the outputs. You can also paste images with Ctrl+V.
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={handleChooseFolder}
+          className="pointer-events-auto px-4 py-2 text-sm font-semibold rounded-lg border-2 border-gray-200 bg-white text-gray-700 hover:border-primary-300 hover:text-primary-600 transition-all duration-200"
+        >
+          📁 Choose folder
+        </button>
       </div>
     </div>
   );
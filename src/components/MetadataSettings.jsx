@@ -0,0 +1,81 @@
+import React from 'react';
+
+const METADATA_POLICIES = [
+  { value: 'strip', label: 'Strip all', icon: '🧹', description: 'Remove every EXIF, XMP and IPTC field' },
+  { value: 'copyright', label: 'Copyright only', icon: '©️', description: 'Keep author, copyright and dates' },
+  { value: 'keep', label: 'Keep all', icon: '📋', description: 'Copy EXIF, XMP, IPTC and sRGB profiles' }
+];
+
+export const MetadataSettings = ({
+  settings,
+  onSettingsChange,
+  outputType,
+  disabled = false
+}) => {
+  const handleSettingChange = (key, value) => {
+    onSettingsChange({ ...settings, [key]: value });
+  };
+
+  const metadataPolicy = settings.metadataPolicy || 'strip';
+  const writesMetadata = outputType === 'jpg' || outputType === 'jpeg';
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 border-2 border-gray-200 rounded-2xl p-6 mb-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 gap-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          🏷️ Orientation & Metadata
+        </h3>
+      </div>
+
+      <div className="space-y-6">
+        {/* Orientation */}
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.autoRotate !== false}
+            onChange={(e) => handleSettingChange('autoRotate', e.target.checked)}
+            disabled={disabled}
+            className="rounded"
+          />
+          <span className="text-base font-semibold text-gray-700">
+            Rotate upright using the EXIF orientation
+          </span>
+        </label>
+
+        {/* Metadata Policy */}
+        <div className="space-y-3">
+          <label className="block text-base font-semibold text-gray-700">
+            Metadata
+          </label>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+            {METADATA_POLICIES.map((policy) => (
+              <button
+                key={policy.value}
+                type="button"
+                onClick={() => handleSettingChange('metadataPolicy', policy.value)}
+                disabled={disabled}
+                title={policy.description}
+                className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                  metadataPolicy === policy.value
+                    ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                    : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+                } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+              >
+                {policy.icon} {policy.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-sm text-gray-600">
+            {METADATA_POLICIES.find(policy => policy.value === metadataPolicy).description}.
+          </p>
+          {!writesMetadata && metadataPolicy !== 'strip' && (
+            <p className="text-sm text-yellow-800 bg-yellow-100 border border-yellow-300 rounded-lg px-3 py-2">
+              ⚠️ Metadata is only written back into JPEG output; {outputType?.toUpperCase()} files are always stripped.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
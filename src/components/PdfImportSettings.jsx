@@ -0,0 +1,65 @@
+import React from 'react';
+
+const DPI_PRESETS = [
+  { label: 'Screen', value: 72 },
+  { label: 'Standard', value: 150 },
+  { label: 'Print', value: 300 }
+];
+
+export const PdfImportSettings = ({
+  settings,
+  onSettingsChange,
+  disabled = false
+}) => {
+  const handleDpiChange = (value) => {
+    const dpi = parseInt(value, 10);
+    onSettingsChange({ ...settings, dpi: isNaN(dpi) ? settings.dpi : dpi });
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 border-2 border-gray-200 rounded-2xl p-6 mb-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 gap-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          📑 PDF Import Settings
+        </h3>
+      </div>
+
+      <div className="space-y-3">
+        <label htmlFor="pdf-render-dpi" className="block text-base font-semibold text-gray-700">
+          Render Resolution: {settings.dpi} DPI
+        </label>
+        <div className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+          {DPI_PRESETS.map((preset) => (
+            <button
+              key={preset.value}
+              type="button"
+              onClick={() => handleDpiChange(preset.value)}
+              disabled={disabled}
+              className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                settings.dpi === preset.value
+                  ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                  : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+              } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+            >
+              {preset.label} ({preset.value})
+            </button>
+          ))}
+          <input
+            id="pdf-render-dpi"
+            type="number"
+            value={settings.dpi}
+            onChange={(e) => handleDpiChange(e.target.value)}
+            disabled={disabled}
+            min="36"
+            max="600"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+          />
+        </div>
+        <p className="text-sm text-gray-600">
+          Each selected page becomes its own image. Pick pages per file in the list below.
+        </p>
+      </div>
+    </div>
+  );
+};
\ No newline at end of file
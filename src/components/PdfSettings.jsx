@@ -0,0 +1,180 @@
+import React from 'react';
+
+const OUTPUT_MODES = [
+  { value: 'separate', label: 'One PDF per image', icon: '📄' },
+  { value: 'single', label: 'Single document', icon: '📚' }
+];
+
+const PAGE_SIZES = [
+  { value: 'a4', label: 'A4 (210 × 297 mm)' },
+  { value: 'letter', label: 'Letter (8.5 × 11 in)' },
+  { value: 'legal', label: 'Legal (8.5 × 14 in)' },
+  { value: 'a3', label: 'A3 (297 × 420 mm)' },
+  { value: 'fit', label: 'Fit page to image' }
+];
+
+const ORIENTATIONS = [
+  { value: 'auto', label: 'Auto-detect per image' },
+  { value: 'portrait', label: 'Portrait' },
+  { value: 'landscape', label: 'Landscape' }
+];
+
+const PLACEMENTS = [
+  { value: 'fit', label: 'Fit', description: 'Whole image, scaled to the page' },
+  { value: 'fill', label: 'Fill', description: 'Covers the page, edges cropped' },
+  { value: 'actual', label: 'Actual size', description: 'Original size at 96 DPI' }
+];
+
+export const PdfSettings = ({
+  settings,
+  onSettingsChange,
+  imageCount = 0,
+  disabled = false
+}) => {
+  const handleOutputModeChange = (outputMode) => {
+    onSettingsChange({ ...settings, outputMode });
+  };
+
+  const handleSettingChange = (key, value) => {
+    onSettingsChange({ ...settings, [key]: value });
+  };
+
+  const handleMarginChange = (value) => {
+    const margin = value === '' ? 0 : Math.max(0, parseFloat(value));
+    onSettingsChange({ ...settings, margin: isNaN(margin) ? 0 : margin });
+  };
+
+  const isFitToImage = settings.pageSize === 'fit';
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 border-2 border-gray-200 rounded-2xl p-6 mb-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 gap-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          📄 PDF Settings
+        </h3>
+      </div>
+
+      <div className="space-y-6">
+        {/* Output Mode */}
+        <div className="space-y-3">
+          <label className="block text-base font-semibold text-gray-700">
+            Output
+          </label>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            {OUTPUT_MODES.map((mode) => (
+              <button
+                key={mode.value}
+                type="button"
+                onClick={() => handleOutputModeChange(mode.value)}
+                disabled={disabled}
+                className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                  settings.outputMode === mode.value
+                    ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                    : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+                } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+              >
+                {mode.icon} {mode.label}
+              </button>
+            ))}
+          </div>
+          {settings.outputMode === 'single' && (
+            <p className="text-sm text-gray-600">
+              {imageCount > 0
+                ? `All ${imageCount} image(s) will become pages of one PDF, in the order listed below.`
+                : 'All selected images will become pages of one PDF, in the order listed below.'}
+            </p>
+          )}
+        </div>
+
+        {/* Page Setup */}
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="space-y-2">
+            <label htmlFor="pdf-page-size" className="block text-sm text-gray-600 font-medium">
+              Page Size
+            </label>
+            <select
+              id="pdf-page-size"
+              value={settings.pageSize}
+              onChange={(e) => handleSettingChange('pageSize', e.target.value)}
+              disabled={disabled}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size.value} value={size.value}>
+                  {size.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="pdf-orientation" className="block text-sm text-gray-600 font-medium">
+              Orientation
+            </label>
+            <select
+              id="pdf-orientation"
+              value={isFitToImage ? 'auto' : settings.orientation}
+              onChange={(e) => handleSettingChange('orientation', e.target.value)}
+              disabled={disabled || isFitToImage}
+              className={`w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200 ${isFitToImage ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              {ORIENTATIONS.map((orientation) => (
+                <option key={orientation.value} value={orientation.value}>
+                  {orientation.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-2">
+            <label htmlFor="pdf-margin" className="block text-sm text-gray-600 font-medium">
+              Margin (mm)
+            </label>
+            <input
+              id="pdf-margin"
+              type="number"
+              value={settings.margin}
+              onChange={(e) => handleMarginChange(e.target.value)}
+              disabled={disabled}
+              min="0"
+              max="50"
+              step="1"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+            />
+          </div>
+        </div>
+
+        {/* Image Placement */}
+        {!isFitToImage && (
+          <div className="space-y-3">
+            <label className="block text-base font-semibold text-gray-700">
+              Image Placement
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              {PLACEMENTS.map((placement) => (
+                <button
+                  key={placement.value}
+                  type="button"
+                  onClick={() => handleSettingChange('placement', placement.value)}
+                  disabled={disabled}
+                  title={placement.description}
+                  className={`px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+                    settings.placement === placement.value
+                      ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+                      : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+                  } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                >
+                  {placement.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-sm text-gray-600">
+              {PLACEMENTS.find(p => p.value === settings.placement)?.description}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+import React, { useState, useRef } from 'react';
+import { PresetStore } from '../utils/PresetStore';
+import { resources } from '../utils/ResourceManager';
+
+const describePreset = (preset) => {
+  const settings = preset.compressionSettings;
+  const size = settings.maxWidth || settings.maxHeight
+    ? `${settings.maxWidth || 'auto'}×${settings.maxHeight || 'auto'}`
+    : null;
+  const quality = settings.enableCompression
+    ? settings.sizeMode === 'target' ? `≤ ${settings.targetSizeKB} KB` : `q${settings.quality}`
+    : null;
+
+  return [
+    preset.fromType && preset.toType ? `${preset.fromType.toUpperCase()} → ${preset.toType.toUpperCase()}` : null,
+    size,
+    quality
+  ].filter(Boolean).join(' · ');
+};
+
+export const PresetManager = ({
+  fromType,
+  toType,
+  compressionSettings,
+  onApplyPreset,
+  disabled = false
+}) => {
+  const [store] = useState(() => new PresetStore());
+  const [presets, setPresets] = useState(() => store.load());
+  const [selectedId, setSelectedId] = useState('');
+  const [newName, setNewName] = useState('');
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const selectedPreset = presets.find(preset => preset.id === selectedId);
+
+  const updatePresets = (next) => {
+    try {
+      store.save(next);
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Presets could not be saved in this browser' });
+    }
+    setPresets(next);
+  };
+
+  const handleSelect = (id) => {
+    setSelectedId(id);
+    setMessage(null);
+    const preset = presets.find(p => p.id === id);
+    if (preset) {
+      onApplyPreset(preset);
+    }
+  };
+
+  const handleSave = () => {
+    const name = newName.trim();
+    if (!name) return;
+
+    const preset = store.create(name, { fromType, toType, compressionSettings });
+    updatePresets(store.merge(presets, [preset]));
+    setSelectedId(preset.id);
+    setNewName('');
+    setMessage({ type: 'success', text: `Saved "${preset.name}"` });
+  };
+
+  const handleDelete = () => {
+    if (!selectedPreset) return;
+
+    updatePresets(presets.filter(preset => preset.id !== selectedPreset.id));
+    setSelectedId('');
+    setMessage({ type: 'success', text: `Deleted "${selectedPreset.name}"` });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([store.serialize(presets)], { type: 'application/json' });
+    const url = resources.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'image-converter-presets.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    resources.release(url);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      // Fresh ids so imported presets never collide with saved ones
+      const imported = store.parse(await file.text()).map(preset => ({ ...preset, id: crypto.randomUUID() }));
+      if (imported.length === 0) {
+        throw new Error('The file has no presets');
+      }
+      updatePresets(store.merge(presets, imported));
+      setMessage({ type: 'success', text: `Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error instanceof Error ? error.message : 'Failed to import presets' });
+    }
+  };
+
+  const buttonClass = `px-3 py-2 text-sm font-semibold rounded-lg border-2 border-gray-200 bg-white text-gray-700 transition-all duration-200 ${
+    disabled ? 'opacity-50 cursor-not-allowed' : 'hover:border-primary-300 hover:text-primary-600'
+  }`;
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200';
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 border-2 border-gray-200 rounded-2xl p-6 mb-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 gap-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          📚 Presets
+        </h3>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={disabled}
+            className={buttonClass}
+          >
+            📥 Import
+          </button>
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={disabled || presets.length === 0}
+            className={`${buttonClass} ${presets.length === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            📤 Export
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="space-y-2">
+          <label htmlFor="preset-select" className="block text-base font-semibold text-gray-700">
+            Apply a preset
+          </label>
+          <div className="flex gap-2">
+            <select
+              id="preset-select"
+              value={selectedId}
+              onChange={(e) => handleSelect(e.target.value)}
+              disabled={disabled || presets.length === 0}
+              className={inputClass}
+            >
+              <option value="">{presets.length === 0 ? 'No saved presets' : 'Choose a preset…'}</option>
+              {presets.map((preset) => (
+                <option key={preset.id} value={preset.id}>{preset.name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={disabled || !selectedPreset}
+              className={`${buttonClass} ${!selectedPreset ? 'opacity-50 cursor-not-allowed' : ''}`}
+              aria-label="Delete selected preset"
+            >
+              🗑️
+            </button>
+          </div>
+          {selectedPreset && (
+            <p className="text-sm text-gray-600">{describePreset(selectedPreset)}</p>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <label htmlFor="preset-name" className="block text-base font-semibold text-gray-700">
+            Save current settings
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="preset-name"
+              type="text"
+              placeholder="e.g. Blog hero"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+              disabled={disabled}
+              maxLength={80}
+              className={inputClass}
+            />
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={disabled || !newName.trim()}
+              className={`${buttonClass} ${!newName.trim() ? 'opacity-50 cursor-not-allowed' : ''}`}
+            >
+              💾 Save
+            </button>
+          </div>
+          <p className="text-sm text-gray-600">
+            Saves the formats plus every compression and resize setting. A preset with the same name is replaced.
+          </p>
+        </div>
+      </div>
+
+      {message && (
+        <p className={`mt-4 text-sm font-medium ${message.type === 'error' ? 'text-red-600' : 'text-green-700'}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,36 @@
+import React from 'react';
+
+export const RejectedFilesPanel = ({
+  rejections,
+  onDismiss
+}) => {
+  if (rejections.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mb-8 p-4 bg-yellow-50 border-2 border-yellow-200 rounded-xl" role="alert">
+      <div className="flex justify-between items-start gap-4 mb-2">
+        <h4 className="font-semibold text-yellow-800">
+          ⚠️ {rejections.length} file{rejections.length === 1 ? ' was' : 's were'} not added
+        </h4>
+        <button
+          type="button"
+          onClick={onDismiss}
+          className="px-2 text-yellow-800 hover:text-yellow-900 font-bold"
+          aria-label="Dismiss rejected files"
+        >
+          ✕
+        </button>
+      </div>
+      <ul className="max-h-48 overflow-y-auto space-y-1 text-sm">
+        {rejections.map((rejection, index) => (
+          <li key={`${rejection.name}-${index}`} className="text-yellow-900">
+            <span className="font-medium">{rejection.name}</span>
+            <span className="text-yellow-800">: {rejection.reason}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,45 @@
+import React, { useSyncExternalStore } from 'react';
+import { resources } from '../utils/ResourceManager';
+import { formatFileSize } from '../utils/imageUtils';
+
+const subscribe = (listener) => resources.subscribe(listener);
+const getUsage = () => resources.getUsage();
+
+export const ResourceMonitor = ({
+  resultCount,
+  onClearResults,
+  disabled = false
+}) => {
+  const usage = useSyncExternalStore(subscribe, getUsage);
+  // Only Chromium exposes the JS heap size
+  const heapSize = performance.memory?.usedJSHeapSize;
+
+  if (resultCount === 0 && usage.objectUrls === 0 && usage.bitmaps === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4 px-4 py-3 bg-gray-50 border border-gray-200 rounded-xl text-sm">
+      <span className="text-gray-600">
+        🧠 Memory held: <span className="font-semibold text-gray-800">{formatFileSize(usage.bytes)}</span>
+        {' '}in {usage.objectUrls} file URL{usage.objectUrls === 1 ? '' : 's'}
+        {usage.bitmaps > 0 && ` and ${usage.bitmaps} decoded image${usage.bitmaps === 1 ? '' : 's'}`}
+        {heapSize && (
+          <span className="text-gray-500"> · JS heap {formatFileSize(heapSize)}</span>
+        )}
+      </span>
+      <button
+        type="button"
+        onClick={onClearResults}
+        disabled={disabled || resultCount === 0}
+        className={`px-4 py-2 rounded-lg font-semibold border-2 transition-all duration-200 ${
+          disabled || resultCount === 0
+            ? 'border-gray-200 text-gray-400 cursor-not-allowed'
+            : 'border-red-200 text-red-600 bg-white hover:bg-red-500 hover:border-red-500 hover:text-white'
+        }`}
+      >
+        🧹 Clear results
+      </button>
+    </div>
+  );
+};
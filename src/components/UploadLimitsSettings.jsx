@@ -0,0 +1,57 @@
+import React from 'react';
+
+const LIMIT_FIELDS = [
+  { key: 'maxFileSizeMB', label: 'Max file size', unit: 'MB', min: 1 },
+  { key: 'maxMegapixels', label: 'Max image size', unit: 'MP', min: 1 },
+  { key: 'maxFiles', label: 'Max files per batch', unit: 'files', min: 1 },
+  { key: 'maxTotalSizeMB', label: 'Max batch size', unit: 'MB', min: 1 }
+];
+
+export const UploadLimitsSettings = ({
+  limits,
+  onLimitsChange,
+  disabled = false
+}) => {
+  // An empty field turns that limit off
+  const handleChange = (key, value) => {
+    const number = parseFloat(value);
+    onLimitsChange({ ...limits, [key]: value === '' || isNaN(number) || number <= 0 ? null : number });
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 border-2 border-gray-200 rounded-2xl p-6 mb-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 gap-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          📏 Upload Limits
+        </h3>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {LIMIT_FIELDS.map((field) => (
+          <div key={field.key} className="space-y-2">
+            <label htmlFor={`limit-${field.key}`} className="block text-base font-semibold text-gray-700">
+              {field.label}
+            </label>
+            <div className="flex items-center gap-2">
+              <input
+                id={`limit-${field.key}`}
+                type="number"
+                value={limits[field.key] ?? ''}
+                placeholder="No limit"
+                onChange={(e) => handleChange(field.key, e.target.value)}
+                disabled={disabled}
+                min={field.min}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200"
+              />
+              <span className="text-sm text-gray-600">{field.unit}</span>
+            </div>
+          </div>
+        ))}
+      </div>
+      <p className="mt-3 text-sm text-gray-600">
+        Files over a limit are listed below the drop zone instead of being added. Leave a field empty for no limit.
+      </p>
+    </div>
+  );
+};
@@ -0,0 +1,368 @@
+import React, { useState, useEffect } from 'react';
+import { WATERMARK_POSITIONS } from '../utils/watermark';
+import { resources } from '../utils/ResourceManager';
+
+const MODES = [
+  { value: 'text', label: 'Text', icon: '🔤' },
+  { value: 'logo', label: 'Logo', icon: '🖼️' },
+  { value: 'tiled', label: 'Tiled pattern', icon: '🧱' }
+];
+
+const FONTS = ['Arial', 'Helvetica', 'Georgia', 'Times New Roman', 'Verdana', 'Courier New', 'Impact'];
+
+const POSITION_LABELS = {
+  'top-left': '↖',
+  'top-center': '↑',
+  'top-right': '↗',
+  'middle-left': '←',
+  'center': '•',
+  'middle-right': '→',
+  'bottom-left': '↙',
+  'bottom-center': '↓',
+  'bottom-right': '↘'
+};
+
+export const WatermarkSettings = ({
+  settings,
+  onSettingsChange,
+  disabled = false
+}) => {
+  const [logoPreview, setLogoPreview] = useState('');
+
+  useEffect(() => {
+    if (!settings.logo) {
+      setLogoPreview('');
+      return;
+    }
+
+    const url = resources.createObjectURL(settings.logo);
+    setLogoPreview(url);
+    return () => resources.release(url);
+  }, [settings.logo]);
+
+  const handleSettingChange = (key, value) => {
+    onSettingsChange({ ...settings, [key]: value });
+  };
+
+  const handleNumberChange = (key, value) => {
+    const numValue = parseFloat(value);
+    handleSettingChange(key, isNaN(numValue) ? 0 : numValue);
+  };
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      handleSettingChange('logo', file);
+    }
+    e.target.value = '';
+  };
+
+  const isTiled = settings.mode === 'tiled';
+  const showTextOptions = settings.mode === 'text' || (isTiled && settings.tileContent !== 'logo');
+  const showLogoOptions = settings.mode === 'logo' || (isTiled && settings.tileContent === 'logo');
+
+  const optionClass = (isSelected) => `px-3 py-2 text-sm font-semibold rounded-lg border-2 transition-all duration-200 ${
+    isSelected
+      ? 'bg-primary-500 text-white border-primary-500 shadow-md'
+      : 'bg-white text-gray-700 border-gray-200 hover:border-primary-300 hover:text-primary-600'
+  } ${disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:border-primary-500 focus:ring-2 focus:ring-primary-200 transition-all duration-200';
+
+  return (
+    <div className="bg-gradient-to-br from-gray-50 to-gray-100 border-2 border-gray-200 rounded-2xl p-6 mb-8">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center mb-6 gap-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center gap-2">
+          💧 Watermark
+        </h3>
+
+        {/* Toggle Switch */}
+        <label className="flex items-center gap-3 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={() => handleSettingChange('enabled', !settings.enabled)}
+            disabled={disabled}
+            className="sr-only"
+          />
+          <div className={`toggle-slider ${settings.enabled ? 'active' : ''} ${disabled ? 'opacity-50' : ''}`}>
+          </div>
+          <span className="font-semibold text-gray-700">
+            {settings.enabled ? 'Enabled' : 'Disabled'}
+          </span>
+        </label>
+      </div>
+
+      {settings.enabled && (
+        <div className="space-y-6">
+          {/* Mode */}
+          <div className="space-y-3">
+            <label className="block text-base font-semibold text-gray-700">
+              Type
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              {MODES.map((mode) => (
+                <button
+                  key={mode.value}
+                  type="button"
+                  onClick={() => handleSettingChange('mode', mode.value)}
+                  disabled={disabled}
+                  className={optionClass(settings.mode === mode.value)}
+                >
+                  {mode.icon} {mode.label}
+                </button>
+              ))}
+            </div>
+            {isTiled && (
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { value: 'text', label: 'Repeat text' },
+                  { value: 'logo', label: 'Repeat logo' }
+                ].map((content) => (
+                  <button
+                    key={content.value}
+                    type="button"
+                    onClick={() => handleSettingChange('tileContent', content.value)}
+                    disabled={disabled}
+                    className={optionClass(settings.tileContent === content.value)}
+                  >
+                    {content.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Text */}
+          {showTextOptions && (
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div className="space-y-2 sm:col-span-2">
+                <label htmlFor="watermark-text" className="block text-sm text-gray-600 font-medium">
+                  Text
+                </label>
+                <input
+                  id="watermark-text"
+                  type="text"
+                  value={settings.text}
+                  onChange={(e) => handleSettingChange('text', e.target.value)}
+                  disabled={disabled}
+                  placeholder="© Your Company"
+                  className={inputClass}
+                />
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="watermark-font" className="block text-sm text-gray-600 font-medium">
+                  Font
+                </label>
+                <select
+                  id="watermark-font"
+                  value={settings.fontFamily}
+                  onChange={(e) => handleSettingChange('fontFamily', e.target.value)}
+                  disabled={disabled}
+                  className={`${inputClass} bg-white`}
+                >
+                  {FONTS.map((font) => (
+                    <option key={font} value={font}>{font}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="watermark-color" className="block text-sm text-gray-600 font-medium">
+                  Color
+                </label>
+                <input
+                  id="watermark-color"
+                  type="color"
+                  value={settings.color}
+                  onChange={(e) => handleSettingChange('color', e.target.value)}
+                  disabled={disabled}
+                  className="w-full h-10 border border-gray-300 rounded-lg cursor-pointer"
+                />
+              </div>
+              <div className="space-y-2 sm:col-span-2">
+                <label htmlFor="watermark-font-size" className="block text-sm text-gray-600 font-medium">
+                  Size: {settings.fontSize}% of image width
+                </label>
+                <input
+                  id="watermark-font-size"
+                  type="range"
+                  min="1"
+                  max="20"
+                  step="0.5"
+                  value={settings.fontSize}
+                  onChange={(e) => handleNumberChange('fontSize', e.target.value)}
+                  disabled={disabled}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Logo */}
+          {showLogoOptions && (
+            <div className="space-y-4">
+              <div className="flex items-center gap-4">
+                <div className="w-16 h-16 rounded-lg bg-white border border-gray-200 flex items-center justify-center overflow-hidden flex-shrink-0">
+                  {logoPreview ? (
+                    <img src={logoPreview} alt="Watermark logo" className="max-w-full max-h-full object-contain" />
+                  ) : (
+                    <span className="text-2xl text-gray-400">🖼️</span>
+                  )}
+                </div>
+                <label className={`px-4 py-2 bg-white border-2 border-gray-200 rounded-lg text-sm font-semibold text-gray-700 transition-all duration-200 ${
+                  disabled ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer hover:border-primary-300 hover:text-primary-600'
+                }`}>
+                  {settings.logo ? 'Replace logo' : 'Upload logo'}
+                  <input
+                    type="file"
+                    accept="image/png,image/jpeg,image/webp"
+                    onChange={handleLogoChange}
+                    disabled={disabled}
+                    className="sr-only"
+                  />
+                </label>
+              </div>
+              {!settings.logo && (
+                <p className="text-sm text-yellow-800">
+                  Upload a PNG (transparent works best), JPG or WebP logo.
+                </p>
+              )}
+              <div className="space-y-2">
+                <label htmlFor="watermark-logo-scale" className="block text-sm text-gray-600 font-medium">
+                  Logo width: {Math.round(settings.logoScale * 100)}% of image width
+                </label>
+                <input
+                  id="watermark-logo-scale"
+                  type="range"
+                  min="0.05"
+                  max="1"
+                  step="0.01"
+                  value={settings.logoScale}
+                  onChange={(e) => handleNumberChange('logoScale', e.target.value)}
+                  disabled={disabled}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Appearance */}
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label htmlFor="watermark-opacity" className="block text-sm text-gray-600 font-medium">
+                Opacity: {Math.round(settings.opacity * 100)}%
+              </label>
+              <input
+                id="watermark-opacity"
+                type="range"
+                min="0.05"
+                max="1"
+                step="0.05"
+                value={settings.opacity}
+                onChange={(e) => handleNumberChange('opacity', e.target.value)}
+                disabled={disabled}
+                className="w-full"
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="watermark-rotation" className="block text-sm text-gray-600 font-medium">
+                Rotation: {settings.rotation}°
+              </label>
+              <input
+                id="watermark-rotation"
+                type="range"
+                min="-180"
+                max="180"
+                step="5"
+                value={settings.rotation}
+                onChange={(e) => handleNumberChange('rotation', e.target.value)}
+                disabled={disabled}
+                className="w-full"
+              />
+            </div>
+          </div>
+
+          {/* Placement */}
+          {isTiled ? (
+            <div className="space-y-2">
+              <label htmlFor="watermark-tile-spacing" className="block text-sm text-gray-600 font-medium">
+                Tile spacing: {settings.tileSpacing}% of image width
+              </label>
+              <input
+                id="watermark-tile-spacing"
+                type="range"
+                min="0"
+                max="50"
+                step="1"
+                value={settings.tileSpacing}
+                onChange={(e) => handleNumberChange('tileSpacing', e.target.value)}
+                disabled={disabled}
+                className="w-full"
+              />
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="space-y-2">
+                <label className="block text-sm text-gray-600 font-medium">
+                  Position
+                </label>
+                <div className="grid grid-cols-3 gap-1 w-32">
+                  {Object.keys(WATERMARK_POSITIONS).map((position) => (
+                    <button
+                      key={position}
+                      type="button"
+                      onClick={() => handleSettingChange('position', position)}
+                      disabled={disabled}
+                      aria-label={position.replace('-', ' ')}
+                      className={`h-9 ${optionClass(settings.position === position)}`}
+                    >
+                      {POSITION_LABELS[position]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="watermark-offset-x" className="block text-sm text-gray-600 font-medium">
+                  Horizontal offset (%)
+                </label>
+                <input
+                  id="watermark-offset-x"
+                  type="number"
+                  value={settings.offsetX}
+                  onChange={(e) => handleNumberChange('offsetX', e.target.value)}
+                  disabled={disabled}
+                  min="-50"
+                  max="50"
+                  step="0.5"
+                  className={inputClass}
+                />
+              </div>
+              <div className="space-y-2">
+                <label htmlFor="watermark-offset-y" className="block text-sm text-gray-600 font-medium">
+                  Vertical offset (%)
+                </label>
+                <input
+                  id="watermark-offset-y"
+                  type="number"
+                  value={settings.offsetY}
+                  onChange={(e) => handleNumberChange('offsetY', e.target.value)}
+                  disabled={disabled}
+                  min="-50"
+                  max="50"
+                  step="0.5"
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          )}
+          <p className="text-sm text-gray-600">
+            {isTiled
+              ? 'The pattern covers the whole image.'
+              : 'Offsets move the watermark in from the chosen edge.'} PDF pages are watermarked on the image, not the margins.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
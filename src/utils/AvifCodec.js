@@ -0,0 +1,89 @@
+// 1×1 AVIF used to probe for native browser decoding
+const AVIF_PROBE_IMAGE = 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=';
+
+let nativeDecodeSupport = null;
+
+/**
+ * AVIF codec class wrapping the bundled WASM encoder and decoder
+ */
+export class AvifCodec {
+  /**
+   * Check whether the browser can decode AVIF through <img> on its own
+   * @returns {Promise<boolean>} True when native decoding works
+   */
+  async supportsNativeDecode() {
+    if (nativeDecodeSupport === null) {
+      nativeDecodeSupport = new Promise((resolve) => {
+        const img = new Image();
+        img.onload = () => resolve(img.width > 0);
+        img.onerror = () => resolve(false);
+        img.src = AVIF_PROBE_IMAGE;
+      });
+    }
+
+    return nativeDecodeSupport;
+  }
+
+  /**
+   * Encode pixels as AVIF
+   * @param {ImageData} imageData - Pixels to encode
+   * @param {Object} options - Encoder options
+   * @param {number} options.quality - Quality from 0.1 to 1.0
+   * @param {number} options.speed - Encoder speed from 0 (smallest, slowest) to 10 (fastest)
+   * @returns {Promise<Blob>} AVIF blob
+   */
+  async encode(imageData, { quality = 0.5, speed = 6 } = {}) {
+    const { default: encode } = await import('@jsquash/avif/encode.js');
+
+    const buffer = await encode(imageData, {
+      quality: Math.round(Math.min(1, Math.max(0, quality)) * 100),
+      speed: Math.min(10, Math.max(0, Math.round(speed)))
+    });
+
+    return new Blob([buffer], { type: 'image/avif' });
+  }
+
+  /**
+   * Decode an AVIF file into pixels
+   * @param {File|Blob} file - AVIF file
+   * @returns {Promise<ImageData>} Decoded pixels
+   */
+  async decode(file) {
+    const { default: decode } = await import('@jsquash/avif/decode.js');
+
+    const imageData = await decode(await file.arrayBuffer());
+    if (!imageData) {
+      throw new Error('Failed to decode AVIF image');
+    }
+
+    return imageData;
+  }
+
+  /**
+   * Decode an AVIF file with the WASM decoder and re-encode it as PNG
+   * so the regular <img>-based pipeline can load it
+   * @param {File} file - AVIF file
+   * @returns {Promise<File>} Lossless PNG file with the same base name
+   */
+  async decodeToPNGFile(file) {
+    const imageData = await this.decode(file);
+
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    ctx.putImageData(imageData, 0, 0);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) {
+      throw new Error('Failed to decode AVIF image');
+    }
+
+    return new File([blob], file.name.replace(/\.[^/.]+$/, '.png'), { type: 'image/png' });
+  }
+}
\ No newline at end of file
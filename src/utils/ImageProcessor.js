@@ -1,10 +1,103 @@
 import jsPDF from 'jspdf';
+import { PdfRenderer } from './PdfRenderer';
+import { AvifCodec } from './AvifCodec';
+import { JpegMetadata } from './JpegMetadata';
+import {
+  MIME_TYPES,
+  calculateDimensions,
+  hasTransforms,
+  getTransformedSize,
+  drawTransformed,
+  createCanvas
+} from './imageUtils';
+import { getResizeOptions, planResize, drawResized, calculateResizeLayout, findSmartCropAnchor } from './resize';
+import { drawWatermark, isWatermarkActive, usesWatermarkLogo } from './watermark';
+import { measureQuality } from './qualityMetrics';
+import { getPaletteSize } from './PngEncoder';
+import { JPEG_SUBSAMPLING } from './JpegCodec';
+import { resources } from './ResourceManager';
+import { getFormatFromMime, readDimensions } from './formatDetection';
+import { exceedsCanvasLimits, getCanvasLimits } from './canvasLimits';
+import { encodeCanvas, encodeTiled } from './tiledPipeline';
+import { getEffectiveSettings } from './overrides';
+
+// Page dimensions in mm, short side first
+const PDF_PAGE_SIZES = {
+  a4: [210, 297],
+  letter: [215.9, 279.4],
+  legal: [215.9, 355.6],
+  a3: [297, 420]
+};
+
+// Images are treated as 96 DPI when sizing them in mm
+const MM_PER_PIXEL = 25.4 / 96;
+
+// Target size search limits
+const TARGET_SIZE_MIN_QUALITY = 0.1;
+const TARGET_SIZE_MAX_QUALITY = 0.95;
+const TARGET_SIZE_QUALITY_STEPS = 6;
+const TARGET_SIZE_MAX_RESIZE_ROUNDS = 6;
+const TARGET_SIZE_MIN_DIMENSION = 64;
+
+// Most pixels of an original rendered for the comparison viewer, well inside every browser's canvas limit
+const COMPARISON_MAX_PIXELS = 16 * 1024 * 1024;
+
+// Aborting a signal without a reason rejects with a DOMException named AbortError
+const isAbortError = (error) => error?.name === 'AbortError';
+
+const getErrorMessage = (error) => {
+  if (isAbortError(error)) return 'Conversion cancelled';
+  return error instanceof Error ? error.message : 'Unknown error occurred';
+};
+
+/**
+ * Summarize an encode as a result's compressionStats
+ * @param {number} originalSize - Source size in bytes
+ * @param {Blob} blob - Output
+ * @param {Object} stats - Stats from encodeImage, passThroughImage or convertImageToPDF
+ * @param {Object} compressionSettings - Settings the output was made with
+ * @returns {Object} Sizes, ratio, quality and how the output was encoded
+ */
+const summarizeStats = (originalSize, blob, stats, compressionSettings) => ({
+  originalSize,
+  finalSize: blob.size,
+  compressionRatio: ((originalSize - blob.size) / originalSize) * 100,
+  quality: stats.targetSize ? stats.quality : compressionSettings?.quality || 1.0,
+  lossless: Boolean(stats.lossless),
+  paletteSize: stats.paletteSize,
+  dithered: stats.dithered,
+  encoder: stats.encoder,
+  encoderFallback: stats.encoderFallback,
+  shrunkFrom: stats.shrunkFrom,
+  targetSize: stats.targetSize,
+  targetMet: stats.targetMet
+});
+
+// Pages of a combined PDF keep their image's quality and size overrides and
+// its edits; the output format and name belong to the document
+const getPageSettings = (imageItem, compressionSettings) => ({
+  ...getEffectiveSettings(imageItem, 'pdf', compressionSettings).settings,
+  transforms: imageItem.transforms
+});
+
+// Uploads carry the MIME type of their detected contents, so the name is
+// only a fallback for files that arrive without a type
+const isFileOfType = (file, mime, namePattern) => (
+  file.type ? file.type === mime : namePattern.test(file.name || '')
+);
 
 /**
  * Image processing class for converting and compressing images
  */
 export class ImageProcessor {
-  constructor() {
+  /**
+   * @param {Object} options - Processor options
+   * @param {WorkerPool} options.workerPool - Optional pool used to decode, resize and encode off the main thread
+   * @param {Function} options.onProgress - Optional callback with (file, fraction) for long tiled encodes
+   */
+  constructor({ workerPool = null, onProgress = null } = {}) {
+    this.workerPool = workerPool;
+    this.onProgress = onProgress;
     this.supportedConversions = [
       { from: 'jpg', to: 'png', clientSide: true, supportsCompression: true },
       { from: 'jpeg', to: 'png', clientSide: true, supportsCompression: true },
@@ -13,6 +106,27 @@ export class ImageProcessor {
       { from: 'jpg', to: 'pdf', clientSide: true, supportsCompression: true },
       { from: 'jpeg', to: 'pdf', clientSide: true, supportsCompression: true },
       { from: 'png', to: 'pdf', clientSide: true, supportsCompression: true },
+      { from: 'pdf', to: 'jpg', clientSide: true, supportsCompression: true },
+      { from: 'pdf', to: 'jpeg', clientSide: true, supportsCompression: true },
+      { from: 'pdf', to: 'png', clientSide: true, supportsCompression: true },
+      { from: 'jpg', to: 'webp', clientSide: true, supportsCompression: true },
+      { from: 'jpeg', to: 'webp', clientSide: true, supportsCompression: true },
+      { from: 'png', to: 'webp', clientSide: true, supportsCompression: true },
+      { from: 'webp', to: 'jpg', clientSide: true, supportsCompression: true },
+      { from: 'webp', to: 'jpeg', clientSide: true, supportsCompression: true },
+      { from: 'webp', to: 'png', clientSide: true, supportsCompression: true },
+      { from: 'webp', to: 'pdf', clientSide: true, supportsCompression: true },
+      { from: 'pdf', to: 'webp', clientSide: true, supportsCompression: true },
+      { from: 'jpg', to: 'avif', clientSide: true, supportsCompression: true },
+      { from: 'jpeg', to: 'avif', clientSide: true, supportsCompression: true },
+      { from: 'png', to: 'avif', clientSide: true, supportsCompression: true },
+      { from: 'webp', to: 'avif', clientSide: true, supportsCompression: true },
+      { from: 'pdf', to: 'avif', clientSide: true, supportsCompression: true },
+      { from: 'avif', to: 'jpg', clientSide: true, supportsCompression: true },
+      { from: 'avif', to: 'jpeg', clientSide: true, supportsCompression: true },
+      { from: 'avif', to: 'png', clientSide: true, supportsCompression: true },
+      { from: 'avif', to: 'webp', clientSide: true, supportsCompression: true },
+      { from: 'avif', to: 'pdf', clientSide: true, supportsCompression: true },
     ];
   }
 
@@ -21,14 +135,17 @@ export class ImageProcessor {
    * @param {Object} imageItem - Image item object
    * @param {string} fromType - Source format (jpg, png, pdf)
    * @param {string} toType - Target format (jpg, png, pdf)
-   * @param {Object} compressionSettings - Compression settings object
-   * @returns {Promise<Object>} Conversion result
+   * @param {Object} compressionSettings - Compression settings object, already merged with the image's overrides; outputName replaces the file's base name
+   * @param {Object} pdfSettings - PDF page settings, used when converting to PDF
+   * @param {AbortSignal} signal - Optional signal to cancel the conversion
+   * @returns {Promise<Object>} Conversion result, with cancelled set when the signal aborted it
    */
-  async convertImage(imageItem, fromType, toType, compressionSettings = {}) {
+  async convertImage(imageItem, fromType, toType, compressionSettings = {}, pdfSettings = {}, signal) {
     const normalizedFromType = fromType === 'jpeg' ? 'jpg' : fromType;
     const normalizedToType = toType === 'jpeg' ? 'jpg' : toType;
 
-    const conversion = this.supportedConversions.find(
+    // Re-encoding into the same format is how mixed batches compress or resize in place
+    const conversion = normalizedFromType === normalizedToType || this.supportedConversions.find(
       c => (c.from === normalizedFromType || (normalizedFromType === 'jpg' && c.from === 'jpeg')) && 
            (c.to === normalizedToType || (normalizedToType === 'jpg' && c.to === 'jpeg'))
     );
@@ -37,44 +154,69 @@ export class ImageProcessor {
       throw new Error(`Conversion from ${fromType.toUpperCase()} to ${toType.toUpperCase()} is not supported`);
     }
 
+    if (normalizedFromType === 'pdf') {
+      throw new Error('PDF sources produce one image per page, use convertPDFToImages instead');
+    }
+
     try {
+      signal?.throwIfAborted();
+
       let blob;
       let fileName;
       let compressionStats;
+      let unchanged = false;
 
       const originalSize = imageItem.file.size;
+      const baseName = compressionSettings?.outputName || imageItem.name.replace(/\.[^/.]+$/, '');
+      // Crop, rotation and flip edits travel with the settings down to the canvas
+      const settings = imageItem.transforms
+        ? { ...compressionSettings, transforms: imageItem.transforms }
+        : compressionSettings;
 
       if (toType === 'pdf') {
-        const result = await this.convertImageToPDF(imageItem.file, compressionSettings);
+        const result = await this.convertImageToPDF(imageItem.file, settings, pdfSettings, signal);
         blob = result.blob;
         compressionStats = result.stats;
-        fileName = imageItem.name.replace(/\.[^/.]+$/, '.pdf');
-      } else if (normalizedFromType !== normalizedToType || compressionSettings?.enableCompression) {
-        const result = await this.convertImageFormat(imageItem.file, fromType, toType, compressionSettings);
+        fileName = `${baseName}.pdf`;
+      } else if (
+        normalizedFromType !== normalizedToType ||
+        compressionSettings?.enableCompression ||
+        hasTransforms(imageItem.transforms) ||
+        isWatermarkActive(compressionSettings?.watermark)
+      ) {
+        const result = await this.encodeImage(imageItem.file, fromType, toType, settings, signal);
         blob = result.blob;
         compressionStats = result.stats;
-        fileName = imageItem.name.replace(/\.[^/.]+$/, `.${toType}`);
+        fileName = `${baseName}.${toType}`;
       } else {
-        throw new Error('No conversion or compression requested');
+        // Already in the target format with nothing to change, e.g. the JPEGs of a mixed batch going to JPG
+        const result = await this.passThroughImage(imageItem.file, fromType, toType, settings, signal);
+        blob = result.blob;
+        compressionStats = result.stats;
+        unchanged = result.unchanged;
+        fileName = `${baseName}.${toType}`;
       }
 
-      const url = URL.createObjectURL(blob);
+      const url = resources.createObjectURL(blob, imageItem.id);
 
       return {
         id: imageItem.id,
         originalName: imageItem.name,
         convertedName: fileName,
+        folder: imageItem.folder || '',
         blob,
         url,
         fromType,
         toType,
         success: true,
-        compressionStats: compressionStats ? {
-          originalSize,
-          finalSize: blob.size,
-          compressionRatio: ((originalSize - blob.size) / originalSize) * 100,
-          quality: compressionSettings?.quality || 1.0
-        } : undefined
+        unchanged,
+        sourceFile: imageItem.file,
+        // What the comparison viewer needs to draw the original the way the output did
+        sourceSettings: settings,
+        pdfSettings: toType === 'pdf' ? pdfSettings : null,
+        compressionStats: compressionStats
+          ? summarizeStats(originalSize, blob, compressionStats, compressionSettings)
+          : undefined
       };
     } catch (error) {
       return {
@@ -86,7 +228,131 @@ export class ImageProcessor {
         fromType,
         toType,
         success: false,
-        error: error instanceof Error ? error.message : 'Unknown error occurred'
+        cancelled: isAbortError(error),
+        error: getErrorMessage(error)
+      };
+    }
+  }
+
+  /**
+   * Rasterize the selected pages of a PDF into images, one result per page
+   * @param {Object} imageItem - Image item object holding a PDF file and optional pageRange
+   * @param {string} toType - Target format (jpg, png)
+   * @param {Object} compressionSettings - Compression settings applied to every page
+   * @param {Object} pdfInputSettings - PDF import settings (dpi)
+   * @param {AbortSignal} signal - Optional signal to cancel the conversion; pages already done are kept
+   * @returns {Promise<Array<Object>>} Conversion results, one per rendered page
+   */
+  async convertPDFToImages(imageItem, toType, compressionSettings = {}, pdfInputSettings = {}, signal) {
+    const baseName = compressionSettings?.outputName || imageItem.name.replace(/\.[^/.]+$/, '');
+    const results = [];
+
+    try {
+      const renderer = new PdfRenderer();
+      await renderer.renderPages(
+        imageItem.file,
+        imageItem.pageRange,
+        Math.min(600, Math.max(36, pdfInputSettings.dpi || 150)),
+        async ({ pageNumber, blob: pageBlob }) => {
+          signal?.throwIfAborted();
+          const pageFile = new File([pageBlob], `${baseName}-page-${pageNumber}.png`, { type: 'image/png' });
+          const { blob, stats } = await this.encodeImage(pageFile, 'png', toType, compressionSettings, signal);
+
+          results.push({
+            id: `${imageItem.id}-page-${pageNumber}`,
+            originalName: imageItem.name,
+            convertedName: `${baseName}-page-${pageNumber}.${toType}`,
+            folder: imageItem.folder || '',
+            blob,
+            url: resources.createObjectURL(blob, imageItem.id),
+            fromType: 'pdf',
+            toType,
+            success: true,
+            sourceId: imageItem.id,
+            sourceFile: pageFile,
+            sourceSettings: compressionSettings,
+            pageNumber,
+            // Pages are measured against the rendered page they were encoded from
+            compressionStats: summarizeStats(pageFile.size, blob, stats, compressionSettings)
+          });
+        }
+      );
+    } catch (error) {
+      results.push({
+        id: imageItem.id,
+        originalName: imageItem.name,
+        convertedName: '',
+        blob: new Blob(),
+        url: '',
+        fromType: 'pdf',
+        toType,
+        success: false,
+        cancelled: isAbortError(error),
+        sourceId: imageItem.id,
+        error: getErrorMessage(error)
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Convert a batch of images into a single multi-page PDF document
+   * @param {Array<Object>} imageItems - Image item objects in page order
+   * @param {string} fromType - Source format (jpg, png)
+   * @param {Object} compressionSettings - Batch compression settings, under each image's quality and size overrides
+   * @param {Object} pdfSettings - PDF page settings applied per page
+   * @param {Function} onPageAdded - Optional callback invoked with each image item once its page is added
+   * @param {AbortSignal} signal - Optional signal to cancel the document
+   * @returns {Promise<Object>} Conversion result for the combined document
+   */
+  async convertImagesToSinglePDF(imageItems, fromType, compressionSettings = {}, pdfSettings = {}, onPageAdded, signal) {
+    const baseName = imageItems[0]?.name.replace(/\.[^/.]+$/, '') || 'images';
+    const convertedName = imageItems.length > 1 ? `${baseName}-combined.pdf` : `${baseName}.pdf`;
+    const originalName = imageItems.length > 1
+      ? `${imageItems.length} images`
+      : imageItems[0]?.name || '';
+
+    try {
+      const result = await this.convertImagesToPDF(imageItems, compressionSettings, pdfSettings, onPageAdded, signal);
+      const { blob, pageCount, stats } = result;
+      const id = crypto.randomUUID();
+      const url = resources.createObjectURL(blob, id);
+
+      return {
+        id,
+        originalName,
+        convertedName,
+        blob,
+        url,
+        fromType,
+        toType: 'pdf',
+        success: true,
+        pageCount,
+        sourceIds: imageItems.map(item => item.id),
+        sourceFiles: imageItems.map(item => item.file),
+        sourceSettings: imageItems.map(item => getPageSettings(item, compressionSettings)),
+        pdfSettings,
+        compressionStats: {
+          originalSize: stats.originalSize,
+          finalSize: blob.size,
+          compressionRatio: ((stats.originalSize - blob.size) / stats.originalSize) * 100,
+          quality: compressionSettings?.quality || 1.0
+        }
+      };
+    } catch (error) {
+      return {
+        id: crypto.randomUUID(),
+        originalName,
+        convertedName: '',
+        blob: new Blob(),
+        url: '',
+        fromType,
+        toType: 'pdf',
+        success: false,
+        cancelled: isAbortError(error),
+        sourceIds: imageItems.map(item => item.id),
+        error: getErrorMessage(error)
       };
     }
   }
@@ -95,152 +361,607 @@ export class ImageProcessor {
    * Compress an image file
    * @param {File} file - Image file to compress
    * @param {Object} settings - Compression settings
+   * @param {AbortSignal} signal - Optional signal to cancel the compression
    * @returns {Promise<Object>} Compression result with blob and stats
    */
-  async compressImage(file, settings) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        try {
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
+  async compressImage(file, settings, signal) {
+    const { sourceFile, orientation, metadataSegments } = await this.prepareOrientedSource(file, settings);
+    const tiled = await this.getTilePlan(sourceFile);
+    signal?.throwIfAborted();
+    const watermarkLogo = this.workerPool || tiled ? null : await this.loadWatermarkLogo(settings.watermark);
+    signal?.throwIfAborted();
 
-          if (!ctx) {
-            reject(new Error('Could not get canvas context'));
-            return;
-          }
+    const outputFormat = file.type.includes('png')
+      ? 'image/png'
+      : file.type.includes('webp') ? 'image/webp' : 'image/jpeg';
 
-          // Calculate new dimensions if resizing is enabled
-          const { width, height } = this.calculateDimensions(
-            img.width, 
-            img.height, 
-            settings.maxWidth, 
-            settings.maxHeight, 
-            settings.maintainAspectRatio
-          );
+    const buildStats = (blob, originalDimensions, newDimensions, encoder = 'browser') => ({
+      originalSize: file.size,
+      compressedSize: blob.size,
+      compressionRatio: ((file.size - blob.size) / file.size) * 100,
+      quality: settings.quality,
+      encoder,
+      originalDimensions,
+      newDimensions
+    });
 
-          canvas.width = width;
-          canvas.height = height;
+    if (this.workerPool || tiled) {
+      const encoded = await this.runEncodeTask({
+        file: sourceFile,
+        outputFormat,
+        quality: settings.quality,
+        resize: getResizeOptions(settings),
+        background: outputFormat === 'image/jpeg' ? '#FFFFFF' : null,
+        orientation,
+        transforms: settings.transforms,
+        watermark: settings.watermark,
+        tiled
+      }, file, signal);
+      const blob = await this.applyMetadata(encoded.blob, metadataSegments);
+      signal?.throwIfAborted();
 
-          // Apply white background for JPEG
-          const outputFormat = file.type.includes('png') ? 'image/png' : 'image/jpeg';
-          if (outputFormat === 'image/jpeg') {
-            ctx.fillStyle = '#FFFFFF';
-            ctx.fillRect(0, 0, width, height);
-          }
+      return {
+        blob,
+        stats: buildStats(blob, encoded.originalDimensions, encoded.newDimensions, encoded.encoder)
+      };
+    }
 
-          // Draw and compress
-          ctx.drawImage(img, 0, 0, width, height);
-
-          canvas.toBlob(
-            (blob) => {
-              if (blob) {
-                const stats = {
-                  originalSize: file.size,
-                  compressedSize: blob.size,
-                  compressionRatio: ((file.size - blob.size) / file.size) * 100,
-                  quality: settings.quality,
-                  originalDimensions: { width: img.width, height: img.height },
-                  newDimensions: { width, height }
-                };
-                resolve({ blob, stats });
-              } else {
-                reject(new Error('Failed to compress image'));
-              }
-            },
-            outputFormat,
-            settings.quality
-          );
-        } catch (error) {
-          reject(error);
+    const img = await this.loadImage(sourceFile, 'Failed to load image', signal);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    const originalDimensions = getTransformedSize(img.width, img.height, orientation, settings.transforms);
+
+    // Work out the output size and image placement for the resize mode
+    const resize = getResizeOptions(settings);
+    const layout = planResize(img, orientation, settings.transforms, resize);
+    const { width, height } = layout;
+
+    canvas.width = width;
+    canvas.height = height;
+
+    // Apply white background for JPEG
+    if (outputFormat === 'image/jpeg') {
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    // Draw and compress
+    drawResized(ctx, img, orientation, settings.transforms, layout, resize.resampler);
+    drawWatermark(ctx, width, height, settings.watermark, watermarkLogo);
+
+    const encoded = await encodeCanvas(canvas, { outputFormat, quality: settings.quality }, { signal });
+    const blob = await this.applyMetadata(encoded.blob, metadataSegments);
+    signal?.throwIfAborted();
+
+    return {
+      blob,
+      stats: buildStats(blob, originalDimensions, { width, height }, encoded.encoder)
+    };
+  }
+
+  /**
+   * Add SSIM and PSNR against the original to an image result, measured in
+   * a worker when the pool is available. The original goes through the same
+   * orientation and edits as the conversion, so rotated, flipped or cropped
+   * outputs are compared with what they were made from. Measuring is best
+   * effort, so a result that can't be decoded again is returned unchanged.
+   * @param {Object} result - Conversion result with its sourceFile
+   * @param {Object} settings - Settings the result was converted with, including transforms and autoRotate
+   * @param {AbortSignal} signal - Optional signal that skips or stops the measurement
+   * @returns {Promise<Object>} Result with qualityMetrics
+   */
+  async attachQualityMetrics(result, settings = {}, signal) {
+    if (!result.success || !result.sourceFile || result.toType === 'pdf' || signal?.aborted) {
+      return result;
+    }
+
+    // Measuring decodes the whole original, which images past the canvas limit can't afford
+    if (await this.getTilePlan(result.sourceFile)) {
+      return result;
+    }
+
+    try {
+      const [{ sourceFile: original, orientation }, output] = await Promise.all([
+        this.prepareOrientedSource(result.sourceFile, settings),
+        this.prepareSourceFile(new File([result.blob], result.convertedName, { type: result.blob.type }))
+      ]);
+      const transforms = settings?.transforms || null;
+      const qualityMetrics = this.workerPool
+        ? await this.workerPool.run({ kind: 'quality', original, output, orientation, transforms }, signal)
+        : await measureQuality(original, output, orientation, transforms);
+
+      return { ...result, qualityMetrics };
+    } catch (error) {
+      return result;
+    }
+  }
+
+  /**
+   * Render an original upright and with its edits, the way a conversion drew
+   * it, and work out where it sits in the output. Positions are in output
+   * units: pixels of the resize layout, or mm of the PDF page.
+   * @param {File} file - Original image file
+   * @param {Object} settings - Settings the output was converted with, including transforms and autoRotate
+   * @param {Object} pdfSettings - Page settings when the output is a PDF, null otherwise
+   * @returns {Promise<Object>} { blob, size, frame, image, clip } where size is the edited original's pixel size,
+   *   frame the output's { width, height }, image the { x, y, width, height } the whole original covers
+   *   and clip the part of it the output shows
+   */
+  async renderComparisonOriginal(file, settings = {}, pdfSettings = null) {
+    const { sourceFile, orientation } = await this.prepareOrientedSource(file, settings);
+    const transforms = settings?.transforms || null;
+
+    // Large originals are decoded straight at the size they're shown at
+    const stored = await readDimensions(sourceFile, getFormatFromMime(sourceFile.type));
+    const scale = stored ? Math.min(1, Math.sqrt(COMPARISON_MAX_PIXELS / (stored.width * stored.height))) : 1;
+    const bitmap = scale < 1
+      ? resources.trackBitmap(await createImageBitmap(sourceFile, {
+        resizeWidth: Math.max(1, Math.round(stored.width * scale)),
+        resizeHeight: Math.max(1, Math.round(stored.height * scale)),
+        resizeQuality: 'high'
+      }))
+      : await resources.createImageBitmap(sourceFile);
+
+    try {
+      const edited = getTransformedSize(stored?.width || bitmap.width, stored?.height || bitmap.height, orientation, transforms);
+
+      // PDF pages are only resized when compression is on (see addImagePageToPDF)
+      let layout = { width: edited.width, height: edited.height, image: { x: 0, y: 0, ...edited } };
+      if (!pdfSettings || settings?.enableCompression) {
+        const resize = getResizeOptions(settings);
+        layout = calculateResizeLayout(edited.width, edited.height, resize);
+        if (resize.cropPosition === 'smart' && (layout.overflow.x || layout.overflow.y)) {
+          layout = calculateResizeLayout(edited.width, edited.height, resize, findSmartCropAnchor(bitmap, orientation, transforms, layout));
         }
+      }
+
+      let placement = {
+        size: edited,
+        frame: { width: layout.width, height: layout.height },
+        image: layout.image,
+        clip: { x: 0, y: 0, width: layout.width, height: layout.height }
+      };
+      if (pdfSettings) {
+        // The page shows the crop region of the resized image inside its image box
+        const page = this.calculatePDFPageLayout(layout.width, layout.height, pdfSettings);
+        const scaleX = page.width / page.crop.width;
+        const scaleY = page.height / page.crop.height;
+        placement = {
+          size: edited,
+          frame: { width: page.pageWidth, height: page.pageHeight },
+          image: {
+            x: page.x + (layout.image.x - page.crop.x) * scaleX,
+            y: page.y + (layout.image.y - page.crop.y) * scaleY,
+            width: layout.image.width * scaleX,
+            height: layout.image.height * scaleY
+          },
+          clip: { x: page.x, y: page.y, width: page.width, height: page.height }
+        };
+      }
+
+      if (orientation === 1 && !hasTransforms(transforms) && scale === 1) {
+        return { blob: sourceFile, ...placement };
+      }
+
+      const width = Math.max(1, Math.round(edited.width * scale));
+      const height = Math.max(1, Math.round(edited.height * scale));
+      const canvas = createCanvas(width, height);
+      const ctx = canvas.getContext('2d');
+      ctx.imageSmoothingQuality = 'high';
+      drawTransformed(ctx, bitmap, orientation, transforms, width, height);
+      const { blob } = await encodeCanvas(canvas, { outputFormat: 'image/png' });
+
+      return { blob, ...placement };
+    } finally {
+      resources.release(bitmap);
+    }
+  }
+
+  /**
+   * Make a file loadable through <img>, decoding AVIF with the bundled
+   * WASM codec when the browser has no native AVIF support
+   * @param {File} file - Image file
+   * @returns {Promise<File>} The original file or a lossless PNG stand-in
+   */
+  async prepareSourceFile(file) {
+    const isAvif = isFileOfType(file, 'image/avif', /\.avif$/i);
+    if (!isAvif) {
+      return file;
+    }
+
+    const codec = new AvifCodec();
+    if (await codec.supportsNativeDecode()) {
+      return file;
+    }
+
+    return codec.decodeToPNGFile(file);
+  }
+
+  /**
+   * Prepare a source file for drawing along with its EXIF orientation and
+   * the metadata segments the chosen policy keeps. JPEGs are rewritten with
+   * Orientation 1 so the browser decodes the stored pixels and the rotation
+   * is applied exactly once, by drawTransformed.
+   * @param {File} file - Image file
+   * @param {Object} settings - Conversion settings with autoRotate and metadataPolicy
+   * @returns {Promise<Object>} { sourceFile, orientation, metadataSegments }
+   */
+  async prepareOrientedSource(file, settings = {}) {
+    const sourceFile = await this.prepareSourceFile(file);
+    const isJpeg = isFileOfType(file, 'image/jpeg', /\.jpe?g$/i);
+
+    if (!isJpeg) {
+      return { sourceFile, orientation: 1, metadataSegments: [] };
+    }
+
+    const autoRotate = settings.autoRotate !== false;
+    const metadata = new JpegMetadata();
+    const buffer = await file.arrayBuffer();
+    const parsed = metadata.parse(buffer);
+    const metadataSegments = metadata.selectSegments(parsed, settings.metadataPolicy || 'strip', {
+      resetOrientation: autoRotate
+    });
+
+    if (parsed.orientation === 1) {
+      return { sourceFile, orientation: 1, metadataSegments };
+    }
+
+    return {
+      sourceFile: new File([metadata.withOrientation(buffer, parsed, 1)], file.name, { type: file.type }),
+      orientation: autoRotate ? parsed.orientation : 1,
+      metadataSegments
+    };
+  }
+
+  /**
+   * Check whether an image needs the tiled pipeline, reading its size from
+   * the file header so nothing is decoded
+   * @param {File} file - Image file, typed by its contents
+   * @returns {Promise<Object|null>} { width, height, limits } for encodeTiled, or null when one canvas is enough
+   */
+  async getTilePlan(file) {
+    const dimensions = await readDimensions(file, getFormatFromMime(file.type));
+    if (!dimensions || !(await exceedsCanvasLimits(dimensions.width, dimensions.height))) {
+      return null;
+    }
+
+    return { ...dimensions, limits: await getCanvasLimits() };
+  }
+
+  /**
+   * Run an encode task in the worker pool, or on this thread for tiled
+   * tasks without a pool, reporting tiled progress against the source file
+   * @param {Object} task - Encode task (see imageWorker)
+   * @param {File} file - File the caller was given, passed to onProgress
+   * @param {AbortSignal} signal - Optional signal to cancel the task
+   * @returns {Promise<Object>} Encoded blob with original and new dimensions, the PNG palette size and the encoder used
+   */
+  runEncodeTask(task, file, signal) {
+    const onProgress = this.onProgress ? (progress) => this.onProgress(file, progress) : undefined;
+
+    return this.workerPool
+      ? this.workerPool.run(task, signal, onProgress)
+      : encodeTiled(task, { signal, onProgress });
+  }
+
+  /**
+   * Write kept metadata into an encoded image; only JPEG output carries it
+   * @param {Blob} blob - Encoded image
+   * @param {Array<Uint8Array>} metadataSegments - Segments from prepareOrientedSource
+   * @returns {Promise<Blob>} Blob with metadata, or the blob unchanged
+   */
+  async applyMetadata(blob, metadataSegments) {
+    if (blob.type !== 'image/jpeg' || metadataSegments.length === 0) {
+      return blob;
+    }
+
+    return new JpegMetadata().insertSegments(blob, metadataSegments);
+  }
+
+  /**
+   * Point an image element at a blob through a tracked object URL that is
+   * released as soon as the image has loaded or failed
+   * @param {HTMLImageElement} img - Image element with its handlers attached
+   * @param {Blob} blob - Image data
+   */
+  setImageSource(img, blob) {
+    const url = resources.createObjectURL(blob);
+    const release = () => resources.release(url);
+    img.addEventListener('load', release, { once: true });
+    img.addEventListener('error', release, { once: true });
+    img.src = url;
+  }
+
+  /**
+   * Decode a blob into an image element. Decoding can't be interrupted, but
+   * the promise rejects as soon as the signal aborts so the image is dropped;
+   * the listener is removed once settled, since one batch signal is shared by every image.
+   * @param {Blob} blob - Image data
+   * @param {string} errorMessage - Message for images that fail to load
+   * @param {AbortSignal} signal - Optional signal to stop waiting for the decode
+   * @returns {Promise<HTMLImageElement>} Loaded image
+   */
+  loadImage(blob, errorMessage, signal) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+
+      const img = new Image();
+      const onAbort = () => reject(signal.reason);
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
       };
 
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.src = URL.createObjectURL(file);
+      img.onload = settle(() => resolve(img));
+      img.onerror = settle(() => reject(new Error(errorMessage)));
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.setImageSource(img, blob);
     });
   }
 
+  /**
+   * Decode the uploaded watermark logo for main-thread drawing
+   * @param {Object} watermark - Watermark settings
+   * @returns {Promise<HTMLImageElement|null>} Loaded logo, or null when no logo is drawn
+   */
+  async loadWatermarkLogo(watermark) {
+    if (!isWatermarkActive(watermark) || !usesWatermarkLogo(watermark)) {
+      return null;
+    }
+
+    return this.loadImage(watermark.logo, 'Failed to load watermark logo');
+  }
+
   /**
    * Convert image to PDF
    * @param {File} imageFile - Image file
    * @param {Object} compressionSettings - Compression settings
+   * @param {Object} pdfSettings - PDF page settings
+   * @param {AbortSignal} signal - Optional signal to cancel the conversion
    * @returns {Promise<Object>} PDF conversion result
    */
-  async convertImageToPDF(imageFile, compressionSettings = {}) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = async () => {
-        try {
-          const pdf = new jsPDF();
-          let canvas = document.createElement('canvas');
-          let ctx = canvas.getContext('2d');
+  async convertImageToPDF(imageFile, compressionSettings = {}, pdfSettings = {}, signal) {
+    const pdf = new jsPDF({ unit: 'mm' });
+    const compressionStats = await this.addImagePageToPDF(pdf, imageFile, compressionSettings, pdfSettings, signal);
 
-          if (!ctx) {
-            reject(new Error('Could not get canvas context'));
-            return;
-          }
+    // Every image gets its own sized page, so drop the document's default first page
+    pdf.deletePage(1);
 
-          // Apply compression if enabled
-          let processedImage = img;
-          let compressionStats = null;
+    const pdfBlob = pdf.output('blob');
+    return { 
+      blob: pdfBlob, 
+      stats: compressionStats || {
+        originalSize: imageFile.size,
+        compressedSize: pdfBlob.size,
+        quality: compressionSettings?.quality || 0.95
+      }
+    };
+  }
 
-          if (compressionSettings?.enableCompression) {
-            const compressedResult = await this.compressImage(imageFile, compressionSettings);
+  /**
+   * Combine several images into a single multi-page PDF, one page per image
+   * @param {Array<Object>} imageItems - Image items in page order
+   * @param {Object} compressionSettings - Batch compression settings, under each image's quality and size overrides
+   * @param {Object} pdfSettings - PDF page settings applied to every page
+   * @param {Function} onPageAdded - Optional callback invoked with each image item once its page is added
+   * @param {AbortSignal} signal - Optional signal checked between pages
+   * @returns {Promise<Object>} PDF conversion result with page count
+   */
+  async convertImagesToPDF(imageItems, compressionSettings = {}, pdfSettings = {}, onPageAdded, signal) {
+    if (imageItems.length === 0) {
+      throw new Error('No images to combine into a PDF');
+    }
 
-            // Create new image from compressed blob
-            const compressedImg = new Image();
-            compressedImg.src = URL.createObjectURL(compressedResult.blob);
-            await new Promise((resolve) => {
-              compressedImg.onload = resolve;
-            });
+    const pdf = new jsPDF({ unit: 'mm' });
+    const originalSize = imageItems.reduce((sum, item) => sum + item.file.size, 0);
 
-            processedImage = compressedImg;
-            compressionStats = compressedResult.stats;
-          }
+    for (const imageItem of imageItems) {
+      await this.addImagePageToPDF(
+        pdf,
+        imageItem.file,
+        getPageSettings(imageItem, compressionSettings),
+        pdfSettings,
+        signal
+      );
+      onPageAdded?.(imageItem);
+    }
 
-          canvas.width = processedImage.width;
-          canvas.height = processedImage.height;
-          ctx.drawImage(processedImage, 0, 0);
-
-          // Calculate dimensions to fit PDF page
-          const pdfWidth = pdf.internal.pageSize.getWidth();
-          const pdfHeight = pdf.internal.pageSize.getHeight();
-          const imgAspectRatio = processedImage.width / processedImage.height;
-          const pdfAspectRatio = pdfWidth / pdfHeight;
-
-          let finalWidth, finalHeight;
-          if (imgAspectRatio > pdfAspectRatio) {
-            finalWidth = pdfWidth - 20; // 10px margin on each side
-            finalHeight = finalWidth / imgAspectRatio;
-          } else {
-            finalHeight = pdfHeight - 20; // 10px margin on each side
-            finalWidth = finalHeight * imgAspectRatio;
-          }
+    pdf.deletePage(1);
 
-          const x = (pdfWidth - finalWidth) / 2;
-          const y = (pdfHeight - finalHeight) / 2;
+    const pdfBlob = pdf.output('blob');
+    return {
+      blob: pdfBlob,
+      pageCount: imageItems.length,
+      stats: {
+        originalSize,
+        compressedSize: pdfBlob.size,
+        quality: compressionSettings?.quality || 0.95
+      }
+    };
+  }
 
-          const imgData = canvas.toDataURL('image/jpeg', compressionSettings?.quality || 0.95);
-          pdf.addImage(imgData, 'JPEG', x, y, finalWidth, finalHeight);
+  /**
+   * Add a new page to a PDF and draw an image onto it
+   * @param {jsPDF} pdf - Target PDF document (unit: mm)
+   * @param {File} imageFile - Image file
+   * @param {Object} compressionSettings - Compression settings
+   * @param {Object} pdfSettings - PDF page settings
+   * @param {AbortSignal} signal - Optional signal to cancel before the page is added
+   * @returns {Promise<Object|null>} Compression stats when compression was applied
+   */
+  async addImagePageToPDF(pdf, imageFile, compressionSettings = {}, pdfSettings = {}, signal) {
+    signal?.throwIfAborted();
+    const { sourceFile, orientation } = await this.prepareOrientedSource(imageFile, compressionSettings);
+    signal?.throwIfAborted();
+    const watermarkLogo = await this.loadWatermarkLogo(compressionSettings?.watermark);
+    const img = await this.loadImage(sourceFile, 'Failed to load image', signal);
 
-          const pdfBlob = pdf.output('blob');
-          resolve({ 
-            blob: pdfBlob, 
-            stats: compressionStats || {
-              originalSize: imageFile.size,
-              compressedSize: pdfBlob.size,
-              quality: compressionSettings?.quality || 0.95
-            }
-          });
-        } catch (error) {
-          reject(error);
-        }
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    // Apply compression if enabled
+    let processedImage = img;
+    let compressionStats = null;
+
+    if (orientation !== 1 || hasTransforms(compressionSettings?.transforms)) {
+      processedImage = this.renderTransformed(img, orientation, compressionSettings.transforms);
+    }
+
+    if (compressionSettings?.enableCompression) {
+      // The watermark is drawn once, on the visible part of the page below
+      const compressedResult = await this.compressImage(imageFile, { ...compressionSettings, watermark: null }, signal);
+      processedImage = await this.loadImage(compressedResult.blob, 'Failed to load compressed image', signal);
+      compressionStats = compressedResult.stats;
+    }
+
+    const layout = this.calculatePDFPageLayout(
+      processedImage.width,
+      processedImage.height,
+      pdfSettings
+    );
+    const { crop } = layout;
+
+    // Only the visible region of the image is embedded
+    canvas.width = crop.width;
+    canvas.height = crop.height;
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, crop.width, crop.height);
+    ctx.drawImage(
+      processedImage,
+      crop.x, crop.y, crop.width, crop.height,
+      0, 0, crop.width, crop.height
+    );
+    drawWatermark(ctx, crop.width, crop.height, compressionSettings?.watermark, watermarkLogo);
+
+    // Cancelled pages must not end up in a combined document
+    signal?.throwIfAborted();
+    pdf.addPage([layout.pageWidth, layout.pageHeight], layout.orientation);
+
+    const imgData = canvas.toDataURL('image/jpeg', compressionSettings?.quality || 0.95);
+    pdf.addImage(imgData, 'JPEG', layout.x, layout.y, layout.width, layout.height);
+
+    return compressionStats;
+  }
+
+  /**
+   * Draw an image upright with its edits applied onto a new canvas
+   * @param {HTMLImageElement} img - Loaded image with its pixels as stored
+   * @param {number} orientation - EXIF orientation (1-8)
+   * @param {Object} transforms - Crop, rotation and flip edits
+   * @returns {HTMLCanvasElement} Canvas at the edited size
+   */
+  renderTransformed(img, orientation, transforms) {
+    const { width, height } = getTransformedSize(img.width, img.height, orientation, transforms);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    canvas.width = width;
+    canvas.height = height;
+    drawTransformed(ctx, img, orientation, transforms, width, height);
+    return canvas;
+  }
+
+  /**
+   * Calculate page size and image placement for a PDF page
+   * @param {number} imageWidth - Image width in pixels
+   * @param {number} imageHeight - Image height in pixels
+   * @param {Object} pdfSettings - PDF page settings (pageSize, orientation, margin, placement)
+   * @returns {Object} Page size and image box in mm, plus the source crop in pixels
+   */
+  calculatePDFPageLayout(imageWidth, imageHeight, pdfSettings = {}) {
+    const {
+      pageSize = 'a4',
+      orientation = 'auto',
+      margin = 10,
+      placement = 'fit'
+    } = pdfSettings;
+
+    const margins = Math.max(0, Number(margin) || 0);
+    const naturalWidth = imageWidth * MM_PER_PIXEL;
+    const naturalHeight = imageHeight * MM_PER_PIXEL;
+    const fullCrop = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+
+    // Page sized around the image: placement has nothing to fit into
+    if (pageSize === 'fit') {
+      return {
+        pageWidth: naturalWidth + margins * 2,
+        pageHeight: naturalHeight + margins * 2,
+        orientation: imageWidth > imageHeight ? 'landscape' : 'portrait',
+        x: margins,
+        y: margins,
+        width: naturalWidth,
+        height: naturalHeight,
+        crop: fullCrop
       };
+    }
 
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.src = URL.createObjectURL(imageFile);
-    });
+    const [shortSide, longSide] = PDF_PAGE_SIZES[pageSize] || PDF_PAGE_SIZES.a4;
+    const pageOrientation = orientation === 'auto'
+      ? (imageWidth > imageHeight ? 'landscape' : 'portrait')
+      : orientation;
+    const pageWidth = pageOrientation === 'landscape' ? longSide : shortSide;
+    const pageHeight = pageOrientation === 'landscape' ? shortSide : longSide;
+
+    const areaWidth = Math.max(1, pageWidth - margins * 2);
+    const areaHeight = Math.max(1, pageHeight - margins * 2);
+
+    let width, height;
+    let crop = fullCrop;
+
+    if (placement === 'fill') {
+      // Cover the printable area and crop the overflow around the center
+      const scale = Math.max(areaWidth / imageWidth, areaHeight / imageHeight);
+      const cropWidth = Math.min(imageWidth, Math.round(areaWidth / scale));
+      const cropHeight = Math.min(imageHeight, Math.round(areaHeight / scale));
+      crop = {
+        x: Math.round((imageWidth - cropWidth) / 2),
+        y: Math.round((imageHeight - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight
+      };
+      width = areaWidth;
+      height = areaHeight;
+    } else if (placement === 'actual') {
+      // Keep the 96 DPI size, cropping whatever runs past the margins
+      width = Math.min(naturalWidth, areaWidth);
+      height = Math.min(naturalHeight, areaHeight);
+      const cropWidth = Math.round(width / MM_PER_PIXEL);
+      const cropHeight = Math.round(height / MM_PER_PIXEL);
+      crop = {
+        x: Math.round((imageWidth - cropWidth) / 2),
+        y: Math.round((imageHeight - cropHeight) / 2),
+        width: cropWidth,
+        height: cropHeight
+      };
+    } else {
+      const scale = Math.min(areaWidth / imageWidth, areaHeight / imageHeight);
+      width = imageWidth * scale;
+      height = imageHeight * scale;
+    }
+
+    return {
+      pageWidth,
+      pageHeight,
+      orientation: pageOrientation,
+      x: (pageWidth - width) / 2,
+      y: (pageHeight - height) / 2,
+      width,
+      height,
+      crop
+    };
   }
 
   /**
@@ -249,116 +970,320 @@ export class ImageProcessor {
    * @param {string} fromType - Source format
    * @param {string} toType - Target format
    * @param {Object} compressionSettings - Compression settings
+   * @param {AbortSignal} signal - Optional signal to cancel the conversion
    * @returns {Promise<Object>} Format conversion result
    */
-  async convertImageFormat(file, fromType, toType, compressionSettings = {}) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => {
-        try {
-          const canvas = document.createElement('canvas');
-          const ctx = canvas.getContext('2d');
-
-          if (!ctx) {
-            reject(new Error('Could not get canvas context'));
-            return;
-          }
+  async convertImageFormat(file, fromType, toType, compressionSettings = {}, signal) {
+    const { sourceFile, orientation, metadataSegments } =
+      await this.prepareOrientedSource(file, compressionSettings || {});
+    const tiled = await this.getTilePlan(sourceFile);
+    signal?.throwIfAborted();
+    const watermarkLogo = this.workerPool || tiled ? null : await this.loadWatermarkLogo(compressionSettings?.watermark);
+    signal?.throwIfAborted();
 
-          // Calculate dimensions with compression settings
-          const { width, height } = compressionSettings ? 
-            this.calculateDimensions(
-              img.width, 
-              img.height, 
-              compressionSettings.maxWidth, 
-              compressionSettings.maxHeight, 
-              compressionSettings.maintainAspectRatio
-            ) : { width: img.width, height: img.height };
+    const outputFormat = MIME_TYPES[toType] || 'image/jpeg';
+    // Browsers encode WebP losslessly when asked for quality 1.0
+    const lossless = toType === 'webp' && 
+      compressionSettings?.enableCompression && 
+      compressionSettings.webpLossless;
+    const quality = lossless ? 1.0 : compressionSettings?.enableCompression ? 
+      compressionSettings.quality : 
+      (toType === 'png' ? undefined : 0.95);
+    // Canvas ignores quality for PNG, so compressed PNGs go through our own encoder
+    const pngOptions = toType === 'png' ? this.getPngOptions(compressionSettings) : null;
+    const jpegOptions = toType === 'jpg' || toType === 'jpeg' ? this.getJpegOptions(compressionSettings) : null;
 
-          canvas.width = width;
-          canvas.height = height;
+    const buildStats = (blob, originalDimensions, newDimensions, { paletteSize = null, encoder, encoderFallback, shrunkFrom = null } = {}) => ({
+      originalSize: file.size,
+      compressedSize: blob.size,
+      compressionRatio: ((file.size - blob.size) / file.size) * 100,
+      quality: quality || 1.0,
+      lossless: lossless || (toType === 'png' && !pngOptions?.colors),
+      paletteSize,
+      dithered: Boolean(paletteSize && pngOptions?.colors && pngOptions.dither),
+      encoder,
+      encoderFallback,
+      shrunkFrom,
+      originalDimensions,
+      newDimensions
+    });
 
-          // Fill with white background for JPEG conversion
-          if (toType === 'jpg' || toType === 'jpeg') {
-            ctx.fillStyle = '#FFFFFF';
-            ctx.fillRect(0, 0, canvas.width, canvas.height);
-          }
+    if (this.workerPool || tiled) {
+      const encoded = await this.runEncodeTask({
+        file: sourceFile,
+        outputFormat,
+        quality,
+        resize: getResizeOptions(compressionSettings),
+        background: toType === 'jpg' || toType === 'jpeg' ? '#FFFFFF' : null,
+        avifSpeed: compressionSettings?.avifSpeed,
+        png: pngOptions,
+        jpeg: jpegOptions,
+        orientation,
+        transforms: compressionSettings?.transforms,
+        watermark: compressionSettings?.watermark,
+        tiled
+      }, file, signal);
+      const blob = await this.applyMetadata(encoded.blob, metadataSegments);
+      signal?.throwIfAborted();
 
-          ctx.drawImage(img, 0, 0, width, height);
-
-          const outputFormat = toType === 'png' ? 'image/png' : 'image/jpeg';
-          const quality = compressionSettings?.enableCompression ? 
-            compressionSettings.quality : 
-            (toType === 'png' ? undefined : 0.95);
-
-          canvas.toBlob(
-            (blob) => {
-              if (blob) {
-                const stats = {
-                  originalSize: file.size,
-                  compressedSize: blob.size,
-                  compressionRatio: ((file.size - blob.size) / file.size) * 100,
-                  quality: quality || 1.0,
-                  originalDimensions: { width: img.width, height: img.height },
-                  newDimensions: { width, height }
-                };
-                resolve({ blob, stats });
-              } else {
-                reject(new Error('Failed to create blob'));
-              }
-            },
-            outputFormat,
-            quality
-          );
-        } catch (error) {
-          reject(error);
-        }
+      return {
+        blob,
+        stats: buildStats(blob, encoded.originalDimensions, encoded.newDimensions, encoded)
       };
+    }
 
-      img.onerror = () => reject(new Error('Failed to load image'));
-      img.src = URL.createObjectURL(file);
-    });
+    const img = await this.loadImage(sourceFile, 'Failed to load image', signal);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    const originalDimensions = getTransformedSize(img.width, img.height, orientation, compressionSettings?.transforms);
+
+    // Work out the output size and image placement for the resize mode
+    const resize = getResizeOptions(compressionSettings);
+    const layout = planResize(img, orientation, compressionSettings?.transforms, resize);
+    const { width, height } = layout;
+
+    canvas.width = width;
+    canvas.height = height;
+
+    // Fill with white background for JPEG conversion
+    if (toType === 'jpg' || toType === 'jpeg') {
+      ctx.fillStyle = '#FFFFFF';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    drawResized(ctx, img, orientation, compressionSettings?.transforms, layout, resize.resampler);
+    drawWatermark(ctx, width, height, compressionSettings?.watermark, watermarkLogo);
+
+    // Same encoders as the worker: our PNG encoder, MozJPEG with the canvas as its fallback, and WASM AVIF
+    const encoded = await encodeCanvas(canvas, {
+      outputFormat,
+      quality,
+      avifSpeed: compressionSettings?.avifSpeed,
+      png: pngOptions,
+      jpeg: jpegOptions
+    }, { signal });
+    const blob = await this.applyMetadata(encoded.blob, metadataSegments);
+    signal?.throwIfAborted();
+
+    return {
+      blob,
+      stats: buildStats(blob, originalDimensions, { width, height }, encoded)
+    };
   }
 
   /**
-   * Calculate optimal dimensions for resizing
-   * @param {number} originalWidth - Original image width
-   * @param {number} originalHeight - Original image height
-   * @param {number} maxWidth - Maximum width
-   * @param {number} maxHeight - Maximum height
-   * @param {boolean} maintainAspectRatio - Whether to maintain aspect ratio
-   * @returns {Object} Calculated dimensions
+   * Pick PNG encoder options from compression settings: a palette sized by
+   * the quality slider, or a lossless re-encode
+   * @param {Object} compressionSettings - Compression settings
+   * @returns {Object|null} { colors, dither } for PngEncoder, or null to use the canvas encoder
    */
-  calculateDimensions(originalWidth, originalHeight, maxWidth, maxHeight, maintainAspectRatio = true) {
-    let width = originalWidth;
-    let height = originalHeight;
+  getPngOptions(compressionSettings) {
+    if (!compressionSettings?.enableCompression) {
+      return null;
+    }
+
+    return compressionSettings.pngMode === 'lossless'
+      ? { colors: 0, dither: false }
+      : { colors: getPaletteSize(compressionSettings.quality), dither: compressionSettings.pngDither !== false };
+  }
+
+  /**
+   * Pick MozJPEG encoder options from compression settings
+   * @param {Object} compressionSettings - Compression settings
+   * @returns {Object|null} JpegCodec options, or null to use the canvas encoder
+   */
+  getJpegOptions(compressionSettings) {
+    if (!compressionSettings?.enableCompression || compressionSettings.jpegEncoder !== 'mozjpeg') {
+      return null;
+    }
 
-    if (!maxWidth && !maxHeight) {
-      return { width, height };
+    // Checked here rather than in the encoder, whose failures fall back to the canvas encoder
+    const subsampling = compressionSettings.jpegSubsampling || '420';
+    if (!(subsampling in JPEG_SUBSAMPLING)) {
+      throw new Error(`Unknown JPEG chroma subsampling: ${subsampling}`);
     }
 
-    if (maintainAspectRatio) {
-      const aspectRatio = originalWidth / originalHeight;
+    return {
+      progressive: compressionSettings.jpegProgressive !== false,
+      subsampling,
+      trellis: compressionSettings.jpegTrellis !== false,
+      optimizeHuffman: compressionSettings.jpegOptimizeHuffman !== false
+    };
+  }
 
-      if (maxWidth && width > maxWidth) {
-        width = maxWidth;
-        height = width / aspectRatio;
-      }
+  /**
+   * Output a file that is already in the target format without re-encoding
+   * it. JPEGs still follow the metadata policy, by rewriting only their
+   * metadata segments; when that would drop an EXIF rotation the browser
+   * applies, the image is re-encoded with the rotation drawn in instead.
+   * @param {File} file - Image file in the target format
+   * @param {string} fromType - Source format
+   * @param {string} toType - Target format
+   * @param {Object} settings - Conversion settings with autoRotate and metadataPolicy
+   * @param {AbortSignal} signal - Optional signal to cancel a re-encode
+   * @returns {Promise<Object>} { blob, stats, unchanged } where unchanged is false after a re-encode
+   */
+  async passThroughImage(file, fromType, toType, settings = {}, signal) {
+    const policy = settings.metadataPolicy || 'strip';
+    if (!isFileOfType(file, 'image/jpeg', /\.jpe?g$/i) || policy === 'keep') {
+      return { blob: file, stats: null, unchanged: true };
+    }
 
-      if (maxHeight && height > maxHeight) {
-        height = maxHeight;
-        width = height * aspectRatio;
+    const metadata = new JpegMetadata();
+    const buffer = await file.arrayBuffer();
+    const parsed = metadata.parse(buffer);
+
+    if (parsed.orientation !== 1 && settings.autoRotate !== false) {
+      return { ...await this.encodeImage(file, fromType, toType, settings, signal), unchanged: false };
+    }
+
+    const segments = metadata.selectSegments(parsed, policy, { resetOrientation: false });
+    const blob = await metadata.insertSegments(metadata.withoutMetadata(buffer, parsed), segments);
+    return { blob, stats: null, unchanged: true };
+  }
+
+  /**
+   * Encode an image into the target format, searching for a file size
+   * when target size mode is enabled
+   * @param {File} file - Image file
+   * @param {string} fromType - Source format
+   * @param {string} toType - Target format
+   * @param {Object} compressionSettings - Compression settings
+   * @param {AbortSignal} signal - Optional signal to cancel the encode
+   * @returns {Promise<Object>} Encoding result with blob and stats
+   */
+  async encodeImage(file, fromType, toType, compressionSettings = {}, signal) {
+    const useTargetSize = compressionSettings?.enableCompression &&
+      compressionSettings.sizeMode === 'target' &&
+      compressionSettings.targetSizeKB > 0;
+
+    return useTargetSize
+      ? this.compressToTargetSize(file, fromType, toType, compressionSettings, signal)
+      : this.convertImageFormat(file, fromType, toType, compressionSettings, signal);
+  }
+
+  /**
+   * Compress an image until it fits under a maximum file size, searching
+   * quality first and then, if allowed, shrinking the dimensions
+   * @param {File} file - Image file
+   * @param {string} fromType - Source format
+   * @param {string} toType - Target format
+   * @param {Object} compressionSettings - Compression settings with targetSizeKB and allowResizeForTarget
+   * @param {AbortSignal} signal - Optional signal that stops the search
+   * @returns {Promise<Object>} Result with blob and stats, including the chosen quality and whether the target was met
+   */
+  async compressToTargetSize(file, fromType, toType, compressionSettings, signal) {
+    const targetSize = Math.round(compressionSettings.targetSizeKB * 1024);
+    // Quality sets the palette size for PNG, lossless PNGs can only shrink by resizing
+    const isLossy = toType !== 'png' || compressionSettings.pngMode !== 'lossless';
+
+    const encode = (quality, dimensions) => this.convertImageFormat(file, fromType, toType, {
+      ...compressionSettings,
+      enableCompression: true,
+      webpLossless: false,
+      quality,
+      ...(dimensions && {
+        maxWidth: dimensions.width,
+        maxHeight: dimensions.height,
+        maintainAspectRatio: true,
+        resizeMode: 'fit',
+        // Shrunk sizes come from the encoder, not the user, so skip the input limits
+        minDimension: undefined,
+        maxDimension: undefined
+      })
+    }, signal);
+
+    let dimensions = null;
+    let attempt = await this.searchQualityForSize(encode, dimensions, targetSize, isLossy);
+
+    for (
+      let round = 0;
+      !attempt.fits && compressionSettings.allowResizeForTarget && round < TARGET_SIZE_MAX_RESIZE_ROUNDS;
+      round++
+    ) {
+      const current = attempt.result.stats.newDimensions;
+      // File size scales roughly with pixel count
+      const scale = Math.min(0.9, Math.max(0.25, Math.sqrt(targetSize / attempt.result.blob.size) * 0.95));
+      const next = {
+        width: Math.round(current.width * scale),
+        height: Math.round(current.height * scale)
+      };
+
+      if (Math.min(next.width, next.height) < TARGET_SIZE_MIN_DIMENSION) {
+        break;
       }
-    } else {
-      if (maxWidth) width = Math.min(width, maxWidth);
-      if (maxHeight) height = Math.min(height, maxHeight);
+
+      dimensions = next;
+      attempt = await this.searchQualityForSize(encode, dimensions, targetSize, isLossy);
     }
 
     return {
-      width: Math.round(width),
-      height: Math.round(height)
+      blob: attempt.result.blob,
+      stats: {
+        ...attempt.result.stats,
+        quality: attempt.quality,
+        targetSize,
+        targetMet: attempt.fits
+      }
     };
   }
 
+  /**
+   * Binary search for the highest quality whose output fits a size budget
+   * @param {Function} encode - Encodes at (quality, dimensions) and resolves to { blob, stats }
+   * @param {Object|null} dimensions - Maximum dimensions, or null for the configured size
+   * @param {number} targetSize - Maximum size in bytes
+   * @param {boolean} isLossy - Whether quality affects the output size
+   * @returns {Promise<Object>} { result, quality, fits }
+   */
+  async searchQualityForSize(encode, dimensions, targetSize, isLossy) {
+    const best = await encode(TARGET_SIZE_MAX_QUALITY, dimensions);
+    if (best.blob.size <= targetSize || !isLossy) {
+      return { result: best, quality: TARGET_SIZE_MAX_QUALITY, fits: best.blob.size <= targetSize };
+    }
+
+    const smallest = await encode(TARGET_SIZE_MIN_QUALITY, dimensions);
+    if (smallest.blob.size > targetSize) {
+      return { result: smallest, quality: TARGET_SIZE_MIN_QUALITY, fits: false };
+    }
+
+    let fitting = { result: smallest, quality: TARGET_SIZE_MIN_QUALITY, fits: true };
+    let low = TARGET_SIZE_MIN_QUALITY;
+    let high = TARGET_SIZE_MAX_QUALITY;
+
+    for (let step = 0; step < TARGET_SIZE_QUALITY_STEPS; step++) {
+      const quality = Math.round(((low + high) / 2) * 100) / 100;
+      const result = await encode(quality, dimensions);
+
+      if (result.blob.size <= targetSize) {
+        fitting = { result, quality, fits: true };
+        low = quality;
+      } else {
+        high = quality;
+      }
+    }
+
+    return fitting;
+  }
+
+  /**
+   * Calculate optimal dimensions for resizing
+   * @param {number} originalWidth - Original image width
+   * @param {number} originalHeight - Original image height
+   * @param {number} maxWidth - Maximum width
+   * @param {number} maxHeight - Maximum height
+   * @param {boolean} maintainAspectRatio - Whether to maintain aspect ratio
+   * @returns {Object} Calculated dimensions
+   */
+  calculateDimensions(originalWidth, originalHeight, maxWidth, maxHeight, maintainAspectRatio = true) {
+    return calculateDimensions(originalWidth, originalHeight, maxWidth, maxHeight, maintainAspectRatio);
+  }
+
   /**
    * Generate compression preview
    * @param {File} file - Image file
@@ -385,9 +1310,12 @@ export class ImageProcessor {
    * Generate image thumbnail
    * @param {File} file - Image file
    * @param {number} maxSize - Maximum thumbnail size
+   * @param {Object} transforms - Optional crop, rotation and flip edits to preview
    * @returns {Promise<string>} Thumbnail data URL
    */
-  async generateThumbnail(file, maxSize = 120) {
+  async generateThumbnail(file, maxSize = 120, transforms = null) {
+    const { sourceFile, orientation } = await this.prepareOrientedSource(file);
+
     return new Promise((resolve, reject) => {
       const img = new Image();
       img.onload = () => {
@@ -400,14 +1328,15 @@ export class ImageProcessor {
             return;
           }
 
-          const aspectRatio = img.width / img.height;
+          const edited = getTransformedSize(img.width, img.height, orientation, transforms);
+          const aspectRatio = edited.width / edited.height;
           const { width, height } = aspectRatio > 1 
             ? { width: maxSize, height: maxSize / aspectRatio }
             : { width: maxSize * aspectRatio, height: maxSize };
 
           canvas.width = width;
           canvas.height = height;
-          ctx.drawImage(img, 0, 0, width, height);
+          drawTransformed(ctx, img, orientation, transforms, width, height);
 
           const thumbnailDataUrl = canvas.toDataURL('image/jpeg', 0.8);
           resolve(thumbnailDataUrl);
@@ -417,7 +1346,7 @@ export class ImageProcessor {
       };
 
       img.onerror = () => reject(new Error('Failed to load image for thumbnail'));
-      img.src = URL.createObjectURL(file);
+      this.setImageSource(img, sourceFile);
     });
   }
 }
\ No newline at end of file
@@ -0,0 +1,104 @@
+// Chroma subsampling modes as horizontal and vertical luma sampling factors
+export const JPEG_SUBSAMPLING = {
+  '444': { horizontal: 1, vertical: 1 },
+  '422': { horizontal: 2, vertical: 1 },
+  '420': { horizontal: 2, vertical: 2 }
+};
+
+/**
+ * Pack RGBA pixels as a binary PPM, the raw input cjpeg reads. Alpha is
+ * dropped, JPEG output is drawn over a background first.
+ * @param {ImageData} imageData - Pixels to pack
+ * @returns {Uint8Array} PPM file
+ */
+const toPPM = ({ data, width, height }) => {
+  const header = new TextEncoder().encode(`P6\n${width} ${height}\n255\n`);
+  const ppm = new Uint8Array(header.length + width * height * 3);
+  ppm.set(header);
+
+  for (let source = 0, target = header.length; source < data.length; source += 4, target += 3) {
+    ppm[target] = data[source];
+    ppm[target + 1] = data[source + 1];
+    ppm[target + 2] = data[source + 2];
+  }
+
+  return ppm;
+};
+
+/**
+ * JPEG codec class wrapping the bundled MozJPEG WASM encoder
+ */
+export class JpegCodec {
+  /**
+   * Encode pixels as JPEG with MozJPEG
+   * @param {ImageData} imageData - Pixels to encode
+   * @param {Object} options - Encoder options
+   * @param {number} options.quality - Quality from 0.1 to 1.0
+   * @param {boolean} options.progressive - Progressive scans instead of a single baseline scan
+   * @param {string} options.subsampling - '444', '422' or '420'
+   * @param {boolean} options.trellis - Run the extra trellis quantization passes
+   * @param {boolean} options.optimizeHuffman - Build Huffman tables for this image instead of the standard ones
+   * @returns {Promise<Blob>} JPEG blob
+   */
+  async encode(imageData, {
+    quality = 0.8,
+    progressive = true,
+    subsampling = '420',
+    trellis = true,
+    optimizeHuffman = true
+  } = {}) {
+    const factors = JPEG_SUBSAMPLING[subsampling];
+    if (!factors) {
+      throw new Error(`Unsupported chroma subsampling: ${subsampling}`);
+    }
+
+    const jpegQuality = Math.round(Math.min(1, Math.max(0, quality)) * 100);
+
+    // The WASM binding sets one factor for both directions, so 4:2:2 goes through cjpeg
+    if (factors.horizontal !== factors.vertical) {
+      return this.encodeWithCjpeg(imageData, { quality: jpegQuality, progressive, trellis, factors });
+    }
+
+    const { default: encode } = await import('@jsquash/jpeg/encode.js');
+
+    const buffer = await encode(imageData, {
+      quality: jpegQuality,
+      progressive,
+      optimize_coding: optimizeHuffman,
+      auto_subsample: false,
+      chroma_subsample: factors.horizontal,
+      trellis_multipass: trellis,
+      trellis_opt_zero: trellis,
+      trellis_opt_table: trellis
+    });
+
+    return new Blob([buffer], { type: 'image/jpeg' });
+  }
+
+  /**
+   * Encode with MozJPEG's cjpeg, which takes separate horizontal and
+   * vertical sampling factors. It's a JavaScript build, so it's slower than
+   * the WASM binding, and it always optimizes the Huffman tables.
+   * @param {ImageData} imageData - Pixels to encode
+   * @param {Object} options - { quality (0-100), progressive, trellis, factors }
+   * @returns {Promise<Blob>} JPEG blob
+   */
+  async encodeWithCjpeg(imageData, { quality, progressive, trellis, factors }) {
+    const { encode } = await import('mozjpeg-js');
+
+    // cjpeg switches; false ones are left out
+    const output = encode(toPPM(imageData), {
+      quality,
+      sample: `${factors.horizontal}x${factors.vertical}`,
+      baseline: !progressive,
+      notrellis: !trellis
+    });
+
+    // The build returns its error instead of throwing it
+    if (output instanceof Error) {
+      throw output;
+    }
+
+    return new Blob([output.data], { type: 'image/jpeg' });
+  }
+}
@@ -0,0 +1,393 @@
+// JPEG markers
+const MARKER_SOI = 0xFFD8;
+const MARKER_SOS = 0xFFDA;
+const MARKER_APP0 = 0xFFE0;
+const MARKER_APP1 = 0xFFE1;
+const MARKER_APP2 = 0xFFE2;
+const MARKER_APP13 = 0xFFED;
+const MARKER_APP15 = 0xFFEF;
+const MARKER_COM = 0xFFFE;
+
+// TIFF tags used by the metadata policies
+const TAG_ORIENTATION = 0x0112;
+const TAG_DATE_TIME = 0x0132;
+const TAG_ARTIST = 0x013B;
+const TAG_COPYRIGHT = 0x8298;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_HEADER = 'ICC_PROFILE\0';
+const IPTC_HEADER = 'Photoshop 3.0\0';
+
+const startsWith = (bytes, offset, text) => {
+  if (offset + text.length > bytes.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[offset + i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+};
+
+/**
+ * JPEG metadata class for reading, filtering and writing APP segments
+ * (EXIF, XMP, ICC and IPTC) without decoding the image
+ */
+export class JpegMetadata {
+  /**
+   * Check whether a buffer holds a JPEG
+   * @param {ArrayBuffer} buffer - File contents
+   * @returns {boolean} True for JPEG data
+   */
+  isJpeg(buffer) {
+    return buffer.byteLength > 2 && new DataView(buffer).getUint16(0) === MARKER_SOI;
+  }
+
+  /**
+   * Parse the metadata segments that precede the image data
+   * @param {ArrayBuffer} buffer - JPEG file contents
+   * @returns {Object} { segments, orientation, exif } where each segment is
+   *   { marker, kind, offset, length, bytes } and exif holds parsed TIFF entries
+   */
+  parse(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const segments = [];
+
+    if (!this.isJpeg(buffer)) {
+      return { segments, orientation: 1, exif: null };
+    }
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xFF00) !== 0xFF00 || marker === MARKER_SOS) break;
+
+      const length = view.getUint16(offset + 2);
+      const dataOffset = offset + 4;
+      segments.push({
+        marker,
+        kind: this.getSegmentKind(marker, bytes, dataOffset),
+        offset,
+        length: length + 2,
+        bytes: bytes.subarray(offset, offset + length + 2)
+      });
+
+      offset += length + 2;
+    }
+
+    const exifSegment = segments.find(segment => segment.kind === 'exif');
+    const exif = exifSegment ? this.parseExif(buffer, exifSegment.offset + 4 + EXIF_HEADER.length) : null;
+    const orientationEntry = exif?.ifd0.find(entry => entry.tag === TAG_ORIENTATION);
+    const orientation = orientationEntry?.value;
+
+    return {
+      segments,
+      orientation: orientation >= 1 && orientation <= 8 ? orientation : 1,
+      exif
+    };
+  }
+
+  /**
+   * Identify what an APP segment carries
+   * @param {number} marker - Segment marker
+   * @param {Uint8Array} bytes - File bytes
+   * @param {number} dataOffset - Offset of the segment payload
+   * @returns {string} 'exif', 'xmp', 'icc', 'iptc', 'jfif' or 'other'
+   */
+  getSegmentKind(marker, bytes, dataOffset) {
+    if (marker === MARKER_APP1 && startsWith(bytes, dataOffset, EXIF_HEADER)) return 'exif';
+    if (marker === MARKER_APP1 && startsWith(bytes, dataOffset, XMP_HEADER)) return 'xmp';
+    if (marker === MARKER_APP2 && startsWith(bytes, dataOffset, ICC_HEADER)) return 'icc';
+    if (marker === MARKER_APP13 && startsWith(bytes, dataOffset, IPTC_HEADER)) return 'iptc';
+    if (marker === MARKER_APP0) return 'jfif';
+    return 'other';
+  }
+
+  /**
+   * Parse the TIFF structure inside an EXIF segment
+   * @param {ArrayBuffer} buffer - File contents
+   * @param {number} tiffStart - Offset of the TIFF header
+   * @returns {Object|null} { littleEndian, tiffStart, ifd0, exifIfd, gpsIfd }
+   */
+  parseExif(buffer, tiffStart) {
+    const view = new DataView(buffer);
+    if (tiffStart + 8 > buffer.byteLength) return null;
+
+    const byteOrder = view.getUint16(tiffStart);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4D4D) return null;
+    const littleEndian = byteOrder === 0x4949;
+
+    const readIfd = (ifdOffset) => {
+      const start = tiffStart + ifdOffset;
+      if (!ifdOffset || start + 2 > buffer.byteLength) return [];
+
+      const count = view.getUint16(start, littleEndian);
+      const entries = [];
+
+      for (let i = 0; i < count; i++) {
+        const entryOffset = start + 2 + i * 12;
+        if (entryOffset + 12 > buffer.byteLength) break;
+        entries.push(this.readEntry(view, tiffStart, entryOffset, littleEndian));
+      }
+
+      return entries;
+    };
+
+    const ifd0 = readIfd(view.getUint32(tiffStart + 4, littleEndian));
+    const exifPointer = ifd0.find(entry => entry.tag === TAG_EXIF_IFD);
+    const gpsPointer = ifd0.find(entry => entry.tag === TAG_GPS_IFD);
+
+    return {
+      littleEndian,
+      tiffStart,
+      ifd0,
+      exifIfd: exifPointer ? readIfd(exifPointer.value) : [],
+      gpsIfd: gpsPointer ? readIfd(gpsPointer.value) : []
+    };
+  }
+
+  /**
+   * Read one IFD entry; ASCII, SHORT, LONG and RATIONAL values are decoded
+   * @returns {Object} { tag, type, count, valueOffset, value }
+   */
+  readEntry(view, tiffStart, entryOffset, littleEndian) {
+    const tag = view.getUint16(entryOffset, littleEndian);
+    const type = view.getUint16(entryOffset + 2, littleEndian);
+    const count = view.getUint32(entryOffset + 4, littleEndian);
+    const typeSize = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }[type] || 1;
+    const inline = typeSize * count <= 4;
+    const valueOffset = inline ? entryOffset + 8 : tiffStart + view.getUint32(entryOffset + 8, littleEndian);
+
+    let value = null;
+    if (valueOffset + typeSize * count <= view.byteLength) {
+      if (type === TYPE_ASCII) {
+        const chars = new Uint8Array(view.buffer, valueOffset, count);
+        value = String.fromCharCode(...chars).replace(/\0+$/, '');
+      } else if (type === TYPE_SHORT) {
+        value = view.getUint16(valueOffset, littleEndian);
+      } else if (type === TYPE_LONG) {
+        value = view.getUint32(valueOffset, littleEndian);
+      } else if (type === TYPE_RATIONAL) {
+        value = Array.from({ length: count }, (_, i) => {
+          const denominator = view.getUint32(valueOffset + i * 8 + 4, littleEndian);
+          return denominator ? view.getUint32(valueOffset + i * 8, littleEndian) / denominator : 0;
+        });
+      }
+    }
+
+    return { tag, type, count, valueOffset, value };
+  }
+
+  /**
+   * Copy a JPEG with its EXIF Orientation tag rewritten, so browsers
+   * decode the pixels exactly as stored
+   * @param {ArrayBuffer} buffer - JPEG file contents
+   * @param {Object} parsed - Result of parse()
+   * @param {number} orientation - New orientation value
+   * @returns {Uint8Array} Patched copy of the file
+   */
+  withOrientation(buffer, parsed, orientation = 1) {
+    const copy = new Uint8Array(buffer.slice(0));
+    const entry = parsed.exif?.ifd0.find(e => e.tag === TAG_ORIENTATION && e.type === TYPE_SHORT);
+
+    if (entry) {
+      new DataView(copy.buffer).setUint16(entry.valueOffset, orientation, parsed.exif.littleEndian);
+    }
+
+    return copy;
+  }
+
+  /**
+   * Copy a JPEG without its metadata: APP1-APP15 segments and comments are
+   * dropped, except the ICC profile, which still describes the untouched
+   * pixels. The JFIF header, tables and compressed data are kept as they are.
+   * @param {ArrayBuffer} buffer - JPEG file contents
+   * @param {Object} parsed - Result of parse()
+   * @returns {Blob} JPEG without metadata
+   */
+  withoutMetadata(buffer, parsed) {
+    const isMetadata = (segment) => segment.kind !== 'icc' && (
+      segment.marker === MARKER_COM || (segment.marker > MARKER_APP0 && segment.marker <= MARKER_APP15)
+    );
+    const last = parsed.segments[parsed.segments.length - 1];
+
+    return new Blob([
+      buffer.slice(0, 2),
+      ...parsed.segments.filter(segment => !isMetadata(segment)).map(segment => segment.bytes),
+      buffer.slice(last ? last.offset + last.length : 2)
+    ], { type: 'image/jpeg' });
+  }
+
+  /**
+   * Pick the segments to write into the output for a metadata policy
+   * @param {Object} parsed - Result of parse()
+   * @param {string} policy - 'strip', 'keep' or 'copyright'
+   * @param {Object} options - { resetOrientation } set when pixels were already rotated
+   * @returns {Array<Uint8Array>} Complete segments including marker and length
+   */
+  selectSegments(parsed, policy, { resetOrientation = true } = {}) {
+    if (policy === 'keep') {
+      return parsed.segments
+        .filter(segment => ['exif', 'xmp', 'iptc'].includes(segment.kind) ||
+          (segment.kind === 'icc' && this.isSRGBProfile(parsed.segments)))
+        .map(segment => {
+          if (segment.kind !== 'exif' || !resetOrientation) return segment.bytes;
+          return this.patchSegmentOrientation(segment, parsed);
+        });
+    }
+
+    if (policy === 'copyright' && parsed.exif) {
+      const pick = (entries, tags) => entries
+        .filter(entry => tags.includes(entry.tag) && entry.type === TYPE_ASCII && entry.value)
+        .map(entry => ({ tag: entry.tag, value: entry.value }));
+
+      const ifd0 = pick(parsed.exif.ifd0, [TAG_DATE_TIME, TAG_ARTIST, TAG_COPYRIGHT]);
+      const exifIfd = pick(parsed.exif.exifIfd, [TAG_DATE_TIME_ORIGINAL, TAG_DATE_TIME_DIGITIZED]);
+
+      if (ifd0.length > 0 || exifIfd.length > 0) {
+        return [this.buildExifSegment(ifd0, exifIfd)];
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Canvas output is always sRGB, so only an sRGB profile still describes the pixels
+   * @param {Array<Object>} segments - Parsed segments
+   * @returns {boolean} True when the embedded ICC profile is sRGB
+   */
+  isSRGBProfile(segments) {
+    const profile = segments
+      .filter(segment => segment.kind === 'icc')
+      .map(segment => String.fromCharCode(...segment.bytes.subarray(4 + ICC_HEADER.length + 2)))
+      .join('');
+
+    // Profile descriptions are ASCII (v2) or UTF-16 (v4)
+    return /sRGB/.test(profile) || /s\0R\0G\0B/.test(profile);
+  }
+
+  /**
+   * Copy an EXIF segment with Orientation set to 1
+   * @param {Object} segment - Parsed EXIF segment
+   * @param {Object} parsed - Result of parse()
+   * @returns {Uint8Array} Patched segment bytes
+   */
+  patchSegmentOrientation(segment, parsed) {
+    const copy = segment.bytes.slice();
+    const entry = parsed.exif?.ifd0.find(e => e.tag === TAG_ORIENTATION && e.type === TYPE_SHORT);
+
+    if (entry) {
+      new DataView(copy.buffer).setUint16(entry.valueOffset - segment.offset, 1, parsed.exif.littleEndian);
+    }
+
+    return copy;
+  }
+
+  /**
+   * Build a minimal little-endian EXIF segment holding ASCII tags
+   * @param {Array<Object>} ifd0Entries - { tag, value } pairs for IFD0
+   * @param {Array<Object>} exifEntries - { tag, value } pairs for the Exif sub-IFD
+   * @returns {Uint8Array} Complete APP1 segment
+   */
+  buildExifSegment(ifd0Entries, exifEntries) {
+    const ifd0 = [...ifd0Entries];
+    if (exifEntries.length > 0) {
+      ifd0.push({ tag: TAG_EXIF_IFD, pointer: true });
+    }
+    ifd0.sort((a, b) => a.tag - b.tag);
+    const exif = [...exifEntries].sort((a, b) => a.tag - b.tag);
+
+    const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+    const dataSize = (entries) => entries.reduce((sum, entry) => {
+      const length = entry.pointer ? 0 : entry.value.length + 1;
+      return sum + (length > 4 ? length + (length % 2) : 0);
+    }, 0);
+
+    const ifd0Offset = 8;
+    const exifOffset = ifd0Offset + ifdSize(ifd0) + dataSize(ifd0);
+    const tiffLength = exifOffset + (exif.length > 0 ? ifdSize(exif) + dataSize(exif) : 0);
+
+    const tiff = new Uint8Array(tiffLength);
+    const view = new DataView(tiff.buffer);
+    view.setUint16(0, 0x4949);
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifd0Offset, true);
+
+    const writeIfd = (entries, start) => {
+      let dataOffset = start + ifdSize(entries);
+      view.setUint16(start, entries.length, true);
+
+      entries.forEach((entry, i) => {
+        const entryOffset = start + 2 + i * 12;
+        view.setUint16(entryOffset, entry.tag, true);
+
+        if (entry.pointer) {
+          view.setUint16(entryOffset + 2, TYPE_LONG, true);
+          view.setUint32(entryOffset + 4, 1, true);
+          view.setUint32(entryOffset + 8, exifOffset, true);
+          return;
+        }
+
+        const text = `${entry.value}\0`;
+        view.setUint16(entryOffset + 2, TYPE_ASCII, true);
+        view.setUint32(entryOffset + 4, text.length, true);
+
+        const target = text.length > 4 ? dataOffset : entryOffset + 8;
+        if (text.length > 4) {
+          view.setUint32(entryOffset + 8, dataOffset, true);
+          dataOffset += text.length + (text.length % 2);
+        }
+        for (let c = 0; c < text.length; c++) {
+          tiff[target + c] = text.charCodeAt(c) & 0xFF;
+        }
+      });
+
+      view.setUint32(start + 2 + entries.length * 12, 0, true);
+    };
+
+    writeIfd(ifd0, ifd0Offset);
+    if (exif.length > 0) {
+      writeIfd(exif, exifOffset);
+    }
+
+    const header = Uint8Array.from(EXIF_HEADER, c => c.charCodeAt(0));
+    const segment = new Uint8Array(4 + header.length + tiff.length);
+    const segmentView = new DataView(segment.buffer);
+    segmentView.setUint16(0, MARKER_APP1);
+    segmentView.setUint16(2, 2 + header.length + tiff.length);
+    segment.set(header, 4);
+    segment.set(tiff, 4 + header.length);
+    return segment;
+  }
+
+  /**
+   * Write metadata segments into an encoded JPEG, right after SOI and any JFIF header
+   * @param {Blob} blob - Encoded JPEG without metadata
+   * @param {Array<Uint8Array>} segments - Segments to insert
+   * @returns {Promise<Blob>} JPEG with the segments inserted
+   */
+  async insertSegments(blob, segments) {
+    if (segments.length === 0) return blob;
+
+    const buffer = await blob.arrayBuffer();
+    if (!this.isJpeg(buffer)) return blob;
+
+    const { segments: existing } = this.parse(buffer);
+    const jfif = existing.find(segment => segment.kind === 'jfif' && segment.offset === 2);
+    const insertAt = jfif ? jfif.offset + jfif.length : 2;
+
+    return new Blob(
+      [buffer.slice(0, insertAt), ...segments, buffer.slice(insertAt)],
+      { type: 'image/jpeg' }
+    );
+  }
+}
\ No newline at end of file
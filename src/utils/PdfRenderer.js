@@ -0,0 +1,212 @@
+/**
+ * Lazily load pdf.js so the viewer code is only fetched when a PDF is used
+ * @returns {Promise<Object>} pdf.js module with its worker configured
+ */
+const loadPdfJs = async () => {
+  const [pdfjsLib, worker] = await Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]);
+
+  if (!pdfjsLib.GlobalWorkerOptions.workerSrc) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = worker.default;
+  }
+
+  return pdfjsLib;
+};
+
+/**
+ * PDF renderer class for rasterizing PDF pages in the browser
+ */
+export class PdfRenderer {
+  /**
+   * Open a PDF document
+   * @param {File} file - PDF file
+   * @returns {Promise<Object>} pdf.js document proxy
+   */
+  async openDocument(file) {
+    const pdfjsLib = await loadPdfJs();
+    const data = new Uint8Array(await file.arrayBuffer());
+    return pdfjsLib.getDocument({ data }).promise;
+  }
+
+  /**
+   * Get the number of pages in a PDF
+   * @param {File} file - PDF file
+   * @returns {Promise<number>} Page count
+   */
+  async getPageCount(file) {
+    const pdf = await this.openDocument(file);
+    try {
+      return pdf.numPages;
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * Parse a page range such as "1-3,7" into page numbers
+   * @param {string} range - Page range, empty or "all" for every page
+   * @param {number} pageCount - Number of pages in the document
+   * @returns {Array<number>} Sorted, de-duplicated page numbers (1-based)
+   */
+  parsePageRange(range, pageCount) {
+    const trimmed = (range || '').trim().toLowerCase();
+
+    if (!trimmed || trimmed === 'all') {
+      return Array.from({ length: pageCount }, (_, i) => i + 1);
+    }
+
+    const pages = new Set();
+
+    for (const part of trimmed.split(',')) {
+      const match = part.trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+      if (!match) {
+        throw new Error(`Invalid page range "${range}"`);
+      }
+
+      const start = parseInt(match[1], 10);
+      const end = match[2] ? parseInt(match[2], 10) : start;
+      if (start < 1 || end < start) {
+        throw new Error(`Invalid page range "${range}"`);
+      }
+
+      for (let page = start; page <= Math.min(end, pageCount); page++) {
+        pages.add(page);
+      }
+    }
+
+    if (pages.size === 0) {
+      throw new Error(`Page range "${range}" is outside the document (${pageCount} pages)`);
+    }
+
+    return [...pages].sort((a, b) => a - b);
+  }
+
+  /**
+   * Render PDF pages to PNG blobs, one page at a time
+   * @param {File} file - PDF file
+   * @param {string} pageRange - Page range such as "1-3,7", empty for all pages
+   * @param {number} dpi - Render resolution in dots per inch
+   * @param {Function} onPageRendered - Called with { pageNumber, blob, width, height } for each page
+   * @returns {Promise<number>} Number of pages rendered
+   */
+  async renderPages(file, pageRange, dpi = 150, onPageRendered) {
+    const pdf = await this.openDocument(file);
+
+    try {
+      const pageNumbers = this.parsePageRange(pageRange, pdf.numPages);
+
+      for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        // PDF user space is 72 units per inch
+        const viewport = page.getViewport({ scale: dpi / 72 });
+        const blob = await this.renderPageToBlob(page, viewport);
+        page.cleanup();
+
+        await onPageRendered({
+          pageNumber,
+          blob,
+          width: Math.floor(viewport.width),
+          height: Math.floor(viewport.height)
+        });
+      }
+
+      return pageNumbers.length;
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * Render a single page to a PNG blob
+   * @param {Blob} file - PDF file
+   * @param {number} pageNumber - Page to render (1-based)
+   * @param {number} dpi - Render resolution in dots per inch
+   * @returns {Promise<Blob>} PNG blob of the page
+   */
+  async renderPage(file, pageNumber = 1, dpi = 150) {
+    const pdf = await this.openDocument(file);
+
+    try {
+      const page = await pdf.getPage(Math.min(Math.max(1, pageNumber), pdf.numPages));
+      const blob = await this.renderPageToBlob(page, page.getViewport({ scale: dpi / 72 }));
+      page.cleanup();
+      return blob;
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * Render the first page of a PDF as a thumbnail
+   * @param {File} file - PDF file
+   * @param {number} maxSize - Maximum thumbnail size
+   * @returns {Promise<string>} Thumbnail data URL
+   */
+  async generateThumbnail(file, maxSize = 120) {
+    const pdf = await this.openDocument(file);
+
+    try {
+      const page = await pdf.getPage(1);
+      const { width, height } = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: maxSize / Math.max(width, height) });
+      const canvas = await this.renderPageToCanvas(page, viewport);
+      const thumbnailDataUrl = canvas.toDataURL('image/jpeg', 0.8);
+      page.cleanup();
+      return thumbnailDataUrl;
+    } finally {
+      pdf.destroy();
+    }
+  }
+
+  /**
+   * Render a page onto a white canvas
+   * @param {Object} page - pdf.js page proxy
+   * @param {Object} viewport - pdf.js viewport
+   * @returns {Promise<HTMLCanvasElement>} Rendered canvas
+   */
+  async renderPageToCanvas(page, viewport) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    canvas.width = Math.floor(viewport.width);
+    canvas.height = Math.floor(viewport.height);
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    await page.render({ canvasContext: ctx, viewport }).promise;
+    return canvas;
+  }
+
+  /**
+   * Render a page to a lossless PNG blob
+   * @param {Object} page - pdf.js page proxy
+   * @param {Object} viewport - pdf.js viewport
+   * @returns {Promise<Blob>} PNG blob
+   */
+  async renderPageToBlob(page, viewport) {
+    const canvas = await this.renderPageToCanvas(page, viewport);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) => {
+          // Release the canvas backing store before the next page
+          canvas.width = 0;
+          canvas.height = 0;
+
+          if (blob) {
+            resolve(blob);
+          } else {
+            reject(new Error('Failed to render PDF page'));
+          }
+        },
+        'image/png'
+      );
+    });
+  }
+}
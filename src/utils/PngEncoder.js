@@ -0,0 +1,387 @@
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// PNG color types
+const COLOR_TYPE_GRAYSCALE = 0;
+const COLOR_TYPE_RGB = 2;
+const COLOR_TYPE_PALETTE = 3;
+const COLOR_TYPE_GRAYSCALE_ALPHA = 4;
+const COLOR_TYPE_RGBA = 6;
+
+const MAX_PALETTE_SIZE = 256;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Map the quality slider to a palette size, 2 colors at the bottom of the
+ * range up to the full 256 at 100%
+ * @param {number} quality - Quality from 0.1 to 1.0
+ * @returns {number} Number of palette colors
+ */
+export const getPaletteSize = (quality = 0.8) => (
+  Math.min(MAX_PALETTE_SIZE, Math.max(2, Math.round(2 ** (1 + 7 * quality))))
+);
+
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+// Scanline predictors for filter types 0-4: None, Sub, Up, Average, Paeth
+const predict = (filter, a, b, c) => {
+  switch (filter) {
+    case 1: return a;
+    case 2: return b;
+    case 3: return (a + b) >> 1;
+    case 4: return paeth(a, b, c);
+    default: return 0;
+  }
+};
+
+/**
+ * Filter one scanline with each of the five predictors and keep the one
+ * with the smallest sum of absolute signed bytes
+ * @param {Uint8Array} current - Unfiltered row
+ * @param {Uint8Array} previous - Unfiltered row above (zeros for the first row)
+ * @param {number} bpp - Bytes per pixel
+ * @param {Array<Uint8Array>} candidates - Five scratch rows, one per filter
+ * @returns {number} The chosen filter type, whose output is in candidates[filter]
+ */
+const filterRow = (current, previous, bpp, candidates) => {
+  let bestFilter = 0;
+  let bestScore = Infinity;
+  for (let filter = 0; filter < 5; filter++) {
+    const out = candidates[filter];
+    let score = 0;
+    for (let i = 0; i < current.length; i++) {
+      const a = i >= bpp ? current[i - bpp] : 0;
+      const b = previous[i];
+      const c = i >= bpp ? previous[i - bpp] : 0;
+      const value = (current[i] - predict(filter, a, b, c)) & 0xff;
+      out[i] = value;
+      score += value < 128 ? value : 256 - value;
+    }
+    if (score < bestScore) {
+      bestScore = score;
+      bestFilter = filter;
+    }
+  }
+  return bestFilter;
+};
+
+/**
+ * Build one PNG chunk: length, type, data and CRC
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+const encodeChunk = (type, data) => {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set([...type].map(char => char.charCodeAt(0)), 4);
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+};
+
+const encodeHeader = (width, height, bitDepth, colorType) => {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([bitDepth, colorType, 0, 0, 0], 8);
+  return encodeChunk('IHDR', header);
+};
+
+/**
+ * PNG encoder class with palette quantization (PNG-8) and a lossless
+ * optimizing path that picks the smallest color type, filters each row
+ * adaptively and deflates at the highest level
+ */
+export class PngEncoder {
+  /**
+   * Encode pixels as an optimized PNG
+   * @param {ImageData} imageData - Pixels to encode
+   * @param {Object} options - Encoder options
+   * @param {number} options.colors - Palette size for lossy PNG-8, 0 for lossless
+   * @param {boolean} options.dither - Whether to Floyd-Steinberg dither the palette
+   * @returns {Promise<Object>} { blob, paletteSize } where paletteSize is null for truecolor output
+   */
+  async encode(imageData, { colors = 0, dither = true } = {}) {
+    const indexed = colors
+      ? await this.quantize(imageData, Math.min(MAX_PALETTE_SIZE, colors), dither)
+      : this.extractPalette(imageData);
+
+    const bytes = indexed
+      ? await this.encodeIndexed(imageData.width, imageData.height, indexed)
+      : await this.encodeTruecolor(imageData);
+
+    return {
+      blob: new Blob([bytes], { type: 'image/png' }),
+      paletteSize: indexed ? indexed.palette.length : null
+    };
+  }
+
+  /**
+   * Reduce pixels to a palette with the Wu quantizer
+   * @param {ImageData} imageData - Pixels to quantize
+   * @param {number} colors - Maximum palette size
+   * @param {boolean} dither - Whether to dither
+   * @returns {Promise<Object>} { palette, indices }
+   */
+  async quantize(imageData, colors, dither) {
+    const iq = await import('image-q');
+    const { width, height } = imageData;
+
+    const points = iq.utils.PointContainer.fromUint8Array(imageData.data, width, height);
+    const palette = iq.buildPaletteSync([points], {
+      colors,
+      paletteQuantization: 'wuquant',
+      colorDistanceFormula: 'euclidean-bt709'
+    });
+    const quantized = iq.applyPaletteSync(points, palette, {
+      colorDistanceFormula: 'euclidean-bt709',
+      imageQuantization: dither ? 'floyd-steinberg' : 'nearest'
+    });
+
+    return this.extractPalette({ data: quantized.toUint8Array(), width, height });
+  }
+
+  /**
+   * Collect the distinct colors of an image, if there are few enough for a
+   * palette. Translucent entries are sorted first so tRNS stays short.
+   * @param {ImageData} imageData - Pixels
+   * @returns {Object|null} { palette: [[r, g, b, a]], indices } or null for more than 256 colors
+   */
+  extractPalette({ data, width, height }) {
+    const pixels = new Uint32Array(data.buffer, data.byteOffset, width * height);
+    const lookup = new Map();
+    const raw = new Uint8Array(pixels.length);
+
+    for (let i = 0; i < pixels.length; i++) {
+      let index = lookup.get(pixels[i]);
+      if (index === undefined) {
+        if (lookup.size === MAX_PALETTE_SIZE) return null;
+        index = lookup.size;
+        lookup.set(pixels[i], index);
+      }
+      raw[i] = index;
+    }
+
+    // Pixels were read as little-endian words, so red is the low byte
+    const entries = [...lookup.keys()].map((value, index) => ({
+      index,
+      color: [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, value >>> 24]
+    }));
+    entries.sort((a, b) => (a.color[3] === 255) - (b.color[3] === 255));
+
+    const remap = new Uint8Array(entries.length);
+    entries.forEach((entry, position) => { remap[entry.index] = position; });
+    for (let i = 0; i < raw.length; i++) raw[i] = remap[raw[i]];
+
+    return { palette: entries.map(entry => entry.color), indices: raw };
+  }
+
+  /**
+   * Encode palette indices as PNG-8, packing small palettes below 8 bits
+   * @returns {Promise<Uint8Array>} PNG bytes
+   */
+  async encodeIndexed(width, height, { palette, indices }) {
+    const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+    const perByte = 8 / bitDepth;
+    const rowBytes = Math.ceil(width / perByte);
+    // Palette images compress best unfiltered, so every row uses filter 0
+    const raw = new Uint8Array((rowBytes + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+      const rowStart = y * (rowBytes + 1) + 1;
+      for (let x = 0; x < width; x++) {
+        const shift = 8 - bitDepth * (x % perByte + 1);
+        raw[rowStart + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+      }
+    }
+
+    const plte = new Uint8Array(palette.length * 3);
+    palette.forEach(([r, g, b], i) => plte.set([r, g, b], i * 3));
+    const translucent = palette.filter(color => color[3] < 255).length;
+
+    return this.writePng(width, height, bitDepth, COLOR_TYPE_PALETTE, [
+      ['PLTE', plte],
+      ...(translucent ? [['tRNS', Uint8Array.from(palette.slice(0, translucent), color => color[3])]] : []),
+      ['IDAT', await this.deflate(raw)]
+    ]);
+  }
+
+  /**
+   * Encode pixels losslessly, dropping alpha and color channels the image
+   * doesn't use and choosing the best filter for each row
+   * @returns {Promise<Uint8Array>} PNG bytes
+   */
+  async encodeTruecolor({ data, width, height }) {
+    let opaque = true;
+    let gray = true;
+    for (let i = 0; i < data.length && (opaque || gray); i += 4) {
+      if (data[i + 3] !== 255) opaque = false;
+      if (data[i] !== data[i + 1] || data[i] !== data[i + 2]) gray = false;
+    }
+
+    const colorType = gray
+      ? (opaque ? COLOR_TYPE_GRAYSCALE : COLOR_TYPE_GRAYSCALE_ALPHA)
+      : (opaque ? COLOR_TYPE_RGB : COLOR_TYPE_RGBA);
+    const channels = gray ? [0] : [0, 1, 2];
+    if (!opaque) channels.push(3);
+
+    const bpp = channels.length;
+    const rowBytes = width * bpp;
+    const raw = new Uint8Array((rowBytes + 1) * height);
+    let previous = new Uint8Array(rowBytes);
+    let current = new Uint8Array(rowBytes);
+    const candidates = Array.from({ length: 5 }, () => new Uint8Array(rowBytes));
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        for (let c = 0; c < bpp; c++) {
+          current[x * bpp + c] = data[(y * width + x) * 4 + channels[c]];
+        }
+      }
+
+      const bestFilter = filterRow(current, previous, bpp, candidates);
+      const rowStart = y * (rowBytes + 1);
+      raw[rowStart] = bestFilter;
+      raw.set(candidates[bestFilter], rowStart + 1);
+      [previous, current] = [current, previous];
+    }
+
+    return this.writePng(width, height, 8, colorType, [['IDAT', await this.deflate(raw)]]);
+  }
+
+  /**
+   * Compress filtered scanlines into a zlib stream
+   * @param {Uint8Array} raw - Filtered scanlines
+   * @returns {Promise<Uint8Array>} zlib data for IDAT
+   */
+  async deflate(raw) {
+    const { zlibSync } = await import('fflate');
+    return zlibSync(raw, { level: 9, mem: 12 });
+  }
+
+  /**
+   * Assemble the PNG signature, header and chunks
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} bitDepth - Bits per sample
+   * @param {number} colorType - PNG color type
+   * @param {Array} chunks - [type, data] pairs written between IHDR and IEND
+   * @returns {Uint8Array} PNG bytes
+   */
+  writePng(width, height, bitDepth, colorType, chunks) {
+    const parts = [
+      Uint8Array.from(PNG_SIGNATURE),
+      encodeHeader(width, height, bitDepth, colorType),
+      ...chunks.map(([type, data]) => encodeChunk(type, data)),
+      encodeChunk('IEND', new Uint8Array(0))
+    ];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+
+    let offset = 0;
+    for (const part of parts) {
+      output.set(part, offset);
+      offset += part.length;
+    }
+
+    return output;
+  }
+}
+
+/**
+ * PNG encoder for images too big to hold in memory at once. Rows arrive a
+ * strip at a time and are filtered and deflated as they come, so only the
+ * compressed output is kept. Output is lossless RGBA: palette reduction
+ * and the color type search need the whole image up front.
+ */
+export class PngStreamEncoder {
+  /**
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this.rowBytes = width * 4;
+    this.previous = new Uint8Array(this.rowBytes);
+    this.candidates = Array.from({ length: 5 }, () => new Uint8Array(this.rowBytes));
+    this.rowsWritten = 0;
+    this.idat = [];
+    this.deflater = null;
+  }
+
+  /**
+   * Filter and compress the next rows of the image
+   * @param {ImageData} imageData - Rows in order, as wide as the image
+   */
+  async addRows({ data, width, height }) {
+    if (width !== this.width || this.rowsWritten + height > this.height) {
+      throw new Error('PNG rows don\'t match the image size');
+    }
+
+    if (!this.deflater) {
+      const { Zlib } = await import('fflate');
+      // A lower level than PngEncoder: at hundreds of megapixels level 9 takes minutes
+      this.deflater = new Zlib({ level: 6 }, (chunk) => this.idat.push(chunk));
+    }
+
+    const { rowBytes, candidates } = this;
+    const filtered = new Uint8Array((rowBytes + 1) * height);
+
+    for (let y = 0; y < height; y++) {
+      const current = data.subarray(y * rowBytes, (y + 1) * rowBytes);
+      const filter = filterRow(current, this.previous, 4, candidates);
+      filtered[y * (rowBytes + 1)] = filter;
+      filtered.set(candidates[filter], y * (rowBytes + 1) + 1);
+      this.previous.set(current);
+    }
+
+    this.rowsWritten += height;
+    this.deflater.push(filtered, this.rowsWritten === this.height);
+  }
+
+  /**
+   * Assemble the PNG once every row has been added
+   * @returns {Blob} PNG blob
+   */
+  finish() {
+    if (this.rowsWritten !== this.height) {
+      throw new Error('PNG is missing rows');
+    }
+
+    // Each compressed piece becomes its own IDAT chunk, so the output is never copied into one buffer
+    return new Blob([
+      Uint8Array.from(PNG_SIGNATURE),
+      encodeHeader(this.width, this.height, 8, COLOR_TYPE_RGBA),
+      ...this.idat.map(chunk => encodeChunk('IDAT', chunk)),
+      encodeChunk('IEND', new Uint8Array(0))
+    ], { type: 'image/png' });
+  }
+}
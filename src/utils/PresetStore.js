@@ -0,0 +1,139 @@
+// Bump when the preset file layout changes and add a step to migratePresetFile
+export const PRESET_SCHEMA_VERSION = 1;
+
+const STORAGE_KEY = 'react-image-converter:presets';
+const IMAGE_TYPES = ['any', 'jpg', 'png', 'webp', 'avif', 'pdf'];
+
+/**
+ * Preset store class for saving named conversion recipes in localStorage
+ * and sharing them as JSON files
+ */
+export class PresetStore {
+  /**
+   * @param {Storage} storage - Storage backend, localStorage by default
+   */
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Read saved presets. Unreadable or corrupt storage counts as empty.
+   * @returns {Array<Object>} Presets in saved order
+   */
+  load() {
+    try {
+      const raw = this.storage?.getItem(STORAGE_KEY);
+      return raw ? this.parse(raw) : [];
+    } catch (error) {
+      console.error('Failed to load presets:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save the full preset list
+   * @param {Array<Object>} presets - Presets to keep
+   */
+  save(presets) {
+    this.storage?.setItem(STORAGE_KEY, this.serialize(presets));
+  }
+
+  /**
+   * Capture the current conversion setup as a preset
+   * @param {string} name - Preset name
+   * @param {Object} setup - { fromType, toType, compressionSettings }
+   * @returns {Object} New preset
+   */
+  create(name, { fromType, toType, compressionSettings }) {
+    return this.normalizePreset({
+      id: crypto.randomUUID(),
+      name,
+      fromType,
+      toType,
+      compressionSettings,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Add presets to a list, replacing any with the same name
+   * @param {Array<Object>} presets - Existing presets
+   * @param {Array<Object>} incoming - Presets to add
+   * @returns {Array<Object>} Merged list
+   */
+  merge(presets, incoming) {
+    const names = new Set(incoming.map(preset => preset.name.toLowerCase()));
+    return [...presets.filter(preset => !names.has(preset.name.toLowerCase())), ...incoming];
+  }
+
+  /**
+   * Build the JSON file contents for a list of presets
+   * @param {Array<Object>} presets - Presets to write
+   * @returns {string} JSON with the schema version
+   */
+  serialize(presets) {
+    return JSON.stringify({ version: PRESET_SCHEMA_VERSION, presets }, null, 2);
+  }
+
+  /**
+   * Read presets from JSON file contents, upgrading older schema versions
+   * @param {string} text - JSON text
+   * @returns {Array<Object>} Valid presets
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Preset file is not valid JSON');
+    }
+
+    const file = this.migratePresetFile(data);
+    return file.presets
+      .filter(preset => preset && typeof preset === 'object' && typeof preset.name === 'string' && preset.name.trim())
+      .map(preset => this.normalizePreset(preset));
+  }
+
+  /**
+   * Bring a parsed preset file up to the current schema version
+   * @param {Object} data - Parsed JSON
+   * @returns {Object} { version, presets } at PRESET_SCHEMA_VERSION
+   */
+  migratePresetFile(data) {
+    const version = Number(data?.version);
+
+    if (!Number.isInteger(version) || version < 1 || !Array.isArray(data.presets)) {
+      throw new Error('This is not a preset file');
+    }
+
+    if (version > PRESET_SCHEMA_VERSION) {
+      throw new Error('This preset file was made by a newer version of the app');
+    }
+
+    // Settings added since a file was written are left out and take their
+    // defaults when the preset is applied, so version 1 needs no changes
+    return { version: PRESET_SCHEMA_VERSION, presets: data.presets };
+  }
+
+  /**
+   * Keep only known fields and plain setting values
+   * @param {Object} preset - Untrusted preset
+   * @returns {Object} Clean preset
+   */
+  normalizePreset(preset) {
+    const settings = preset.compressionSettings && typeof preset.compressionSettings === 'object'
+      ? preset.compressionSettings
+      : {};
+
+    return {
+      id: typeof preset.id === 'string' ? preset.id : crypto.randomUUID(),
+      name: preset.name.trim().slice(0, 80),
+      fromType: IMAGE_TYPES.includes(preset.fromType) ? preset.fromType : '',
+      toType: IMAGE_TYPES.includes(preset.toType) ? preset.toType : '',
+      compressionSettings: Object.fromEntries(
+        Object.entries(settings).filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+      ),
+      createdAt: typeof preset.createdAt === 'string' ? preset.createdAt : new Date().toISOString()
+    };
+  }
+}
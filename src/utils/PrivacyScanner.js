@@ -0,0 +1,576 @@
+import { JpegMetadata } from './JpegMetadata';
+
+// Sensitive EXIF tags per IFD: [label, category]
+const EXIF_FIELDS = {
+  ifd0: {
+    0x010F: ['Camera make', 'device'],
+    0x0110: ['Camera model', 'device'],
+    0x013B: ['Artist', 'person'],
+    0x8298: ['Copyright', 'person'],
+    0x0132: ['Date modified', 'time']
+  },
+  exifIfd: {
+    0x9003: ['Date taken', 'time'],
+    0xA430: ['Camera owner', 'person'],
+    0xA431: ['Camera serial number', 'device'],
+    0xA434: ['Lens model', 'device'],
+    0xA435: ['Lens serial number', 'device']
+  }
+};
+
+// Sensitive XMP properties: [label, category]
+const XMP_FIELDS = {
+  'exif:GPSLatitude': ['GPS latitude', 'location'],
+  'exif:GPSLongitude': ['GPS longitude', 'location'],
+  'photoshop:City': ['City', 'location'],
+  'photoshop:State': ['State/Province', 'location'],
+  'photoshop:Country': ['Country', 'location'],
+  'Iptc4xmpCore:Location': ['Location', 'location'],
+  'dc:creator': ['Creator', 'person'],
+  'dc:rights': ['Rights', 'person'],
+  'xmpRights:Owner': ['Rights owner', 'person'],
+  'aux:OwnerName': ['Camera owner', 'person'],
+  'exifEX:CameraOwnerName': ['Camera owner', 'person'],
+  'aux:SerialNumber': ['Camera serial number', 'device'],
+  'exifEX:BodySerialNumber': ['Camera serial number', 'device'],
+  'aux:LensSerialNumber': ['Lens serial number', 'device']
+};
+
+// Sensitive IPTC application record (2:xx) datasets: [label, category]
+const IPTC_FIELDS = {
+  55: ['Date created', 'time'],
+  80: ['By-line (author)', 'person'],
+  90: ['City', 'location'],
+  92: ['Sub-location', 'location'],
+  95: ['Province/State', 'location'],
+  101: ['Country', 'location'],
+  116: ['Copyright notice', 'person'],
+  118: ['Contact', 'person'],
+  122: ['Caption writer', 'person']
+};
+
+// Sensitive PNG text keywords (tEXt, zTXt and iTXt): [label, category]
+const PNG_TEXT_FIELDS = {
+  Author: ['Author', 'person'],
+  Copyright: ['Copyright', 'person'],
+  'Creation Time': ['Creation time', 'time'],
+  Source: ['Source device', 'device']
+};
+
+// Any other text keyword that looks like a place is reported as location
+const PNG_LOCATION_KEYWORD = /gps|location|latitude|longitude|city|country|address/i;
+
+const GPS_LATITUDE_REF = 1;
+const GPS_LATITUDE = 2;
+const GPS_LONGITUDE_REF = 3;
+const GPS_LONGITUDE = 4;
+const GPS_ALTITUDE = 6;
+
+// Markers that end the JPEG header and bound its APP segments
+const JPEG_SOS = 0xFFDA;
+const JPEG_APP0 = 0xFFE0;
+const JPEG_APP15 = 0xFFEF;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+// ImageMagick and exiftool store whole profiles as hex text under these keywords
+const PNG_RAW_PROFILE = /^Raw profile type (exif|app1|iptc|xmp)$/i;
+const EXIF_HEADER = 'Exif\0\0';
+const IPTC_RESOURCE_ID = 0x0404;
+
+const textDecoder = new TextDecoder();
+const latin1Decoder = new TextDecoder('latin1');
+
+const readFourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+/**
+ * Read a byte range of a file without loading the rest of it
+ * @param {Blob} file - File to read from
+ * @param {number} offset - First byte
+ * @param {number} length - Number of bytes, fewer near the end of the file
+ * @returns {Promise<Uint8Array>} The bytes
+ */
+const readBytes = async (file, offset, length) =>
+  new Uint8Array(await file.slice(offset, offset + length).arrayBuffer());
+
+/**
+ * Decode a raw profile text chunk: a newline, the profile name, its length,
+ * then the bytes as hex split over many lines
+ * @param {string} text - Chunk text
+ * @returns {Uint8Array} Profile bytes
+ */
+const decodeRawProfile = (text) => {
+  const [, , , ...lines] = text.split('\n');
+  const hex = lines.join('').replace(/[^0-9a-f]/gi, '');
+  const bytes = new Uint8Array(hex.length >> 1);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return bytes;
+};
+
+/**
+ * Privacy scanner class that finds location, device and personal
+ * metadata embedded in JPEG, PNG and WebP files. Files are walked by
+ * their segment and chunk headers and only the metadata itself is read,
+ * so scanning a large image doesn't load its pixel data. Other containers
+ * aren't read and are reported as not scanned.
+ */
+export class PrivacyScanner {
+  constructor() {
+    this.metadata = new JpegMetadata();
+  }
+
+  /**
+   * Scan a file for sensitive metadata
+   * @param {Blob} file - Image file or encoded output
+   * @returns {Promise<Object>} { scanned, fields, categories } where each field is
+   *   { id, label, category, value, source }; scanned is false for containers
+   *   the scanner can't read, whose fields are unknown rather than absent
+   */
+  async scan(file) {
+    const { scanned, exif, xmp, iptc, text } = await this.extractMetadata(file);
+
+    const fields = [
+      ...(exif ? this.collectExifFields(exif) : []),
+      ...(xmp ? this.collectXmpFields(xmp) : []),
+      ...(iptc ? this.collectIptcFields(iptc) : []),
+      ...(text ? this.collectTextFields(text) : [])
+    ];
+
+    return {
+      scanned,
+      fields,
+      categories: [...new Set(fields.map(field => field.category))]
+    };
+  }
+
+  /**
+   * Compare a source scan with an output file
+   * @param {Object} sourceScan - Result of scan() on the original file
+   * @param {Blob} outputBlob - Converted file
+   * @returns {Promise<Object>} { removed, kept } lists of source fields
+   */
+  async buildReport(sourceScan, outputBlob) {
+    const outputScan = await this.scan(outputBlob);
+    const outputIds = new Set(outputScan.fields.map(field => field.id));
+
+    return {
+      removed: sourceScan.fields.filter(field => !outputIds.has(field.id)),
+      kept: sourceScan.fields.filter(field => outputIds.has(field.id))
+    };
+  }
+
+  /**
+   * Attach a privacy report to a conversion result, listing which sensitive
+   * fields of its source images were removed from the output
+   * @param {Object} result - Conversion result
+   * @param {Array<Object>} sourceItems - Image items the result was made from
+   * @returns {Promise<Object>} The result, with privacyReport when the sources had sensitive fields
+   */
+  async attachReport(result, sourceItems) {
+    if (!result.success) {
+      return result;
+    }
+
+    const scans = await Promise.all(sourceItems.map(item => item.privacy || this.scan(item.file)));
+    const fields = scans.flatMap(scan => scan.fields);
+    if (fields.length === 0) {
+      return result;
+    }
+
+    return {
+      ...result,
+      privacyReport: await this.buildReport({ fields }, result.blob)
+    };
+  }
+
+  /**
+   * Locate EXIF, XMP, IPTC and text metadata inside the file container
+   * @param {Blob} file - Image file
+   * @returns {Promise<Object>} { scanned, exif, xmp, iptc, text } with parsed EXIF,
+   *   XMP text, IPTC bytes and PNG text entries; scanned is false for unknown containers
+   */
+  async extractMetadata(file) {
+    const bytes = await readBytes(file, 0, 12);
+
+    if (this.metadata.isJpeg(bytes.buffer)) {
+      return { scanned: true, ...this.extractFromJpeg(await this.readJpegHeader(file)) };
+    }
+
+    if (PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+      return { scanned: true, ...await this.extractFromPng(file) };
+    }
+
+    if (readFourCC(bytes, 0) === 'RIFF' && readFourCC(bytes, 8) === 'WEBP') {
+      return { scanned: true, ...await this.extractFromWebp(file) };
+    }
+
+    return { scanned: false, exif: null, xmp: null, iptc: null };
+  }
+
+  /**
+   * Read the start of a JPEG up to its image data, following the segment
+   * lengths and keeping only the APP segments that can hold metadata
+   * @param {Blob} file - JPEG file
+   * @returns {Promise<ArrayBuffer>} SOI marker followed by the APP segments
+   */
+  async readJpegHeader(file) {
+    const parts = [await readBytes(file, 0, 2)];
+
+    let offset = 2;
+    while (offset + 4 <= file.size) {
+      const header = await readBytes(file, offset, 4);
+      const marker = (header[0] << 8) | header[1];
+      if ((marker & 0xFF00) !== 0xFF00 || marker === JPEG_SOS) break;
+
+      const length = (header[2] << 8) | header[3];
+      if (marker >= JPEG_APP0 && marker <= JPEG_APP15) {
+        parts.push(await readBytes(file, offset, length + 2));
+      }
+
+      offset += length + 2;
+    }
+
+    return new Blob(parts).arrayBuffer();
+  }
+
+  /**
+   * Read metadata from JPEG APP segments
+   * @param {ArrayBuffer} buffer - JPEG header from readJpegHeader
+   * @returns {Object} { exif, xmp, iptc }
+   */
+  extractFromJpeg(buffer) {
+    const parsed = this.metadata.parse(buffer);
+    const payload = (kind, headerLength) => {
+      const segment = parsed.segments.find(s => s.kind === kind);
+      return segment ? segment.bytes.subarray(4 + headerLength) : null;
+    };
+
+    const xmp = payload('xmp', 'http://ns.adobe.com/xap/1.0/\0'.length);
+    const photoshop = payload('iptc', 'Photoshop 3.0\0'.length);
+
+    return {
+      exif: parsed.exif,
+      xmp: xmp ? textDecoder.decode(xmp) : null,
+      iptc: photoshop ? this.findIptcResource(photoshop) : null
+    };
+  }
+
+  /**
+   * Read metadata from PNG eXIf and text chunks. XMP and raw profiles in
+   * text chunks are unpacked; other keywords are kept as text entries.
+   * Only chunk headers and metadata chunks are read; image data is skipped.
+   * @param {Blob} file - PNG file
+   * @returns {Promise<Object>} { exif, xmp, iptc, text } where text is [{ keyword, value }]
+   */
+  async extractFromPng(file) {
+    const result = { exif: null, xmp: null, iptc: null, text: [] };
+
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 8 <= file.size) {
+      const header = await readBytes(file, offset, 8);
+      const length = new DataView(header.buffer).getUint32(0);
+      const type = readFourCC(header, 4);
+      const dataOffset = offset + 8;
+
+      if (type === 'eXIf') {
+        result.exif = this.metadata.parseExif((await readBytes(file, dataOffset, length)).buffer, 0);
+      } else if (type === 'tEXt' || type === 'zTXt' || type === 'iTXt') {
+        const entry = await this.readTextChunk(type, await readBytes(file, dataOffset, length));
+        if (entry) this.addTextEntry(result, entry);
+      } else if (type === 'IEND') {
+        break;
+      }
+
+      offset = dataOffset + length + 4;
+    }
+
+    return result;
+  }
+
+  /**
+   * Decode a PNG text chunk, inflating compressed text
+   * @param {string} type - 'tEXt', 'zTXt' or 'iTXt'
+   * @param {Uint8Array} data - Chunk data
+   * @returns {Promise<Object|null>} { keyword, value }, or null for a malformed chunk
+   */
+  async readTextChunk(type, data) {
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd <= 0) return null;
+    const keyword = latin1Decoder.decode(data.subarray(0, keywordEnd));
+
+    const inflate = async (compressed) => {
+      const { unzlibSync } = await import('fflate');
+      return unzlibSync(compressed);
+    };
+
+    try {
+      if (type === 'tEXt') {
+        return { keyword, value: latin1Decoder.decode(data.subarray(keywordEnd + 1)) };
+      }
+
+      if (type === 'zTXt') {
+        // Skip the compression method byte
+        return { keyword, value: latin1Decoder.decode(await inflate(data.subarray(keywordEnd + 2))) };
+      }
+
+      // iTXt: compression flag and method, then the language tag and translated keyword
+      const compressed = data[keywordEnd + 1] === 1;
+      const languageEnd = data.indexOf(0, keywordEnd + 3);
+      const translatedEnd = data.indexOf(0, languageEnd + 1);
+      if (languageEnd < 0 || translatedEnd < 0) return null;
+      const text = data.subarray(translatedEnd + 1);
+      return { keyword, value: textDecoder.decode(compressed ? await inflate(text) : text) };
+    } catch (error) {
+      // Text that doesn't inflate is still reported by keyword
+      return { keyword, value: '' };
+    }
+  }
+
+  /**
+   * File a PNG text entry as XMP, an embedded EXIF or IPTC profile, or plain text
+   * @param {Object} result - extractFromPng result being built
+   * @param {Object} entry - { keyword, value }
+   */
+  addTextEntry(result, { keyword, value }) {
+    if (keyword === PNG_XMP_KEYWORD) {
+      result.xmp = value;
+      return;
+    }
+
+    const profile = keyword.match(PNG_RAW_PROFILE)?.[1].toLowerCase();
+    if (!profile) {
+      result.text.push({ keyword, value });
+      return;
+    }
+
+    const bytes = decodeRawProfile(value);
+    if (profile === 'xmp') {
+      result.xmp = textDecoder.decode(bytes);
+    } else if (profile === 'iptc') {
+      result.iptc = readFourCC(bytes, 0) === '8BIM' ? this.findIptcResource(bytes) : bytes;
+    } else {
+      const hasHeader = latin1Decoder.decode(bytes.subarray(0, EXIF_HEADER.length)) === EXIF_HEADER;
+      const tiff = bytes.slice(hasHeader ? EXIF_HEADER.length : 0);
+      result.exif = this.metadata.parseExif(tiff.buffer, 0);
+    }
+  }
+
+  /**
+   * Read metadata from WebP EXIF and XMP chunks, skipping the image data
+   * @param {Blob} file - WebP file
+   * @returns {Promise<Object>} { exif, xmp, iptc }
+   */
+  async extractFromWebp(file) {
+    const result = { exif: null, xmp: null, iptc: null };
+
+    let offset = 12;
+    while (offset + 8 <= file.size) {
+      const header = await readBytes(file, offset, 8);
+      const type = readFourCC(header, 0);
+      const length = new DataView(header.buffer).getUint32(4, true);
+      const dataOffset = offset + 8;
+
+      if (type === 'EXIF') {
+        // Some encoders keep the JPEG "Exif\0\0" prefix
+        const data = await readBytes(file, dataOffset, length);
+        const hasPrefix = readFourCC(data, 0) === 'Exif';
+        result.exif = this.metadata.parseExif(data.buffer, hasPrefix ? 6 : 0);
+      } else if (type === 'XMP ') {
+        result.xmp = textDecoder.decode(await readBytes(file, dataOffset, length));
+      }
+
+      // Chunks are padded to an even size
+      offset = dataOffset + length + (length % 2);
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the IPTC-NAA block among Photoshop image resources
+   * @param {Uint8Array} bytes - Photoshop resource data
+   * @returns {Uint8Array|null} IPTC records
+   */
+  findIptcResource(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    let offset = 0;
+    while (offset + 12 <= bytes.length && readFourCC(bytes, offset) === '8BIM') {
+      const id = view.getUint16(offset + 4);
+      // Pascal string name, padded to an even length
+      const nameLength = bytes[offset + 6];
+      const nameSize = nameLength + 1 + ((nameLength + 1) % 2);
+      const sizeOffset = offset + 6 + nameSize;
+      if (sizeOffset + 4 > bytes.length) break;
+
+      const size = view.getUint32(sizeOffset);
+      const dataOffset = sizeOffset + 4;
+      if (id === IPTC_RESOURCE_ID) {
+        return bytes.subarray(dataOffset, dataOffset + size);
+      }
+
+      offset = dataOffset + size + (size % 2);
+    }
+
+    return null;
+  }
+
+  /**
+   * List the sensitive EXIF fields, including GPS
+   * @param {Object} exif - Parsed EXIF from JpegMetadata.parseExif
+   * @returns {Array<Object>} Sensitive fields
+   */
+  collectExifFields(exif) {
+    const fields = [];
+
+    for (const [ifdName, tags] of Object.entries(EXIF_FIELDS)) {
+      for (const entry of exif[ifdName]) {
+        const definition = tags[entry.tag];
+        if (definition && entry.value !== null && entry.value !== '') {
+          fields.push({
+            id: `exif:${entry.tag}`,
+            label: definition[0],
+            category: definition[1],
+            value: String(entry.value),
+            source: 'EXIF'
+          });
+        }
+      }
+    }
+
+    if (exif.gpsIfd.length > 0) {
+      fields.push(...this.collectGpsFields(exif.gpsIfd));
+    }
+
+    return fields;
+  }
+
+  /**
+   * Summarize GPS tags as decimal coordinates and altitude
+   * @param {Array<Object>} gpsIfd - GPS IFD entries
+   * @returns {Array<Object>} Location fields
+   */
+  collectGpsFields(gpsIfd) {
+    const get = (tag) => gpsIfd.find(entry => entry.tag === tag)?.value;
+    const toDegrees = (parts, ref, negativeRef) => {
+      const [degrees = 0, minutes = 0, seconds = 0] = parts;
+      const value = degrees + minutes / 60 + seconds / 3600;
+      return (ref === negativeRef ? -value : value).toFixed(5);
+    };
+
+    const fields = [];
+    const latitude = get(GPS_LATITUDE);
+    const longitude = get(GPS_LONGITUDE);
+
+    if (Array.isArray(latitude) && Array.isArray(longitude)) {
+      fields.push({
+        id: 'exif:gps-coordinates',
+        label: 'GPS coordinates',
+        category: 'location',
+        value: `${toDegrees(latitude, get(GPS_LATITUDE_REF), 'S')}, ${toDegrees(longitude, get(GPS_LONGITUDE_REF), 'W')}`,
+        source: 'EXIF'
+      });
+    }
+
+    const altitude = get(GPS_ALTITUDE);
+    if (Array.isArray(altitude)) {
+      fields.push({
+        id: 'exif:gps-altitude',
+        label: 'GPS altitude',
+        category: 'location',
+        value: `${Math.round(altitude[0])} m`,
+        source: 'EXIF'
+      });
+    }
+
+    if (fields.length === 0) {
+      fields.push({
+        id: 'exif:gps',
+        label: 'GPS data',
+        category: 'location',
+        value: `${gpsIfd.length} tag${gpsIfd.length === 1 ? '' : 's'}`,
+        source: 'EXIF'
+      });
+    }
+
+    return fields;
+  }
+
+  /**
+   * List the sensitive XMP properties
+   * @param {string} xmp - XMP packet
+   * @returns {Array<Object>} Sensitive fields
+   */
+  collectXmpFields(xmp) {
+    const fields = [];
+
+    for (const [property, [label, category]] of Object.entries(XMP_FIELDS)) {
+      // Properties appear either as attributes or as elements (possibly wrapping rdf lists)
+      const attribute = xmp.match(new RegExp(`${property}="([^"]*)"`));
+      const element = xmp.match(new RegExp(`<${property}[^>]*>([\\s\\S]*?)</${property}>`));
+      const raw = attribute?.[1] ?? element?.[1];
+      const value = raw?.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+      if (value) {
+        fields.push({ id: `xmp:${property}`, label, category, value, source: 'XMP' });
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * List the sensitive PNG text entries
+   * @param {Array<Object>} text - { keyword, value } entries from extractFromPng
+   * @returns {Array<Object>} Sensitive fields
+   */
+  collectTextFields(text) {
+    return text
+      .map(({ keyword, value }) => {
+        const definition = PNG_TEXT_FIELDS[keyword] ||
+          (PNG_LOCATION_KEYWORD.test(keyword) ? [keyword, 'location'] : null);
+        return definition && {
+          id: `png:${keyword}`,
+          label: definition[0],
+          category: definition[1],
+          value: value.trim() || '(compressed)',
+          source: 'PNG text'
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * List the sensitive IPTC datasets, joining repeated values
+   * @param {Uint8Array} iptc - IPTC-NAA records
+   * @returns {Array<Object>} Sensitive fields
+   */
+  collectIptcFields(iptc) {
+    const view = new DataView(iptc.buffer, iptc.byteOffset, iptc.byteLength);
+    const values = {};
+
+    let offset = 0;
+    while (offset + 5 <= iptc.length && iptc[offset] === 0x1C) {
+      const record = iptc[offset + 1];
+      const dataset = iptc[offset + 2];
+      const size = view.getUint16(offset + 3);
+      const value = textDecoder.decode(iptc.subarray(offset + 5, offset + 5 + size)).trim();
+
+      if (record === 2 && IPTC_FIELDS[dataset] && value) {
+        values[dataset] = values[dataset] ? `${values[dataset]}; ${value}` : value;
+      }
+
+      offset += 5 + size;
+    }
+
+    return Object.entries(values).map(([dataset, value]) => ({
+      id: `iptc:${dataset}`,
+      label: IPTC_FIELDS[dataset][0],
+      category: IPTC_FIELDS[dataset][1],
+      value,
+      source: 'IPTC'
+    }));
+  }
+}
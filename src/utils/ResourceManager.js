@@ -0,0 +1,117 @@
+/**
+ * Resource manager class that owns the object URLs and ImageBitmaps the app
+ * creates, so they can be released when the images using them go away and
+ * the memory they hold can be shown
+ */
+export class ResourceManager {
+  constructor() {
+    // Object URL or ImageBitmap -> { kind, bytes, owner }
+    this.resources = new Map();
+    this.listeners = new Set();
+    this.usage = { objectUrls: 0, bitmaps: 0, bytes: 0 };
+  }
+
+  /**
+   * Create a tracked object URL
+   * @param {Blob} blob - Blob to expose
+   * @param {string} owner - Optional owner id, released together with releaseOwner
+   * @returns {string} Object URL
+   */
+  createObjectURL(blob, owner = null) {
+    const url = URL.createObjectURL(blob);
+    this.resources.set(url, { kind: 'url', bytes: blob.size, owner });
+    this.notify();
+    return url;
+  }
+
+  /**
+   * Take ownership of a decoded bitmap
+   * @param {ImageBitmap} bitmap - Decoded bitmap
+   * @param {string} owner - Optional owner id
+   * @returns {ImageBitmap} The same bitmap
+   */
+  trackBitmap(bitmap, owner = null) {
+    this.resources.set(bitmap, { kind: 'bitmap', bytes: bitmap.width * bitmap.height * 4, owner });
+    this.notify();
+    return bitmap;
+  }
+
+  /**
+   * Decode an image into a tracked bitmap
+   * @param {Blob} blob - Image data
+   * @param {string} owner - Optional owner id
+   * @returns {Promise<ImageBitmap>} Tracked bitmap
+   */
+  async createImageBitmap(blob, owner = null) {
+    return this.trackBitmap(await createImageBitmap(blob), owner);
+  }
+
+  /**
+   * Revoke an object URL or close a bitmap. Untracked or already released
+   * handles are ignored.
+   * @param {string|ImageBitmap} handle - Object URL or bitmap
+   */
+  release(handle) {
+    const entry = this.resources.get(handle);
+    if (!entry) return;
+
+    this.resources.delete(handle);
+    if (entry.kind === 'url') {
+      URL.revokeObjectURL(handle);
+    } else {
+      handle.close();
+    }
+    this.notify();
+  }
+
+  /**
+   * Release everything created for an owner
+   * @param {string} owner - Owner id
+   */
+  releaseOwner(owner) {
+    [...this.resources].forEach(([handle, entry]) => {
+      if (entry.owner === owner) this.release(handle);
+    });
+  }
+
+  /**
+   * Current number of live resources and the bytes they keep alive
+   * @returns {Object} { objectUrls, bitmaps, bytes }
+   */
+  getUsage() {
+    return this.usage;
+  }
+
+  /**
+   * Listen for usage changes
+   * @param {Function} listener - Called after every create or release
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    // A new object each time so React sees the change
+    const usage = { objectUrls: 0, bitmaps: 0, bytes: 0 };
+    this.resources.forEach((entry) => {
+      usage[entry.kind === 'url' ? 'objectUrls' : 'bitmaps'] += 1;
+      usage.bytes += entry.bytes;
+    });
+    this.usage = usage;
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+// One manager per JavaScript context; workers get their own
+export const resources = new ResourceManager();
+
+/**
+ * Owner id for every object URL made for a conversion result, from its
+ * download link to the comparison and heatmap views: the image it was made
+ * from, or the result itself for a PDF combined from several images
+ * @param {Object} result - Conversion result
+ * @returns {string} Owner id for createObjectURL and releaseOwner
+ */
+export const getResultOwner = (result) => result.sourceId || result.id;
@@ -0,0 +1,228 @@
+/**
+ * Worker pool class for running image encode and measurement tasks in parallel Web Workers
+ */
+export class WorkerPool {
+  /**
+   * @param {number} size - Maximum number of workers running at once
+   */
+  constructor(size = 2) {
+    this.size = Math.max(1, size);
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.activeTasks = new Map();
+    this.nextTaskId = 0;
+  }
+
+  /**
+   * Check whether the browser can decode and encode images inside workers
+   * @returns {boolean} True when Worker, OffscreenCanvas and createImageBitmap are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof OffscreenCanvas.prototype.convertToBlob === 'function' &&
+      typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Queue a task on the next free worker
+   * @param {Object} task - Task payload posted to the worker
+   * @param {AbortSignal} signal - Optional signal that drops the task, stopping its worker if it already started
+   * @param {Function} onProgress - Optional callback for progress the worker reports (0-1)
+   * @returns {Promise<Object>} Worker result
+   */
+  run(task, signal, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => this.cancel(job, signal.reason);
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const job = { id: this.nextTaskId++, task, onProgress, resolve: settle(resolve), reject: settle(reject) };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Drop a queued task, or stop the worker running it. Workers can't be
+   * interrupted mid-task, so a running one is terminated and replaced on demand.
+   * @param {Object} job - Queued or active job
+   * @param {*} reason - Rejection reason
+   */
+  cancel(job, reason) {
+    const queuedIndex = this.queue.indexOf(job);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+    } else {
+      for (const [worker, active] of this.activeTasks) {
+        if (active === job) {
+          this.activeTasks.delete(worker);
+          this.workers = this.workers.filter(w => w !== worker);
+          worker.terminate();
+          break;
+        }
+      }
+    }
+
+    job.reject(reason);
+    this.dispatch();
+  }
+
+  /**
+   * Start queued tasks while there are workers available
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      const worker = this.idleWorkers.pop() || this.spawnWorker();
+      if (!worker) return;
+
+      const job = this.queue.shift();
+      this.activeTasks.set(worker, job);
+      worker.postMessage({ id: job.id, task: job.task });
+    }
+  }
+
+  /**
+   * Create a worker if the pool is below its size
+   * @returns {Worker|null} New worker, or null when the pool is full
+   */
+  spawnWorker() {
+    if (this.workers.length >= this.size) return null;
+
+    const worker = new Worker(new URL('./imageWorker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const job = this.activeTasks.get(worker);
+
+      // Progress updates come before the result, the worker is still busy
+      if (event.data.progress !== undefined) {
+        job?.onProgress?.(event.data.progress);
+        return;
+      }
+
+      this.activeTasks.delete(worker);
+
+      if (job) {
+        if (event.data.error) {
+          job.reject(new Error(event.data.error));
+        } else {
+          job.resolve(event.data.result);
+        }
+      }
+
+      this.idleWorkers.push(worker);
+      this.dispatch();
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const job = this.activeTasks.get(worker);
+      this.activeTasks.delete(worker);
+
+      // A crashed worker can't be trusted with more tasks, replace it
+      this.workers = this.workers.filter(w => w !== worker);
+      worker.terminate();
+
+      job?.reject(new Error(event.message || 'Image worker failed'));
+      this.dispatch();
+    };
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Stop all workers and reject anything still pending
+   */
+  terminate() {
+    this.workers.forEach(worker => worker.terminate());
+    this.activeTasks.forEach(job => job.reject(new Error('Worker pool terminated')));
+    this.queue.forEach(job => job.reject(new Error('Worker pool terminated')));
+
+    this.workers = [];
+    this.idleWorkers = [];
+    this.queue = [];
+    this.activeTasks.clear();
+  }
+}
+
+/**
+ * Gate that holds back new work while a batch is paused. Work that already
+ * started keeps running.
+ */
+export class PauseGate {
+  constructor() {
+    this.paused = false;
+    this.waiting = [];
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this.waiting.splice(0).forEach(release => release());
+  }
+
+  /**
+   * Wait until the gate is open
+   * @param {AbortSignal} signal - Optional signal that also releases the wait
+   * @returns {Promise<void>} Resolves when resumed or aborted
+   */
+  wait(signal) {
+    if (!this.paused || signal?.aborted) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      const release = () => {
+        signal?.removeEventListener('abort', release);
+        this.waiting = this.waiting.filter(waiter => waiter !== release);
+        resolve();
+      };
+      this.waiting.push(release);
+      signal?.addEventListener('abort', release, { once: true });
+    });
+  }
+}
+
+/**
+ * Run an async task over items with at most `limit` running at once
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks
+ * @param {Function} task - Async function called with (item, index)
+ * @param {Object} options - Optional controls
+ * @param {AbortSignal} options.signal - Stops starting new items once aborted
+ * @param {PauseGate} options.gate - Holds back new items while paused
+ * @returns {Promise<Array>} Task results in item order, undefined for items that never started
+ */
+export const runConcurrently = async (items, limit, task, { signal, gate } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length) {
+      await gate?.wait(signal);
+      if (signal?.aborted || nextIndex >= items.length) return;
+
+      const index = nextIndex++;
+      results[index] = await task(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(Math.max(1, limit), items.length) }, runNext)
+  );
+
+  return results;
+};
\ No newline at end of file
@@ -0,0 +1,306 @@
+import { downloadZip, makeZip } from 'client-zip';
+import { resources } from './ResourceManager';
+
+// Service worker that streams downloads, and the URL space it answers for
+const DOWNLOAD_WORKER_URL = `${import.meta.env.BASE_URL}zip-download-sw.js`;
+const DOWNLOAD_SCOPE = `${import.meta.env.BASE_URL}zip-downloads/`;
+
+// How long the browser gets to start a streamed download before the archive is built in memory instead
+const DOWNLOAD_START_TIMEOUT = 10000;
+
+// Largest archive built in memory when the download can't be streamed; bigger batches are split into parts
+export const MAX_IN_MEMORY_ZIP_SIZE = 512 * 1024 * 1024;
+
+/**
+ * Wait for a service worker registration to have an active worker
+ * @param {ServiceWorkerRegistration} registration - Registration to wait on
+ * @returns {Promise<ServiceWorker>} Active worker
+ */
+const waitForActiveWorker = (registration) => new Promise((resolve, reject) => {
+  if (registration.active) {
+    resolve(registration.active);
+    return;
+  }
+
+  const worker = registration.installing || registration.waiting;
+  worker.addEventListener('statechange', () => {
+    if (worker.state === 'activated') resolve(worker);
+    if (worker.state === 'redundant') reject(new Error('The download worker failed to install'));
+  });
+});
+
+/**
+ * ZIP exporter class for bundling conversion results into one archive
+ */
+export class ZipExporter {
+  /**
+   * Build the archive entries for successful results
+   * @param {Array<Object>} results - Conversion results
+   * @param {Object} options - Archive options
+   * @param {string} options.layout - 'flat', 'byType' (one folder per source format)
+   * or 'folders' (the folders the sources were dropped from)
+   * @param {boolean} options.includeManifest - Whether to add a manifest.json with compression stats
+   * @returns {Array<Object>} client-zip entries with unique names
+   */
+  buildEntries(results, { layout = 'flat', includeManifest = false } = {}) {
+    const usedNames = new Set();
+    const lastModified = new Date();
+
+    const entries = results
+      .filter(result => result.success)
+      .map(result => {
+        const folder = layout === 'byType'
+          ? `${result.fromType}/`
+          : layout === 'folders' && result.folder ? `${result.folder}/` : '';
+        const name = this.getUniqueName(`${folder}${result.convertedName}`, usedNames);
+        return { name, input: result.blob, lastModified, result };
+      });
+
+    if (includeManifest) {
+      const manifestName = this.getUniqueName('manifest.json', usedNames);
+      entries.push({
+        name: manifestName,
+        input: JSON.stringify(this.buildManifest(entries), null, 2),
+        lastModified
+      });
+    }
+
+    return entries.map(({ name, input, lastModified }) => ({ name, input, lastModified }));
+  }
+
+  /**
+   * Resolve a name collision by appending a counter before the extension
+   * @param {string} name - Desired path inside the archive
+   * @param {Set<string>} usedNames - Lowercased paths already taken (updated in place)
+   * @returns {string} Unique path
+   */
+  getUniqueName(name, usedNames) {
+    const match = name.match(/^(.*?)(\.[^/.]+)?$/);
+    const base = match[1];
+    const extension = match[2] || '';
+
+    let candidate = name;
+    for (let counter = 1; usedNames.has(candidate.toLowerCase()); counter++) {
+      candidate = `${base} (${counter})${extension}`;
+    }
+
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Build the manifest describing every file in the archive
+   * @param {Array<Object>} entries - Archive entries with their results
+   * @returns {Object} Manifest data
+   */
+  buildManifest(entries) {
+    const files = entries.map(({ name, result }) => ({
+      path: name,
+      originalName: result.originalName,
+      fromType: result.fromType,
+      toType: result.toType,
+      ...(result.pageNumber && { pageNumber: result.pageNumber }),
+      ...(result.pageCount && { pageCount: result.pageCount }),
+      size: result.blob.size,
+      ...(result.compressionStats && {
+        originalSize: result.compressionStats.originalSize,
+        compressionRatio: Math.round(result.compressionStats.compressionRatio * 100) / 100,
+        quality: result.compressionStats.lossless ? 'lossless' : result.compressionStats.quality
+      })
+    }));
+
+    const withStats = files.filter(file => file.originalSize !== undefined);
+    const originalSize = withStats.reduce((sum, file) => sum + file.originalSize, 0);
+    const finalSize = withStats.reduce((sum, file) => sum + file.size, 0);
+
+    return {
+      version: 1,
+      generatedAt: new Date().toISOString(),
+      fileCount: files.length,
+      totals: {
+        originalSize,
+        finalSize,
+        compressionRatio: originalSize > 0
+          ? Math.round(((originalSize - finalSize) / originalSize) * 10000) / 100
+          : 0
+      },
+      files
+    };
+  }
+
+  /**
+   * Save the results as a ZIP archive without holding the whole archive in
+   * memory: straight to disk through the File System Access API, or as a
+   * download streamed by a service worker. Where neither works the archive
+   * is built in memory, split into parts of at most MAX_IN_MEMORY_ZIP_SIZE.
+   * Must be called from a user gesture so the save dialog can open.
+   * @param {Array<Object>} results - Conversion results
+   * @param {Object} options - Archive options, see buildEntries
+   * @param {string} fileName - Suggested archive name
+   * @returns {Promise<number>} Archives saved: 0 when the user cancelled, more than 1 when the batch was split
+   */
+  async save(results, options = {}, fileName = 'converted-images.zip') {
+    const entries = this.buildEntries(results, options);
+
+    if (typeof window.showSaveFilePicker === 'function') {
+      let handle;
+      try {
+        handle = await window.showSaveFilePicker({
+          suggestedName: fileName,
+          types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+        });
+      } catch (error) {
+        if (error?.name === 'AbortError') return 0;
+        throw error;
+      }
+
+      const writable = await handle.createWritable();
+      await makeZip(entries).pipeTo(writable);
+      return 1;
+    }
+
+    const worker = await this.getDownloadWorker();
+    if (worker) {
+      try {
+        return await this.streamDownload(worker, makeZip(entries), fileName) ? 1 : 0;
+      } catch (error) {
+        if (!error?.notStarted) throw error;
+        // The browser never picked the download up, so build it in memory below
+      }
+    }
+
+    const parts = this.splitEntries(entries, MAX_IN_MEMORY_ZIP_SIZE);
+    for (let index = 0; index < parts.length; index++) {
+      const partName = parts.length > 1 ? fileName.replace(/(\.zip)?$/i, `-part${index + 1}.zip`) : fileName;
+      const blob = await downloadZip(parts[index]).blob();
+      this.downloadBlob(blob, partName);
+    }
+    return parts.length;
+  }
+
+  /**
+   * Register the download service worker, where the browser allows it
+   * @returns {Promise<ServiceWorker|null>} Active worker, or null without service worker support
+   */
+  async getDownloadWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+      return null;
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.register(DOWNLOAD_WORKER_URL, { scope: DOWNLOAD_SCOPE });
+      return await waitForActiveWorker(registration);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Download a stream through the service worker, handing it one chunk at
+   * a time as the browser writes the file
+   * @param {ServiceWorker} worker - Active download worker
+   * @param {ReadableStream} stream - Archive bytes
+   * @param {string} fileName - Download name
+   * @returns {Promise<boolean>} False when the user cancelled the download; rejects with
+   *   notStarted set when the browser never requested it
+   */
+  async streamDownload(worker, stream, fileName) {
+    const url = new URL(`${DOWNLOAD_SCOPE}${crypto.randomUUID()}/${encodeURIComponent(fileName)}`, window.location.href).href;
+    const channel = new MessageChannel();
+    const reader = stream.getReader();
+
+    await new Promise((resolve) => {
+      channel.port1.onmessage = ({ data }) => data.type === 'registered' && resolve();
+      worker.postMessage({ type: 'register-download', url, fileName }, [channel.port2]);
+    });
+
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const startTimer = setTimeout(() => {
+          reader.cancel();
+          reject(Object.assign(new Error('The download did not start'), { notStarted: true }));
+        }, DOWNLOAD_START_TIMEOUT);
+
+        channel.port1.onmessage = async ({ data }) => {
+          clearTimeout(startTimer);
+
+          if (data.type === 'cancel') {
+            reader.cancel();
+            resolve(false);
+            return;
+          }
+
+          try {
+            const { done, value } = await reader.read();
+            if (done) {
+              channel.port1.postMessage({ type: 'done' });
+              resolve(true);
+            } else {
+              channel.port1.postMessage({ type: 'chunk', chunk: value });
+            }
+          } catch (error) {
+            channel.port1.postMessage({ type: 'error', message: error instanceof Error ? error.message : 'Failed to build the archive' });
+            reject(error);
+          }
+        };
+
+        frame.src = url;
+        document.body.appendChild(frame);
+      });
+    } finally {
+      channel.port1.close();
+      // Removing the frame straight away can cancel a download that is still being saved
+      setTimeout(() => frame.remove(), DOWNLOAD_START_TIMEOUT);
+    }
+  }
+
+  /**
+   * Group archive entries into parts whose inputs add up to at most
+   * maxSize; an entry larger than that gets a part of its own
+   * @param {Array<Object>} entries - Entries from buildEntries
+   * @param {number} maxSize - Largest part in bytes
+   * @returns {Array<Array<Object>>} Entries per part
+   */
+  splitEntries(entries, maxSize) {
+    const parts = [];
+    let current = [];
+    let currentSize = 0;
+
+    entries.forEach((entry) => {
+      const size = entry.input instanceof Blob ? entry.input.size : entry.input.length;
+      if (current.length > 0 && currentSize + size > maxSize) {
+        parts.push(current);
+        current = [];
+        currentSize = 0;
+      }
+      current.push(entry);
+      currentSize += size;
+    });
+
+    if (current.length > 0) {
+      parts.push(current);
+    }
+    return parts;
+  }
+
+  /**
+   * Download a blob through a temporary link
+   * @param {Blob} blob - File contents
+   * @param {string} fileName - Download name
+   */
+  downloadBlob(blob, fileName) {
+    const url = resources.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => resources.release(url), 1000);
+  }
+}
@@ -0,0 +1,89 @@
+import { createCanvas } from './imageUtils';
+
+// Every browser in use draws canvases up to this size, so smaller images never trigger a probe
+export const SAFE_CANVAS_SIDE = 4096;
+
+// Side limits, largest first: Chromium allows 65535 px, Firefox 32767 px.
+// Side probes are one pixel high, so even the largest costs a few hundred KB.
+const SIDE_CANDIDATES = [65535, 32767, 16384, 8192, SAFE_CANVAS_SIDE];
+
+/**
+ * Largest canvas area for this browser, as the side of a square. Area can't
+ * be probed cheaply: a successful probe allocates the whole canvas, up to a
+ * gigabyte on the main thread, so it comes from the engines' known limits.
+ * @returns {number} Square side in pixels
+ */
+const getKnownAreaSide = () => {
+  const { userAgent = '', maxTouchPoints = 0 } = globalThis.navigator || {};
+  // iPadOS reports a desktop Mac user agent, but has touch
+  if (/iPhone|iPad|iPod/.test(userAgent) || (/Macintosh/.test(userAgent) && maxTouchPoints > 1)) {
+    return SAFE_CANVAS_SIDE;
+  }
+  if (/Firefox\//.test(userAgent)) return 11180;
+  if (/Android/.test(userAgent)) return 14188;
+  return 16384;
+};
+
+let limitsPromise = null;
+
+/**
+ * Check whether a canvas of this size really works. Browsers over their
+ * limit either throw or hand back a canvas that silently draws nothing.
+ * @returns {boolean} True when a pixel drawn in the far corner reads back
+ */
+const canDrawCanvas = (width, height) => {
+  let canvas = null;
+  try {
+    canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return false;
+    ctx.fillRect(width - 1, height - 1, 1, 1);
+    return ctx.getImageData(width - 1, height - 1, 1, 1).data[3] !== 0;
+  } catch (error) {
+    return false;
+  } finally {
+    // Give the backing store back straight away
+    if (canvas) {
+      canvas.width = 0;
+      canvas.height = 0;
+    }
+  }
+};
+
+/**
+ * Detect this browser's canvas limits. The side is probed once per page,
+ * only when an image is big enough to need it; the area is looked up.
+ * @returns {Promise<Object>} { maxSide, maxArea } in pixels
+ */
+export const getCanvasLimits = () => {
+  if (!limitsPromise) {
+    limitsPromise = Promise.resolve().then(() => {
+      const maxSide = SIDE_CANDIDATES.find(side => canDrawCanvas(side, 1)) || SAFE_CANVAS_SIDE;
+      const areaSide = Math.min(getKnownAreaSide(), maxSide);
+      return { maxSide, maxArea: areaSide * areaSide };
+    });
+  }
+  return limitsPromise;
+};
+
+/**
+ * Whether an image of this size fits in one canvas
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} limits - Limits from getCanvasLimits
+ * @returns {boolean} True when it fits
+ */
+export const fitsCanvas = (width, height, { maxSide, maxArea }) => (
+  width <= maxSide && height <= maxSide && width * height <= maxArea
+);
+
+/**
+ * Whether an image is too big to draw in one canvas in this browser
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Promise<boolean>} True when it exceeds the detected limits
+ */
+export const exceedsCanvasLimits = async (width, height) => {
+  if (width <= SAFE_CANVAS_SIDE && height <= SAFE_CANVAS_SIDE) return false;
+  return !fitsCanvas(width, height, await getCanvasLimits());
+};
@@ -0,0 +1,126 @@
+import { SOURCE_FORMATS, getFormatFromMime } from './formatDetection';
+
+// Finder and Explorer litter folders with these; they are never images
+const isHiddenName = (name) => name.startsWith('.') || name === 'Thumbs.db' || name === 'desktop.ini';
+
+const joinPath = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+const readEntryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+/**
+ * Read every child of a dropped directory. readEntries returns the
+ * listing in chunks (100 at a time in Chromium) until it yields an empty one.
+ * @param {FileSystemDirectoryEntry} entry - Directory entry
+ * @returns {Promise<Array<FileSystemEntry>>} All children
+ */
+const readDirectoryEntries = async (entry) => {
+  const reader = entry.createReader();
+  const children = [];
+
+  for (;;) {
+    const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (chunk.length === 0) return children;
+    children.push(...chunk);
+  }
+};
+
+/**
+ * Collect the files below a dropped entry, depth first
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} folder - Path of the directory holding the entry
+ * @returns {Promise<Array<Object>>} { file, folder } sources
+ */
+const readEntry = async (entry, folder) => {
+  if (isHiddenName(entry.name)) return [];
+
+  if (entry.isFile) {
+    return [{ file: await readEntryFile(entry), folder }];
+  }
+
+  if (entry.isDirectory) {
+    const path = joinPath(folder, entry.name);
+    const sources = [];
+    for (const child of await readDirectoryEntries(entry)) {
+      sources.push(...await readEntry(child, path));
+    }
+    return sources;
+  }
+
+  return [];
+};
+
+/**
+ * Collect the files from a drop, walking dropped folders recursively.
+ * Must be called synchronously from the drop handler: the browser empties
+ * the DataTransfer once the event returns.
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {Promise<Array<Object>>} { file, folder } sources, where folder is the
+ * relative path of the directory the file came from ('' for loose files)
+ */
+export const getDroppedFiles = (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.());
+
+  // Without the entries API folders can't be read, so take the plain file list
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return Promise.resolve(Array.from(dataTransfer.files).map(file => ({ file, folder: '' })));
+  }
+
+  return entries.reduce(
+    async (sources, entry) => [...await sources, ...await readEntry(entry, '')],
+    Promise.resolve([])
+  );
+};
+
+/**
+ * Turn the files of an <input webkitdirectory> into sources, using the
+ * path the browser reports relative to the chosen folder
+ * @param {FileList|Array<File>} files - Selected files
+ * @returns {Array<Object>} { file, folder } sources, hidden files left out
+ */
+export const getFolderInputFiles = (files) => (
+  Array.from(files)
+    .filter(file => !(file.webkitRelativePath || file.name).split('/').some(isHiddenName))
+    .map(file => ({
+      file,
+      folder: (file.webkitRelativePath || '').split('/').slice(0, -1).join('/')
+    }))
+);
+
+/**
+ * Name for a pasted image, e.g. pasted-image-2026-10-19-153012.png. Clipboard
+ * images are all called image.png (or have no name), so they get a timestamp.
+ * @param {File} file - Pasted file
+ * @param {Date} date - Paste time
+ * @param {number} index - Position among the files of one paste
+ * @returns {string} Generated file name
+ */
+export const getPastedFileName = (file, date = new Date(), index = 0) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  const format = getFormatFromMime(file.type);
+  const extension = format ? SOURCE_FORMATS[format].extensions[0] : file.name.split('.').pop() || 'png';
+  return `pasted-image-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extension}`;
+};
+
+/**
+ * Collect the images from a paste event, renamed with generated names
+ * @param {DataTransfer} clipboardData - The paste event's data
+ * @returns {Array<Object>} { file, folder } sources, empty when nothing was pasted as a file
+ */
+export const getPastedFiles = (clipboardData) => {
+  const date = new Date();
+  return Array.from(clipboardData?.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map((file, index) => ({
+      file: new File([file], getPastedFileName(file, date, index), {
+        type: file.type,
+        lastModified: date.getTime()
+      }),
+      folder: ''
+    }));
+};
@@ -0,0 +1,233 @@
+// Source formats the converter reads, keyed by the type names used in the UI
+export const SOURCE_FORMATS = {
+  jpg: { label: 'JPEG', mime: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'] },
+  png: { label: 'PNG', mime: 'image/png', extensions: ['png'] },
+  webp: { label: 'WebP', mime: 'image/webp', extensions: ['webp'] },
+  avif: { label: 'AVIF', mime: 'image/avif', extensions: ['avif'] },
+  pdf: { label: 'PDF', mime: 'application/pdf', extensions: ['pdf'] }
+};
+
+// Enough for every signature below; PDF headers may follow some junk bytes
+const SNIFF_LENGTH = 1024;
+
+// ISO-BMFF brands that mark an AVIF image or sequence
+const AVIF_BRANDS = ['avif', 'avis'];
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const readAscii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+/**
+ * Find the brands of an ISO-BMFF file from its leading ftyp box
+ * @returns {Array<string>} Major and compatible brands
+ */
+const readFtypBrands = (bytes) => {
+  if (bytes.length < 16 || readAscii(bytes, 4, 4) !== 'ftyp') return [];
+
+  const boxSize = Math.min(bytes.length, new DataView(bytes.buffer, bytes.byteOffset).getUint32(0));
+  const brands = [readAscii(bytes, 8, 4)];
+  // Minor version sits at 12, compatible brands follow at 16
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(readAscii(bytes, offset, 4));
+  }
+  return brands;
+};
+
+/**
+ * Identify a file's format from its leading bytes
+ * @param {Uint8Array} bytes - Start of the file
+ * @returns {string|null} Format key from SOURCE_FORMATS, or null when unsupported
+ */
+export const detectFormatFromBytes = (bytes) => {
+  if (bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) {
+    return 'jpg';
+  }
+
+  if (PNG_SIGNATURE.every((value, i) => bytes[i] === value)) {
+    return 'png';
+  }
+
+  if (bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+    return 'webp';
+  }
+
+  if (readFtypBrands(bytes).some(brand => AVIF_BRANDS.includes(brand))) {
+    return 'avif';
+  }
+
+  if (readAscii(bytes, 0, bytes.length).includes('%PDF-')) {
+    return 'pdf';
+  }
+
+  return null;
+};
+
+/**
+ * Identify a file's format from its contents, ignoring its name and MIME type
+ * @param {Blob} file - File to sniff
+ * @returns {Promise<string|null>} Format key, or null when unsupported
+ */
+export const detectFormat = async (file) => {
+  const buffer = await file.slice(0, SNIFF_LENGTH).arrayBuffer();
+  return detectFormatFromBytes(new Uint8Array(buffer));
+};
+
+// JPEG frame headers can sit behind large EXIF, ICC and XMP segments
+const HEADER_READ_LENGTH = 512 * 1024;
+
+// SOF markers carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but don't
+const isJpegFrameMarker = (marker) => (
+  marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc
+);
+
+const readJpegSize = (view) => {
+  let offset = 2;
+  while (offset + 9 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return null;
+    const marker = view.getUint8(offset + 1);
+    // Fill bytes and standalone markers have no length
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      offset += 2;
+      continue;
+    }
+    if (isJpegFrameMarker(marker)) {
+      return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+};
+
+const readWebpSize = (view) => {
+  const chunk = String.fromCharCode(view.getUint8(12), view.getUint8(13), view.getUint8(14), view.getUint8(15));
+
+  if (chunk === 'VP8X' && view.byteLength >= 30) {
+    const read24 = (offset) => view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+    return { width: read24(24) + 1, height: read24(27) + 1 };
+  }
+
+  if (chunk === 'VP8L' && view.byteLength >= 25) {
+    // 14-bit width and height minus one, packed after the 0x2f signature byte
+    const bits = view.getUint32(21, true);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+
+  if (chunk === 'VP8 ' && view.byteLength >= 30) {
+    return { width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+  }
+
+  return null;
+};
+
+/**
+ * Find the largest image spatial extent (ispe) property of an AVIF file.
+ * Grid images list each tile's size too, so the largest one is the full image.
+ */
+const readAvifSize = (view) => {
+  let best = null;
+  // Boxes holding other boxes on the way to meta/iprp/ipco/ispe; meta has a version/flags header
+  const containers = { meta: 4, iprp: 0, ipco: 0 };
+
+  const walk = (start, end) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+      const size = view.getUint32(offset);
+      const type = String.fromCharCode(
+        view.getUint8(offset + 4), view.getUint8(offset + 5), view.getUint8(offset + 6), view.getUint8(offset + 7)
+      );
+      const boxEnd = size === 0 ? end : Math.min(end, offset + size);
+      if (size !== 0 && size < 8) return;
+
+      if (type === 'ispe' && offset + 20 <= boxEnd) {
+        const width = view.getUint32(offset + 12);
+        const height = view.getUint32(offset + 16);
+        if (!best || width * height > best.width * best.height) {
+          best = { width, height };
+        }
+      } else if (type in containers) {
+        walk(offset + 8 + containers[type], boxEnd);
+      }
+      offset = boxEnd;
+    }
+  };
+
+  walk(0, view.byteLength);
+  return best;
+};
+
+/**
+ * Read an image's pixel size from its header without decoding it
+ * @param {Uint8Array} bytes - Start of the file
+ * @param {string} format - Format key from detectFormatFromBytes
+ * @returns {Object|null} { width, height }, or null for PDFs and unreadable headers
+ */
+export const readDimensionsFromBytes = (bytes, format) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  try {
+    switch (format) {
+      case 'jpg':
+        return readJpegSize(view);
+      case 'png':
+        return bytes.length >= 24 ? { width: view.getUint32(16), height: view.getUint32(20) } : null;
+      case 'webp':
+        return bytes.length >= 16 ? readWebpSize(view) : null;
+      case 'avif':
+        return readAvifSize(view);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // Truncated or corrupt headers just mean the size is unknown
+    return null;
+  }
+};
+
+/**
+ * Read an image file's pixel size from its header without decoding it
+ * @param {Blob} file - Image file
+ * @param {string} format - Detected format key
+ * @returns {Promise<Object|null>} { width, height }, or null when unknown
+ */
+export const readDimensions = async (file, format) => {
+  if (!format || format === 'pdf') return null;
+  const buffer = await file.slice(0, HEADER_READ_LENGTH).arrayBuffer();
+  return readDimensionsFromBytes(new Uint8Array(buffer), format);
+};
+
+/**
+ * Format that a file name's extension claims
+ * @param {string} name - File name
+ * @returns {string|null} Format key, or null for unknown extensions
+ */
+export const getFormatFromName = (name = '') => {
+  const extension = name.split('.').pop()?.toLowerCase();
+  return Object.keys(SOURCE_FORMATS).find(type => SOURCE_FORMATS[type].extensions.includes(extension)) || null;
+};
+
+/**
+ * Format for a MIME type
+ * @param {string} mime - MIME type
+ * @returns {string|null} Format key
+ */
+export const getFormatFromMime = (mime = '') => (
+  Object.keys(SOURCE_FORMATS).find(type => SOURCE_FORMATS[type].mime === mime) || null
+);
+
+/**
+ * Give a file the MIME type of its detected format, so code that checks
+ * file.type handles mislabeled files by what they contain
+ * @param {File} file - Uploaded file
+ * @param {string} format - Detected format key
+ * @returns {File} The same file, or a copy with the corrected type
+ */
+export const withDetectedType = (file, format) => {
+  const mime = SOURCE_FORMATS[format].mime;
+  return file.type === mime
+    ? file
+    : new File([file], file.name, { type: mime, lastModified: file.lastModified });
+};
@@ -0,0 +1,238 @@
+// Canvas encoder MIME types per output format
+export const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+/**
+ * Create a scratch canvas that works on the main thread and in workers
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas of the given size
+ */
+export const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in Bytes, KB, MB or GB with up to two decimals
+ */
+export const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+/**
+ * Calculate optimal dimensions for resizing
+ * @param {number} originalWidth - Original image width
+ * @param {number} originalHeight - Original image height
+ * @param {number} maxWidth - Maximum width
+ * @param {number} maxHeight - Maximum height
+ * @param {boolean} maintainAspectRatio - Whether to maintain aspect ratio. When false
+ *   each side is capped separately; calculateResizeLayout crops to that box rather than stretching
+ * @returns {Object} Calculated dimensions
+ */
+export const calculateDimensions = (originalWidth, originalHeight, maxWidth, maxHeight, maintainAspectRatio = true) => {
+  let width = originalWidth;
+  let height = originalHeight;
+
+  if (!maxWidth && !maxHeight) {
+    return { width, height };
+  }
+
+  if (maintainAspectRatio) {
+    const aspectRatio = originalWidth / originalHeight;
+
+    if (maxWidth && width > maxWidth) {
+      width = maxWidth;
+      height = width / aspectRatio;
+    }
+
+    if (maxHeight && height > maxHeight) {
+      height = maxHeight;
+      width = height * aspectRatio;
+    }
+  } else {
+    if (maxWidth) width = Math.min(width, maxWidth);
+    if (maxHeight) height = Math.min(height, maxHeight);
+  }
+
+  return {
+    width: Math.round(width),
+    height: Math.round(height)
+  };
+};
+/**
+ * Get the displayed size of an image for an EXIF orientation
+ * @param {number} width - Stored pixel width
+ * @param {number} height - Stored pixel height
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @returns {Object} Displayed dimensions
+ */
+export const getOrientedSize = (width, height, orientation = 1) => (
+  orientation >= 5 && orientation <= 8
+    ? { width: height, height: width }
+    : { width, height }
+);
+
+// Canvas transforms that turn stored pixels upright, per EXIF orientation
+const ORIENTATION_TRANSFORMS = {
+  2: (w) => [-1, 0, 0, 1, w, 0],
+  3: (w, h) => [-1, 0, 0, -1, w, h],
+  4: (w, h) => [1, 0, 0, -1, 0, h],
+  5: () => [0, 1, 1, 0, 0, 0],
+  6: (w) => [0, 1, -1, 0, w, 0],
+  7: (w, h) => [0, -1, -1, 0, w, h],
+  8: (w, h) => [0, -1, 1, 0, 0, h]
+};
+
+/**
+ * Get the canvas transform that turns stored pixels upright. Drawn after
+ * it, stored pixels use their own axes, scaled to the output size.
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {number} width - Output width (already oriented)
+ * @param {number} height - Output height (already oriented)
+ * @returns {Array<number>} Arguments for ctx.transform
+ */
+export const getOrientationTransform = (orientation, width, height) => (
+  ORIENTATION_TRANSFORMS[orientation]?.(width, height) || [1, 0, 0, 1, 0, 0]
+);
+
+/**
+ * Draw an image onto a canvas upright according to its EXIF orientation
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} source - Image with its pixels as stored in the file
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {number} width - Output width (already oriented)
+ * @param {number} height - Output height (already oriented)
+ */
+export const drawWithOrientation = (ctx, source, orientation, width, height) => {
+  const transform = ORIENTATION_TRANSFORMS[orientation];
+
+  if (!transform) {
+    ctx.drawImage(source, 0, 0, width, height);
+    return;
+  }
+
+  ctx.save();
+  ctx.transform(...transform(width, height));
+  // Orientations 5-8 swap the axes, so the source is drawn with swapped dimensions
+  if (orientation >= 5) {
+    ctx.drawImage(source, 0, 0, height, width);
+  } else {
+    ctx.drawImage(source, 0, 0, width, height);
+  }
+  ctx.restore();
+};
+
+/**
+ * Check whether an image item carries any crop, rotation or flip edits
+ * @param {Object} transforms - { rotation, straighten, flipH, flipV, crop }
+ * @returns {boolean} True when drawing needs the transform pipeline
+ */
+export const hasTransforms = (transforms) => Boolean(
+  transforms && (
+    transforms.rotation % 360 ||
+    transforms.straighten ||
+    transforms.flipH ||
+    transforms.flipV ||
+    transforms.crop
+  )
+);
+
+/**
+ * Get the uncropped frame of an edited image: its size after 90° rotation,
+ * shrunk to the largest same-ratio rectangle that still fits inside the image
+ * once it is straightened, so no empty corners show
+ * @param {number} width - Upright image width
+ * @param {number} height - Upright image height
+ * @param {Object} transforms - Image edits
+ * @returns {Object} Frame dimensions (unrounded)
+ */
+export const getTransformFrame = (width, height, transforms = {}) => {
+  const quarterTurns = Math.round((transforms.rotation || 0) / 90) % 2;
+  const rotatedWidth = quarterTurns ? height : width;
+  const rotatedHeight = quarterTurns ? width : height;
+
+  const angle = Math.abs(transforms.straighten || 0) * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const scale = Math.min(
+    rotatedWidth / (rotatedWidth * cos + rotatedHeight * sin),
+    rotatedHeight / (rotatedWidth * sin + rotatedHeight * cos)
+  );
+
+  return { width: rotatedWidth * scale, height: rotatedHeight * scale };
+};
+
+/**
+ * Get the size of an image after EXIF orientation and user edits
+ * @param {number} width - Stored pixel width
+ * @param {number} height - Stored pixel height
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {Object} transforms - Image edits, crop in 0-1 frame units
+ * @returns {Object} Edited dimensions
+ */
+export const getTransformedSize = (width, height, orientation = 1, transforms = null) => {
+  const oriented = getOrientedSize(width, height, orientation);
+  if (!hasTransforms(transforms)) {
+    return oriented;
+  }
+
+  const frame = getTransformFrame(oriented.width, oriented.height, transforms);
+  const crop = transforms.crop || { width: 1, height: 1 };
+
+  return {
+    width: Math.max(1, Math.round(frame.width * crop.width)),
+    height: Math.max(1, Math.round(frame.height * crop.height))
+  };
+};
+
+/**
+ * Draw an image with its EXIF orientation and user edits applied. Flips
+ * happen first, then the rotation and straightening around the center,
+ * then the crop, scaled to fill the output size.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+ * @param {CanvasImageSource} source - Image with its pixels as stored in the file
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {Object} transforms - Image edits, crop in 0-1 frame units
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ */
+export const drawTransformed = (ctx, source, orientation, transforms, width, height) => {
+  if (!hasTransforms(transforms)) {
+    drawWithOrientation(ctx, source, orientation, width, height);
+    return;
+  }
+
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const oriented = getOrientedSize(sourceWidth, sourceHeight, orientation);
+  const frame = getTransformFrame(oriented.width, oriented.height, transforms);
+  const crop = transforms.crop || { x: 0, y: 0, width: 1, height: 1 };
+
+  ctx.save();
+  ctx.scale(width / (crop.width * frame.width), height / (crop.height * frame.height));
+  ctx.translate(-crop.x * frame.width, -crop.y * frame.height);
+  ctx.translate(frame.width / 2, frame.height / 2);
+  ctx.rotate(((transforms.rotation || 0) + (transforms.straighten || 0)) * Math.PI / 180);
+  ctx.scale(transforms.flipH ? -1 : 1, transforms.flipV ? -1 : 1);
+  ctx.translate(-oriented.width / 2, -oriented.height / 2);
+  drawWithOrientation(ctx, source, orientation, oriented.width, oriented.height);
+  ctx.restore();
+};
@@ -0,0 +1,83 @@
+import { getTransformedSize } from './imageUtils';
+import { planResize, drawResized } from './resize';
+import { drawWatermark, isWatermarkActive, usesWatermarkLogo } from './watermark';
+import { measureQuality } from './qualityMetrics';
+import { encodeCanvas, encodeTiled } from './tiledPipeline';
+import { resources } from './ResourceManager';
+
+/**
+ * Decode, resize and encode an image off the main thread
+ * @param {Object} task - Encode task
+ * @param {Blob} task.file - Source image
+ * @param {string} task.outputFormat - Output MIME type
+ * @param {number} task.quality - Encoder quality (0.1 to 1.0), undefined for lossless formats
+ * @param {Object} task.resize - Resize mode, size limits and resampler (see getResizeOptions)
+ * @param {string} task.background - Fill color drawn under the image, if any
+ * @param {number} task.avifSpeed - AVIF encoder speed
+ * @param {Object} task.png - PngEncoder options for compressed PNG output, if any
+ * @param {Object} task.jpeg - JpegCodec options for MozJPEG output, if any
+ * @param {number} task.orientation - EXIF orientation to apply while drawing
+ * @param {Object} task.transforms - Crop, rotation and flip edits
+ * @param {Object} task.watermark - Watermark settings, with the logo as a Blob
+ * @param {Object} task.tiled - { width, height, limits } when the image is too large for one canvas (see encodeTiled)
+ * @returns {Promise<Object>} Encoded blob with original and new dimensions, the PNG palette size and the encoder used
+ */
+const encodeImage = async (task) => {
+  const bitmap = await resources.createImageBitmap(task.file);
+
+  try {
+    const originalDimensions = getTransformedSize(bitmap.width, bitmap.height, task.orientation, task.transforms);
+    const layout = planResize(bitmap, task.orientation, task.transforms, task.resize);
+    const { width, height } = layout;
+
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+
+    if (task.background) {
+      ctx.fillStyle = task.background;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    drawResized(ctx, bitmap, task.orientation, task.transforms, layout, task.resize?.resampler);
+
+    if (isWatermarkActive(task.watermark)) {
+      const logo = usesWatermarkLogo(task.watermark) ? await resources.createImageBitmap(task.watermark.logo) : null;
+      drawWatermark(ctx, width, height, task.watermark, logo);
+      if (logo) resources.release(logo);
+    }
+
+    const encoded = await encodeCanvas(canvas, task);
+
+    return {
+      ...encoded,
+      originalDimensions,
+      newDimensions: { width, height }
+    };
+  } finally {
+    resources.release(bitmap);
+  }
+};
+
+self.onmessage = async (event) => {
+  const { id, task } = event.data;
+
+  try {
+    // Quality tasks compare an output with its original, everything else is an encode;
+    // tiled encodes are long, so they report progress along the way
+    let result;
+    if (task.kind === 'quality') {
+      result = await measureQuality(task.original, task.output, task.orientation, task.transforms);
+    } else if (task.tiled) {
+      result = await encodeTiled(task, { onProgress: progress => self.postMessage({ id, progress }) });
+    } else {
+      result = await encodeImage(task);
+    }
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: error instanceof Error ? error.message : 'Unknown error occurred' });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,61 @@
+// Output settings a single image can change from the batch defaults
+export const OVERRIDE_KEYS = ['toType', 'quality', 'maxWidth', 'maxHeight', 'outputName'];
+
+/**
+ * Check whether an image has any output overrides set
+ * @param {Object} overrides - Image item overrides
+ * @returns {boolean} True when at least one override is set
+ */
+export const hasOverrides = (overrides) => (
+  Boolean(overrides) && OVERRIDE_KEYS.some(key => overrides[key] !== undefined && overrides[key] !== '')
+);
+
+/**
+ * Remove a file extension and characters that aren't allowed in file names
+ * @param {string} name - Name typed by the user
+ * @returns {string} Safe base name, possibly empty
+ */
+export const sanitizeOutputName = (name = '') => (
+  name.replace(/\.[^/.]+$/, '').replace(/[\\/:*?"<>|]+/g, '-').trim()
+);
+
+/**
+ * Layer an image's overrides over the batch output type and settings
+ * @param {Object} imageItem - Image item with optional overrides
+ * @param {string} toType - Batch output format
+ * @param {Object} settings - Batch conversion settings
+ * @returns {Object} { toType, settings } to convert this image with
+ */
+export const getEffectiveSettings = (imageItem, toType, settings) => {
+  const overrides = imageItem.overrides;
+  if (!hasOverrides(overrides)) {
+    return { toType, settings };
+  }
+
+  const merged = { ...settings };
+
+  // An explicit quality means a lossy encode at exactly that quality
+  if (overrides.quality !== undefined) {
+    Object.assign(merged, {
+      enableCompression: true,
+      sizeMode: 'quality',
+      webpLossless: false,
+      quality: overrides.quality
+    });
+  }
+
+  if (overrides.maxWidth !== undefined || overrides.maxHeight !== undefined) {
+    Object.assign(merged, {
+      maxWidth: overrides.maxWidth ?? settings.maxWidth,
+      maxHeight: overrides.maxHeight ?? settings.maxHeight,
+      // Percent scaling has no sizes to override
+      resizeMode: settings.resizeMode === 'percent' ? 'fit' : settings.resizeMode
+    });
+  }
+
+  if (overrides.outputName) {
+    merged.outputName = overrides.outputName;
+  }
+
+  return { toType: overrides.toType || toType, settings: merged };
+};
@@ -0,0 +1,183 @@
+import { createCanvas, drawTransformed, getTransformedSize } from './imageUtils';
+import { resources } from './ResourceManager';
+
+// SSIM window size; the heatmap has one cell per window
+const SSIM_WINDOW = 8;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Outputs whose aspect ratio differs more than this were cropped or reframed
+const MAX_ASPECT_DIFFERENCE = 0.02;
+
+// SSIM loss at which a heatmap cell is fully opaque red
+const HEATMAP_FULL_LOSS = 0.25;
+
+/**
+ * Draw a decoded image over white at the given size, so transparent areas
+ * compare the same way a JPEG output was flattened. The orientation and
+ * edits are the ones the conversion applied, so the original is compared
+ * the way it ended up in the output.
+ * @returns {ImageData} Pixels at width x height
+ */
+const drawOnWhite = (bitmap, width, height, orientation = 1, transforms = null) => {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillRect(0, 0, width, height);
+  ctx.imageSmoothingQuality = 'high';
+  drawTransformed(ctx, bitmap, orientation, transforms, width, height);
+  return ctx.getImageData(0, 0, width, height);
+};
+
+const toLuma = ({ data, width, height }) => {
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return luma;
+};
+
+/**
+ * Peak signal-to-noise ratio over the RGB channels
+ * @param {ImageData} reference - Original pixels
+ * @param {ImageData} test - Output pixels of the same size
+ * @returns {number} PSNR in dB, Infinity for identical images
+ */
+export const computePSNR = (reference, test) => {
+  const a = reference.data;
+  const b = test.data;
+  let sum = 0;
+
+  for (let i = 0; i < a.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const diff = a[i + c] - b[i + c];
+      sum += diff * diff;
+    }
+  }
+
+  const mse = sum / (reference.width * reference.height * 3);
+  return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+};
+
+/**
+ * Structural similarity of the luma channel over non-overlapping windows
+ * @param {ImageData} reference - Original pixels
+ * @param {ImageData} test - Output pixels of the same size
+ * @returns {Object} { ssim, map, columns, rows } where map holds one SSIM per window
+ */
+export const computeSSIM = (reference, test) => {
+  const { width, height } = reference;
+  const x = toLuma(reference);
+  const y = toLuma(test);
+  const size = Math.min(SSIM_WINDOW, width, height);
+  const columns = Math.max(1, Math.floor(width / size));
+  const rows = Math.max(1, Math.floor(height / size));
+  const map = new Float32Array(columns * rows);
+  let total = 0;
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+
+      for (let dy = 0; dy < size; dy++) {
+        const offset = (row * size + dy) * width + column * size;
+        for (let dx = 0; dx < size; dx++) {
+          const a = x[offset + dx];
+          const b = y[offset + dx];
+          sumX += a;
+          sumY += b;
+          sumXX += a * a;
+          sumYY += b * b;
+          sumXY += a * b;
+        }
+      }
+
+      const n = size * size;
+      const meanX = sumX / n;
+      const meanY = sumY / n;
+      const varianceX = sumXX / n - meanX * meanX;
+      const varianceY = sumYY / n - meanY * meanY;
+      const covariance = sumXY / n - meanX * meanY;
+
+      const ssim = ((2 * meanX * meanY + SSIM_C1) * (2 * covariance + SSIM_C2)) /
+        ((meanX * meanX + meanY * meanY + SSIM_C1) * (varianceX + varianceY + SSIM_C2));
+
+      map[row * columns + column] = ssim;
+      total += ssim;
+    }
+  }
+
+  return { ssim: total / map.length, map, columns, rows };
+};
+
+/**
+ * Paint an SSIM map as a translucent yellow-to-red overlay, one pixel per window
+ * @returns {Promise<Blob>} PNG heatmap
+ */
+const renderHeatmap = async ({ map, columns, rows }) => {
+  const canvas = createCanvas(columns, rows);
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(columns, rows);
+
+  for (let i = 0; i < map.length; i++) {
+    const loss = Math.min(1, Math.max(0, 1 - map[i]) / HEATMAP_FULL_LOSS);
+    image.data[i * 4] = 255;
+    image.data[i * 4 + 1] = Math.round(220 * (1 - loss));
+    image.data[i * 4 + 2] = 0;
+    image.data[i * 4 + 3] = Math.round(200 * loss);
+  }
+
+  ctx.putImageData(image, 0, 0);
+
+  if (canvas.convertToBlob) {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Failed to render heatmap'))), 'image/png');
+  });
+};
+
+/**
+ * Measure how closely an output matches its original. The original is
+ * oriented, edited and scaled to the output's size; outputs that were
+ * resized to another aspect ratio can't be compared pixel for pixel and
+ * are reported as such.
+ * @param {Blob} original - Decodable original image, with its pixels as stored (see prepareOrientedSource)
+ * @param {Blob} output - Decodable output image
+ * @param {number} orientation - EXIF orientation the conversion applied
+ * @param {Object} transforms - Crop, rotation and flip edits the conversion applied
+ * @returns {Promise<Object>} { comparable, ssim, psnr, heatmap, width, height }
+ */
+export const measureQuality = async (original, output, orientation = 1, transforms = null) => {
+  const [originalBitmap, outputBitmap] = await Promise.all([
+    resources.createImageBitmap(original),
+    resources.createImageBitmap(output)
+  ]);
+
+  try {
+    const { width, height } = outputBitmap;
+    const edited = getTransformedSize(originalBitmap.width, originalBitmap.height, orientation, transforms);
+    const originalAspect = edited.width / edited.height;
+
+    if (Math.abs(originalAspect / (width / height) - 1) > MAX_ASPECT_DIFFERENCE) {
+      return { comparable: false };
+    }
+
+    const reference = drawOnWhite(originalBitmap, width, height, orientation, transforms);
+    const test = drawOnWhite(outputBitmap, width, height);
+    const similarity = computeSSIM(reference, test);
+
+    return {
+      comparable: true,
+      ssim: similarity.ssim,
+      psnr: computePSNR(reference, test),
+      heatmap: await renderHeatmap(similarity),
+      width,
+      height
+    };
+  } finally {
+    resources.release(originalBitmap);
+    resources.release(outputBitmap);
+  }
+};
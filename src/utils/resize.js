@@ -0,0 +1,399 @@
+import { calculateDimensions, getTransformedSize, drawTransformed, createCanvas } from './imageUtils';
+
+// Default bounds for entered widths and heights
+export const DEFAULT_MIN_DIMENSION = 50;
+export const DEFAULT_MAX_DIMENSION = 4000;
+
+// Longest side of the thumbnail scored by smart crop
+const SMART_CROP_SAMPLE_SIZE = 128;
+
+// Lanczos kernel radius in source pixels (Lanczos3)
+const LANCZOS_LOBES = 3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Pick the resize fields out of conversion settings, so they can be sent
+ * to a worker without the rest of the settings object
+ * @param {Object} settings - Conversion settings
+ * @returns {Object} Resize options
+ */
+export const getResizeOptions = (settings = {}) => ({
+  resizeMode: settings.resizeMode || 'fit',
+  maxWidth: settings.maxWidth,
+  maxHeight: settings.maxHeight,
+  maintainAspectRatio: settings.maintainAspectRatio,
+  resizePercent: settings.resizePercent,
+  cropPosition: settings.cropPosition || 'center',
+  letterboxColor: settings.letterboxColor,
+  resampler: settings.resampler || 'standard',
+  minDimension: settings.minDimension,
+  maxDimension: settings.maxDimension
+});
+
+/**
+ * Work out the output canvas size and where the image is drawn on it.
+ * 'fit' shrinks into maxWidth/maxHeight, 'cover' fills the exact size and
+ * crops the overflow, 'contain' letterboxes into the exact size and
+ * 'percent' scales both sides by resizePercent. Fit without a kept aspect
+ * ratio crops like cover instead of stretching. Entered sizes are clamped
+ * to minDimension/maxDimension when those are set.
+ * @param {number} width - Image width after orientation and edits
+ * @param {number} height - Image height after orientation and edits
+ * @param {Object} options - Resize options from getResizeOptions
+ * @param {Object} anchor - Where cover crops sit in the overflow, 0-1 per axis
+ * @returns {Object} { width, height, image: { x, y, width, height }, fill, overflow }
+ */
+export const calculateResizeLayout = (width, height, options = {}, anchor = { x: 0.5, y: 0.5 }) => {
+  const limit = (value) => (value
+    ? clamp(value, options.minDimension || 1, options.maxDimension || Infinity)
+    : value);
+  const maxWidth = limit(options.maxWidth);
+  const maxHeight = limit(options.maxHeight);
+  const mode = options.resizeMode || 'fit';
+
+  const fullFrame = (size) => ({
+    ...size,
+    image: { x: 0, y: 0, width: size.width, height: size.height },
+    fill: null,
+    overflow: { x: 0, y: 0 }
+  });
+
+  if (mode === 'percent') {
+    const scale = (options.resizePercent || 100) / 100;
+    return fullFrame({
+      width: Math.max(1, Math.round(width * scale)),
+      height: Math.max(1, Math.round(height * scale))
+    });
+  }
+
+  let target;
+  if (mode === 'fit') {
+    if (options.maintainAspectRatio !== false) {
+      return fullFrame(calculateDimensions(width, height, maxWidth, maxHeight, true));
+    }
+    // Without a kept ratio the box is the exact output size, filled by cropping
+    target = calculateDimensions(width, height, maxWidth, maxHeight, false);
+  } else {
+    if (!maxWidth && !maxHeight) {
+      return fullFrame({ width, height });
+    }
+    // A single side behaves like fit: the other side follows the aspect ratio
+    target = {
+      width: Math.round(maxWidth || width * (maxHeight / height)),
+      height: Math.round(maxHeight || height * (maxWidth / width))
+    };
+  }
+
+  const contain = mode === 'contain';
+  const scale = contain
+    ? Math.min(target.width / width, target.height / height)
+    : Math.max(target.width / width, target.height / height);
+  const drawWidth = Math.max(1, Math.round(width * scale));
+  const drawHeight = Math.max(1, Math.round(height * scale));
+  const overflow = {
+    x: Math.max(0, drawWidth - target.width),
+    y: Math.max(0, drawHeight - target.height)
+  };
+
+  return {
+    width: target.width,
+    height: target.height,
+    image: contain
+      ? {
+          x: Math.round((target.width - drawWidth) / 2),
+          y: Math.round((target.height - drawHeight) / 2),
+          width: drawWidth,
+          height: drawHeight
+        }
+      : {
+          x: -Math.round(overflow.x * anchor.x),
+          y: -Math.round(overflow.y * anchor.y),
+          width: drawWidth,
+          height: drawHeight
+        },
+    fill: contain ? options.letterboxColor || '#FFFFFF' : null,
+    overflow
+  };
+};
+
+/**
+ * Find the window along one axis with the most detail
+ * @param {Float32Array} profile - Edge energy per column or row
+ * @param {number} visible - Fraction of the axis that stays in the crop
+ * @returns {number} Anchor from 0 (start) to 1 (end)
+ */
+const findBusiestWindow = (profile, visible) => {
+  const size = Math.max(1, Math.round(profile.length * visible));
+  const slack = profile.length - size;
+  if (slack <= 0) {
+    return 0.5;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < size; i++) sum += profile[i];
+
+  let best = sum;
+  let bestStart = 0;
+  for (let start = 1; start <= slack; start++) {
+    sum += profile[start + size - 1] - profile[start - 1];
+    if (sum > best) {
+      best = sum;
+      bestStart = start;
+    }
+  }
+
+  return bestStart / slack;
+};
+
+/**
+ * Choose where a cover crop sits by scoring edge energy on a small copy of
+ * the image, so the crop keeps the busiest region instead of the center
+ * @param {CanvasImageSource} source - Image with its pixels as stored in the file
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {Object} transforms - Image edits
+ * @param {Object} layout - Cover layout from calculateResizeLayout
+ * @returns {Object} Anchor { x, y }, each 0-1
+ */
+export const findSmartCropAnchor = (source, orientation, transforms, layout) => {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const size = getTransformedSize(sourceWidth, sourceHeight, orientation, transforms);
+  const sampleScale = Math.min(1, SMART_CROP_SAMPLE_SIZE / Math.max(size.width, size.height));
+  const width = Math.max(2, Math.round(size.width * sampleScale));
+  const height = Math.max(2, Math.round(size.height * sampleScale));
+
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+  drawTransformed(ctx, source, orientation, transforms, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+
+  const luma = new Float32Array(width * height);
+  for (let i = 0; i < luma.length; i++) {
+    luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+
+  const columns = new Float32Array(width);
+  const rows = new Float32Array(height);
+  for (let y = 0; y < height - 1; y++) {
+    for (let x = 0; x < width - 1; x++) {
+      const i = y * width + x;
+      const energy = Math.abs(luma[i + 1] - luma[i]) + Math.abs(luma[i + width] - luma[i]);
+      columns[x] += energy;
+      rows[y] += energy;
+    }
+  }
+
+  return {
+    x: layout.overflow.x ? findBusiestWindow(columns, layout.width / layout.image.width) : 0.5,
+    y: layout.overflow.y ? findBusiestWindow(rows, layout.height / layout.image.height) : 0.5
+  };
+};
+
+/**
+ * Plan a resize for a decoded image, running smart crop when asked for
+ * @param {CanvasImageSource} source - Image with its pixels as stored in the file
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {Object} transforms - Image edits
+ * @param {Object} options - Resize options from getResizeOptions
+ * @returns {Object} Layout from calculateResizeLayout
+ */
+export const planResize = (source, orientation, transforms, options = {}) => {
+  const size = getTransformedSize(
+    source.naturalWidth || source.width,
+    source.naturalHeight || source.height,
+    orientation,
+    transforms
+  );
+  const layout = calculateResizeLayout(size.width, size.height, options);
+
+  if (options.cropPosition !== 'smart' || (!layout.overflow.x && !layout.overflow.y)) {
+    return layout;
+  }
+
+  return calculateResizeLayout(
+    size.width,
+    size.height,
+    options,
+    findSmartCropAnchor(source, orientation, transforms, layout)
+  );
+};
+
+/**
+ * Halve a canvas repeatedly, then scale to the final size, so every step
+ * averages at most 2x2 pixels and large reductions don't alias
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Full-size image
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Downscaled canvas
+ */
+const resampleStepped = (canvas, width, height) => {
+  let current = canvas;
+
+  while (current.width / 2 >= width && current.height / 2 >= height) {
+    const next = createCanvas(Math.round(current.width / 2), Math.round(current.height / 2));
+    const ctx = next.getContext('2d');
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(current, 0, 0, next.width, next.height);
+    current = next;
+  }
+
+  const output = createCanvas(width, height);
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(current, 0, 0, width, height);
+  return output;
+};
+
+const lanczos = (x) => {
+  if (x === 0) return 1;
+  if (x <= -LANCZOS_LOBES || x >= LANCZOS_LOBES) return 0;
+  const px = Math.PI * x;
+  return (LANCZOS_LOBES * Math.sin(px) * Math.sin(px / LANCZOS_LOBES)) / (px * px);
+};
+
+/**
+ * Precompute normalized Lanczos weights for one axis
+ * @returns {Object[]} Per output pixel { start, weights }
+ */
+const lanczosWeights = (sourceSize, targetSize) => {
+  const ratio = sourceSize / targetSize;
+  // Widen the kernel when shrinking so it also low-pass filters
+  const stretch = Math.max(1, ratio);
+  const support = LANCZOS_LOBES * stretch;
+
+  return Array.from({ length: targetSize }, (_, i) => {
+    const center = (i + 0.5) * ratio - 0.5;
+    const start = Math.floor(center - support) + 1;
+    const end = Math.floor(center + support);
+    const weights = new Float32Array(end - start + 1);
+    let total = 0;
+
+    for (let j = start; j <= end; j++) {
+      const weight = lanczos((j - center) / stretch);
+      weights[j - start] = weight;
+      total += weight;
+    }
+    for (let j = 0; j < weights.length; j++) weights[j] /= total;
+
+    return { start, weights };
+  });
+};
+
+/**
+ * Resample pixels with a separable Lanczos3 filter. Color is weighted by
+ * alpha so transparent pixels don't bleed into their neighbours.
+ * @param {ImageData} source - Full-size pixels
+ * @param {number} width - Target width
+ * @param {number} height - Target height
+ * @returns {ImageData} Resampled pixels
+ */
+export const resampleLanczos = (source, width, height) => {
+  const { data, width: sourceWidth, height: sourceHeight } = source;
+  const horizontal = lanczosWeights(sourceWidth, width);
+  const vertical = lanczosWeights(sourceHeight, height);
+
+  // Horizontal pass into premultiplied floats, one row of output per source row
+  const rows = new Float32Array(width * sourceHeight * 4);
+  for (let y = 0; y < sourceHeight; y++) {
+    for (let x = 0; x < width; x++) {
+      const { start, weights } = horizontal[x];
+      let r = 0, g = 0, b = 0, a = 0;
+
+      for (let k = 0; k < weights.length; k++) {
+        const sx = clamp(start + k, 0, sourceWidth - 1);
+        const i = (y * sourceWidth + sx) * 4;
+        const weight = weights[k] * data[i + 3];
+        r += data[i] * weight;
+        g += data[i + 1] * weight;
+        b += data[i + 2] * weight;
+        a += weight;
+      }
+
+      const o = (y * width + x) * 4;
+      rows[o] = r;
+      rows[o + 1] = g;
+      rows[o + 2] = b;
+      rows[o + 3] = a;
+    }
+  }
+
+  const output = new ImageData(width, height);
+  const out = output.data;
+  for (let y = 0; y < height; y++) {
+    const { start, weights } = vertical[y];
+
+    for (let x = 0; x < width; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+
+      for (let k = 0; k < weights.length; k++) {
+        const sy = clamp(start + k, 0, sourceHeight - 1);
+        const i = (sy * width + x) * 4;
+        r += rows[i] * weights[k];
+        g += rows[i + 1] * weights[k];
+        b += rows[i + 2] * weights[k];
+        a += rows[i + 3] * weights[k];
+      }
+
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        out[o] = r / a;
+        out[o + 1] = g / a;
+        out[o + 2] = b / a;
+      }
+      out[o + 3] = a;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Draw an image into a resize layout. The standard resampler scales in one
+ * drawImage call; 'stepped' and 'lanczos' render the edited image at full
+ * size first and downscale it with a higher-quality filter.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Output context, sized to the layout
+ * @param {CanvasImageSource} source - Image with its pixels as stored in the file
+ * @param {number} orientation - EXIF orientation (1-8)
+ * @param {Object} transforms - Image edits
+ * @param {Object} layout - Layout from calculateResizeLayout
+ * @param {string} resampler - 'standard', 'stepped' or 'lanczos'
+ */
+export const drawResized = (ctx, source, orientation, transforms, layout, resampler = 'standard') => {
+  const { image } = layout;
+
+  if (layout.fill) {
+    ctx.fillStyle = layout.fill;
+    ctx.fillRect(0, 0, layout.width, layout.height);
+  }
+
+  const size = getTransformedSize(
+    source.naturalWidth || source.width,
+    source.naturalHeight || source.height,
+    orientation,
+    transforms
+  );
+  const isDownscale = image.width < size.width && image.height < size.height;
+
+  if (resampler === 'standard' || !isDownscale) {
+    ctx.save();
+    ctx.imageSmoothingQuality = 'high';
+    ctx.translate(image.x, image.y);
+    drawTransformed(ctx, source, orientation, transforms, image.width, image.height);
+    ctx.restore();
+    return;
+  }
+
+  const full = createCanvas(size.width, size.height);
+  const fullCtx = full.getContext('2d');
+  drawTransformed(fullCtx, source, orientation, transforms, size.width, size.height);
+
+  if (resampler === 'lanczos') {
+    const pixels = resampleLanczos(fullCtx.getImageData(0, 0, size.width, size.height), image.width, image.height);
+    const scaled = createCanvas(image.width, image.height);
+    scaled.getContext('2d').putImageData(pixels, 0, 0);
+    ctx.drawImage(scaled, image.x, image.y);
+  } else {
+    ctx.drawImage(resampleStepped(full, image.width, image.height), image.x, image.y);
+  }
+};
@@ -0,0 +1,377 @@
+import { AvifCodec } from './AvifCodec';
+import { createCanvas, getOrientedSize, getOrientationTransform, hasTransforms } from './imageUtils';
+import { calculateResizeLayout, findSmartCropAnchor } from './resize';
+import { drawWatermark, isWatermarkActive, usesWatermarkLogo } from './watermark';
+import { fitsCanvas } from './canvasLimits';
+import { PngEncoder, PngStreamEncoder } from './PngEncoder';
+import { JpegCodec } from './JpegCodec';
+import { resources } from './ResourceManager';
+
+// Most pixels drawn per strip, well inside every browser's canvas limit
+const STRIP_PIXELS = 16 * 1024 * 1024;
+
+// Output rows decoded past each edge of a strip, so resampling and rounding
+// at the region edges never leave a seam between strips
+const STRIP_OVERLAP = 2;
+
+// Orientations that flip the output's rows or columns relative to the stored pixels
+const FLIPPED_ROW_ORIENTATIONS = [3, 4, 7, 8];
+const FLIPPED_COLUMN_ORIENTATIONS = [2, 3, 6, 7];
+
+const canvasToBlob = (canvas, type, quality) => (
+  canvas.convertToBlob
+    ? canvas.convertToBlob({ type, quality })
+    : new Promise((resolve, reject) => canvas.toBlob(
+      blob => (blob ? resolve(blob) : reject(new Error('Failed to create blob'))),
+      type,
+      quality
+    ))
+);
+
+/**
+ * Encode a rendered canvas in the task's output format, using the WASM
+ * encoders for compressed PNG, MozJPEG and AVIF
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Rendered output
+ * @param {Object} task - Encode task (see imageWorker)
+ * @param {Object} options - Optional controls
+ * @param {AbortSignal} options.signal - Checked after each encode step, so an aborted encode never resolves
+ * @returns {Promise<Object>} { blob, paletteSize, encoder, encoderFallback } where encoder is
+ *   'png', 'mozjpeg', 'avif' or 'browser', and encoderFallback says why MozJPEG wasn't used
+ */
+export const encodeCanvas = async (canvas, task, { signal } = {}) => {
+  const { width, height } = canvas;
+  const ctx = canvas.getContext('2d');
+
+  if (task.outputFormat === 'image/png' && task.png) {
+    const { blob, paletteSize } = await new PngEncoder().encode(ctx.getImageData(0, 0, width, height), task.png);
+    signal?.throwIfAborted();
+    return { blob, paletteSize, encoder: 'png' };
+  }
+
+  if (task.outputFormat === 'image/jpeg' && task.jpeg) {
+    try {
+      const blob = await new JpegCodec()
+        .encode(ctx.getImageData(0, 0, width, height), { ...task.jpeg, quality: task.quality });
+      signal?.throwIfAborted();
+      return { blob, paletteSize: null, encoder: 'mozjpeg' };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      // The canvas encoder stays as the fallback if the WASM encoder can't load, and the stats say so
+      const blob = await canvasToBlob(canvas, task.outputFormat, task.quality);
+      signal?.throwIfAborted();
+      return {
+        blob,
+        paletteSize: null,
+        encoder: 'browser',
+        encoderFallback: error instanceof Error ? error.message : 'MozJPEG failed'
+      };
+    }
+  }
+
+  if (task.outputFormat === 'image/avif') {
+    const imageData = ctx.getImageData(0, 0, width, height);
+    const blob = await new AvifCodec().encode(imageData, { quality: task.quality, speed: task.avifSpeed ?? 6 });
+    signal?.throwIfAborted();
+    return { blob, paletteSize: null, encoder: 'avif' };
+  }
+
+  const blob = await canvasToBlob(canvas, task.outputFormat, task.quality);
+  signal?.throwIfAborted();
+  if (blob.type !== task.outputFormat) {
+    // Unsupported encoders silently fall back to PNG
+    const format = task.outputFormat.replace('image/', '').toUpperCase();
+    throw new Error(`This browser cannot encode ${format} images`);
+  }
+  return { blob, paletteSize: null, encoder: 'browser' };
+};
+
+// Longest side of the small whole-image decode that smart crop scores
+const SMART_CROP_DECODE_SIZE = 512;
+
+/**
+ * Shrink factor that brings an output within the canvas limits: PNG only
+ * needs a strip to fit, other formats need the whole output in one canvas
+ * @param {Object} layout - Output layout from calculateResizeLayout
+ * @param {Object} limits - { maxSide, maxArea } from getCanvasLimits
+ * @param {boolean} streamed - Whether the output can be written a strip at a time
+ * @returns {number} Scale from 0 to 1, 1 when it already fits
+ */
+const getFitScale = ({ width, height }, { maxSide, maxArea }, streamed) => (
+  streamed
+    ? Math.min(1, maxSide / width)
+    : Math.min(1, maxSide / width, maxSide / height, Math.sqrt(maxArea / (width * height)))
+);
+
+/**
+ * Scale a resize layout down uniformly. Sizes round down so the result
+ * stays within the limits the scale was chosen for.
+ * @param {Object} layout - Layout from calculateResizeLayout
+ * @param {number} scale - Scale from getFitScale
+ * @returns {Object} Scaled layout
+ */
+const scaleLayout = (layout, scale) => {
+  if (scale >= 1) {
+    return layout;
+  }
+
+  const { image, overflow } = layout;
+  return {
+    ...layout,
+    width: Math.max(1, Math.floor(layout.width * scale)),
+    height: Math.max(1, Math.floor(layout.height * scale)),
+    image: {
+      x: Math.round(image.x * scale),
+      y: Math.round(image.y * scale),
+      width: Math.max(1, Math.round(image.width * scale)),
+      height: Math.max(1, Math.round(image.height * scale))
+    },
+    overflow: { x: Math.round(overflow.x * scale), y: Math.round(overflow.y * scale) }
+  };
+};
+
+/**
+ * Decode a small copy of the whole source for smart crop to score
+ * @param {Blob} file - Source image
+ * @param {Object} stored - Stored pixel size { width, height }
+ * @returns {Promise<ImageBitmap>} Tracked bitmap in stored orientation
+ */
+const decodePreview = async (file, stored) => {
+  const scale = Math.min(1, SMART_CROP_DECODE_SIZE / Math.max(stored.width, stored.height));
+  return resources.trackBitmap(await createImageBitmap(file, {
+    resizeWidth: Math.max(1, Math.round(stored.width * scale)),
+    resizeHeight: Math.max(1, Math.round(stored.height * scale)),
+    resizeQuality: 'high'
+  }));
+};
+
+/**
+ * Map a range of output pixels along one axis to the stored pixels behind
+ * it, widened by the strip overlap
+ * @param {number} start - First output pixel
+ * @param {number} end - Output pixel after the last one
+ * @param {number} origin - Where the image starts on this axis in the output
+ * @param {number} size - Image size on this axis in the output
+ * @param {number} storedLength - Stored pixels along the matching stored axis
+ * @param {boolean} flipped - Whether the orientation runs this axis backwards
+ * @returns {Object} Stored range { from, to }
+ */
+const toStoredRange = (start, end, origin, size, storedLength, flipped) => {
+  const scale = size / storedLength;
+  const overlap = Math.ceil(STRIP_OVERLAP / scale);
+
+  let from = (start - origin) / scale;
+  let to = (end - origin) / scale;
+  if (flipped) {
+    [from, to] = [storedLength - to, storedLength - from];
+  }
+
+  return {
+    from: Math.max(0, Math.floor(from) - overlap),
+    to: Math.min(storedLength, Math.ceil(to) + overlap)
+  };
+};
+
+/**
+ * Decode the part of the source behind a range of output rows, resized by
+ * the decoder to its size in the output, and draw it. Only that region is
+ * ever decoded, so memory follows the strip size rather than the image
+ * size. The rows are clipped so the overlap decoded past the strip never
+ * paints over a neighbouring strip.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target, with output row `offset` at its top
+ * @param {Blob} file - Source image
+ * @param {Object} plan - { stored, orientation, layout }
+ * @param {number} rowStart - First output row
+ * @param {number} rowEnd - Output row after the last one
+ * @param {number} offset - Output row drawn at the top of ctx
+ */
+const drawRows = async (ctx, file, { stored, orientation, layout }, rowStart, rowEnd, offset) => {
+  const { image } = layout;
+  const swapped = orientation >= 5 && orientation <= 8;
+  // Output rows follow stored rows, or stored columns when the orientation swaps the axes;
+  // columns a cover crop cuts off are never decoded
+  const rows = toStoredRange(
+    rowStart,
+    rowEnd,
+    image.y,
+    image.height,
+    swapped ? stored.width : stored.height,
+    FLIPPED_ROW_ORIENTATIONS.includes(orientation)
+  );
+  const columns = toStoredRange(
+    Math.max(0, image.x),
+    Math.min(layout.width, image.x + image.width),
+    image.x,
+    image.width,
+    swapped ? stored.height : stored.width,
+    FLIPPED_COLUMN_ORIENTATIONS.includes(orientation)
+  );
+
+  // Where the stored pixels land once the orientation transform is applied
+  const scaleX = (swapped ? image.height : image.width) / stored.width;
+  const scaleY = (swapped ? image.width : image.height) / stored.height;
+  const source = swapped
+    ? { x: rows.from, y: columns.from, width: rows.to - rows.from, height: columns.to - columns.from }
+    : { x: columns.from, y: rows.from, width: columns.to - columns.from, height: rows.to - rows.from };
+  const target = {
+    x: source.x * scaleX,
+    y: source.y * scaleY,
+    width: source.width * scaleX,
+    height: source.height * scaleY
+  };
+
+  const region = resources.trackBitmap(await createImageBitmap(
+    file,
+    source.x,
+    source.y,
+    source.width,
+    source.height,
+    {
+      resizeWidth: Math.max(1, Math.round(target.width)),
+      resizeHeight: Math.max(1, Math.round(target.height)),
+      resizeQuality: 'high'
+    }
+  ));
+
+  try {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(0, rowStart - offset, layout.width, rowEnd - rowStart);
+    ctx.clip();
+    ctx.translate(image.x, image.y - offset);
+    ctx.transform(...getOrientationTransform(orientation, image.width, image.height));
+    ctx.imageSmoothingQuality = 'high';
+    // The decoded region is within rounding of its target size; drawing to the exact box absorbs it
+    ctx.drawImage(region, target.x, target.y, target.width, target.height);
+    ctx.restore();
+  } finally {
+    resources.release(region);
+  }
+};
+
+/**
+ * Resize and encode an image too large to draw into one canvas. The output
+ * is drawn a strip at a time, each strip decoding and resizing only its
+ * own region of the source, so neither the full-resolution image nor the
+ * full output is ever held as one bitmap. Output that fits a canvas is
+ * drawn into one and encoded as usual; larger PNG output is filtered and
+ * compressed strip by strip. Other formats need the whole output in one
+ * canvas, so output too large for it is shrunk to the limit and the result
+ * reports the size it was shrunk from.
+ * Edits and the stepped/Lanczos resamplers aren't available here; the
+ * resize is the browser's high-quality decode resize.
+ * @param {Object} task - Encode task (see imageWorker) with tiled: { width, height, limits }
+ * @param {Object} options - Optional controls
+ * @param {AbortSignal} options.signal - Stops between strips once aborted
+ * @param {Function} options.onProgress - Called with the fraction of strips done (0-1)
+ * @returns {Promise<Object>} Encoded blob with original and new dimensions, the PNG palette size, the encoder
+ *   used and, when the output had to shrink, shrunkFrom with the size that was asked for
+ */
+export const encodeTiled = async (task, { signal, onProgress } = {}) => {
+  if (hasTransforms(task.transforms)) {
+    throw new Error('Crop, rotate and flip edits aren\'t available for images larger than this browser\'s canvas limit');
+  }
+
+  const { limits } = task.tiled;
+  const stored = { width: task.tiled.width, height: task.tiled.height };
+  const orientation = task.orientation || 1;
+  const oriented = getOrientedSize(stored.width, stored.height, orientation);
+  const requested = calculateResizeLayout(oriented.width, oriented.height, task.resize || {});
+
+  const streamed = task.outputFormat === 'image/png';
+  const fitScale = getFitScale(requested, limits, streamed);
+  let layout = scaleLayout(requested, fitScale);
+  const { width, height } = layout;
+
+  if (task.resize?.cropPosition === 'smart' && (layout.overflow.x || layout.overflow.y)) {
+    // The anchor is relative, so scoring a small decode of the whole image is enough
+    const preview = await decodePreview(task.file, stored);
+    try {
+      const anchor = findSmartCropAnchor(preview, orientation, null, layout);
+      layout = scaleLayout(calculateResizeLayout(oriented.width, oriented.height, task.resize, anchor), fitScale);
+    } finally {
+      resources.release(preview);
+    }
+  }
+  signal?.throwIfAborted();
+
+  const { image } = layout;
+  const fitsOneCanvas = fitsCanvas(width, height, limits);
+  const stripRows = Math.max(1, Math.floor(Math.min(STRIP_PIXELS / width, limits.maxSide)));
+  const stripCount = Math.ceil(height / stripRows);
+
+  const logo = isWatermarkActive(task.watermark) && usesWatermarkLogo(task.watermark)
+    ? await resources.createImageBitmap(task.watermark.logo)
+    : null;
+
+  const paint = (ctx, canvasHeight) => {
+    if (task.background) {
+      ctx.fillStyle = task.background;
+      ctx.fillRect(0, 0, width, canvasHeight);
+    }
+    if (layout.fill) {
+      ctx.fillStyle = layout.fill;
+      ctx.fillRect(0, 0, width, canvasHeight);
+    }
+  };
+
+  try {
+    const canvas = createCanvas(width, fitsOneCanvas ? height : Math.min(stripRows, height));
+    const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      throw new Error('Could not get canvas context');
+    }
+    const writer = fitsOneCanvas ? null : new PngStreamEncoder(width, height);
+
+    if (fitsOneCanvas) {
+      paint(ctx, height);
+    }
+
+    for (let strip = 0; strip < stripCount; strip++) {
+      signal?.throwIfAborted();
+      const top = strip * stripRows;
+      const bottom = Math.min(height, top + stripRows);
+      // One canvas for the whole output, or a reused strip canvas whose top is this strip's first row
+      const offset = fitsOneCanvas ? 0 : top;
+
+      if (!fitsOneCanvas) {
+        ctx.clearRect(0, 0, width, canvas.height);
+        paint(ctx, canvas.height);
+      }
+
+      const rowStart = Math.max(top, image.y);
+      const rowEnd = Math.min(bottom, image.y + image.height);
+      if (rowEnd > rowStart) {
+        await drawRows(ctx, task.file, { stored, orientation, layout }, rowStart, rowEnd, offset);
+      }
+
+      if (!fitsOneCanvas) {
+        // The watermark is laid out on the full output and clipped to the strip
+        ctx.save();
+        ctx.translate(0, -offset);
+        drawWatermark(ctx, width, height, task.watermark, logo);
+        ctx.restore();
+        await writer.addRows(ctx.getImageData(0, 0, width, bottom - top));
+      }
+
+      onProgress?.((strip + 1) / stripCount);
+    }
+
+    let encoded;
+    if (fitsOneCanvas) {
+      drawWatermark(ctx, width, height, task.watermark, logo);
+      encoded = await encodeCanvas(canvas, task, { signal });
+    } else {
+      encoded = { blob: writer.finish(), paletteSize: null, encoder: 'png' };
+    }
+
+    return {
+      ...encoded,
+      originalDimensions: oriented,
+      newDimensions: { width, height },
+      shrunkFrom: fitScale < 1 ? { width: requested.width, height: requested.height } : null
+    };
+  } finally {
+    if (logo) resources.release(logo);
+  }
+};
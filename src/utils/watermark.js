@@ -0,0 +1,117 @@
+// 9-position placement grid, as [column, row] anchors from 0 (left/top) to 2 (right/bottom)
+export const WATERMARK_POSITIONS = {
+  'top-left': [0, 0],
+  'top-center': [1, 0],
+  'top-right': [2, 0],
+  'middle-left': [0, 1],
+  'center': [1, 1],
+  'middle-right': [2, 1],
+  'bottom-left': [0, 2],
+  'bottom-center': [1, 2],
+  'bottom-right': [2, 2]
+};
+
+/**
+ * Check whether a watermark draws the uploaded logo rather than text
+ * @param {Object} watermark - Watermark settings
+ * @returns {boolean} True for logo marks, single or tiled
+ */
+export const usesWatermarkLogo = (watermark) => (
+  watermark.mode === 'logo' || (watermark.mode === 'tiled' && watermark.tileContent === 'logo')
+);
+
+/**
+ * Check whether watermark settings would draw anything
+ * @param {Object} watermark - Watermark settings
+ * @returns {boolean} True when a watermark should be drawn
+ */
+export const isWatermarkActive = (watermark) => {
+  if (!watermark?.enabled) return false;
+
+  return usesWatermarkLogo(watermark) ? Boolean(watermark.logo) : Boolean(watermark.text?.trim());
+};
+
+/**
+ * Measure the watermark mark (text or logo) for an image
+ * @returns {Object} { width, height, draw } where draw paints the mark centered on the origin
+ */
+const createMark = (ctx, imageWidth, watermark, logo) => {
+  if (usesWatermarkLogo(watermark)) {
+    const width = imageWidth * (watermark.logoScale ?? 0.2);
+    const height = width * (logo.height / logo.width);
+    return {
+      width,
+      height,
+      draw: () => ctx.drawImage(logo, -width / 2, -height / 2, width, height)
+    };
+  }
+
+  // Font size is relative to the image width so marks look the same at any resolution
+  const fontSize = Math.max(1, imageWidth * (watermark.fontSize ?? 4) / 100);
+  ctx.font = `bold ${fontSize}px ${watermark.fontFamily || 'Arial'}`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = watermark.color || '#FFFFFF';
+
+  return {
+    width: ctx.measureText(watermark.text).width,
+    height: fontSize,
+    draw: () => ctx.fillText(watermark.text, 0, 0)
+  };
+};
+
+/**
+ * Draw a text or logo watermark, either once at a grid position or tiled
+ * across the whole image
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Context holding the finished image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} watermark - Watermark settings (mode, text, font, color, opacity, rotation, logo, position, offsets)
+ * @param {CanvasImageSource} logo - Decoded logo for logo watermarks
+ */
+export const drawWatermark = (ctx, width, height, watermark, logo = null) => {
+  if (!isWatermarkActive(watermark) || (usesWatermarkLogo(watermark) && !logo)) {
+    return;
+  }
+
+  ctx.save();
+  ctx.globalAlpha = watermark.opacity ?? 0.5;
+
+  const mark = createMark(ctx, width, watermark, logo);
+  const angle = (watermark.rotation || 0) * Math.PI / 180;
+
+  if (watermark.mode === 'tiled') {
+    // Cover the diagonal so rotated rows still reach every corner
+    const spacing = width * (watermark.tileSpacing ?? 10) / 100;
+    const stepX = Math.max(1, mark.width + spacing);
+    const stepY = Math.max(1, mark.height + spacing);
+    const reach = Math.hypot(width, height) / 2;
+
+    ctx.translate(width / 2, height / 2);
+    ctx.rotate(angle);
+
+    for (let row = 0, y = -reach; y <= reach; row++, y += stepY) {
+      // Stagger every other row by half a step
+      for (let x = -reach - (row % 2) * stepX / 2; x <= reach; x += stepX) {
+        ctx.save();
+        ctx.translate(x, y);
+        mark.draw();
+        ctx.restore();
+      }
+    }
+  } else {
+    const [column, row] = WATERMARK_POSITIONS[watermark.position] || WATERMARK_POSITIONS['bottom-right'];
+    // Offsets are margins from the anchored edge, in percent of the image size
+    const offsetX = width * (watermark.offsetX ?? 3) / 100;
+    const offsetY = height * (watermark.offsetY ?? 3) / 100;
+
+    const x = [mark.width / 2 + offsetX, width / 2 + offsetX, width - mark.width / 2 - offsetX][column];
+    const y = [mark.height / 2 + offsetY, height / 2 + offsetY, height - mark.height / 2 - offsetY][row];
+
+    ctx.translate(x, y);
+    ctx.rotate(angle);
+    mark.draw();
+  }
+
+  ctx.restore();
+};
@@ -4,7 +4,13 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   optimizeDeps: {
-    include: ['jspdf']
+    include: ['jspdf'],
+    // WASM codecs locate their .wasm files relative to the module
+    exclude: ['@jsquash/avif', '@jsquash/jpeg']
+  },
+  worker: {
+    // The multi-threaded AVIF encoder spawns module workers
+    format: 'es'
   },
   build: {
     rollupOptions: {